@@ -0,0 +1,38 @@
+// Drivers. Every character belongs to a weight class and brings its own mass and stat levels, which add to
+// the levels of the kart's parts (see parts.js). Mass decides who shoves whom when karts bump: a heavy
+// driver knocks a light one aside and barely moves.
+
+const CHARACTER_WEIGHT_CLASSES = { light: 'Light', medium: 'Medium', heavy: 'Heavy' };
+
+// 'mass' multiplies the parts' weight; 'color' tints a bot's kart and its minimap dot
+const CHARACTERS = [
+    { id: 'pip', name: 'Pip', weightClass: 'light', mass: 0.75, color: '#ff9ecf', stats: { speed: -1, acceleration: 2, handling: 1, miniTurbo: 1 } },
+    { id: 'zip', name: 'Zip', weightClass: 'light', mass: 0.8, color: '#66ffff', stats: { speed: -1, acceleration: 1, handling: 2 } },
+    { id: 'dot', name: 'Dot', weightClass: 'light', mass: 0.8, color: '#ffff66', stats: { acceleration: 1, traction: 1, miniTurbo: 1 } },
+    { id: 'rex', name: 'Rex', weightClass: 'medium', mass: 1.0, color: '#ff6666', stats: {} },
+    { id: 'luna', name: 'Luna', weightClass: 'medium', mass: 1.0, color: '#cc99ff', stats: { handling: 1, traction: -1 } },
+    { id: 'milo', name: 'Milo', weightClass: 'medium', mass: 1.05, color: '#66ff66', stats: { speed: 1, acceleration: -1 } },
+    { id: 'brutus', name: 'Brutus', weightClass: 'heavy', mass: 1.35, color: '#66aaff', stats: { speed: 2, acceleration: -2, handling: -1 } },
+    { id: 'olga', name: 'Olga', weightClass: 'heavy', mass: 1.3, color: '#ff66ff', stats: { speed: 1, acceleration: -1, traction: 1, handling: -1 } },
+    { id: 'tank', name: 'Tank', weightClass: 'heavy', mass: 1.45, color: '#ffaa44', stats: { speed: 2, acceleration: -2, handling: -2, miniTurbo: -1 } }
+];
+const DEFAULT_CHARACTER_ID = 'rex';
+
+// The character with 'id', or the default driver for an unknown id
+function getCharacter(id) {
+    return CHARACTERS.find(character => character.id === id) || CHARACTERS.find(character => character.id === DEFAULT_CHARACTER_ID);
+}
+
+// Picks 'count' different characters other than 'excludedId' (the player's) with 'random' (a PRNG
+// returning 0-1), and returns their ids. Characters repeat only once the roster runs out.
+function pickBotCharacterIds(count, excludedId, random) {
+    let pool = CHARACTERS.filter(character => character.id !== excludedId);
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+        if (pool.length === 0) pool = CHARACTERS.filter(character => character.id !== excludedId);
+        const index = Math.floor(random() * pool.length);
+        ids.push(pool[index].id);
+        pool.splice(index, 1);
+    }
+    return ids;
+}
@@ -0,0 +1,119 @@
+// Grand Prix cup: a series of races with points, standings between races and a final trophy screen
+
+// Tracks raced in a cup, in order
+const CUP_TRACKS = ['tracks/oval.json', 'tracks/hilltop-loop.json', 'tracks/canyon-run.json', 'tracks/speedway.json'];
+const CUP_LAPS = 3; // Laps per cup race
+const CUP_POINTS = [10, 7, 5, 3, 2, 1]; // Points by finishing position; lower places score nothing
+const CUP_RESULTS_DELAY = 2000; // ms to keep racing after the player finishes before the standings appear
+
+class GrandPrix {
+    // 'startRace(difficulty, cc, options)' shows the race UI and returns the new Game
+    constructor(difficulty, cc, startRace, playerCharacterId) {
+        this.difficulty = difficulty;
+        this.cc = cc;
+        this.startRace = startRace;
+        this.playerCharacterId = playerCharacterId;
+        this.botCharacters = []; // The same drivers race every round, so the standings follow them
+        this.raceIndex = 0;
+        this.game = null;
+        this.standings = {}; // Racer id -> { id, name, points, lastPosition }
+
+        this.screen = document.getElementById('cup-standings');
+        this.titleDisplay = document.getElementById('cup-title');
+        this.tableBody = document.querySelector('#cup-standings-table tbody');
+        this.continueButton = document.getElementById('cup-continue-button');
+        this.continueButton.addEventListener('click', () => this.handleContinue());
+    }
+
+    start() {
+        this.raceIndex = 0;
+        this.botCharacters = pickBotCharacterIds(NUMBER_OF_BOTS, this.playerCharacterId, Math.random);
+        this.startCurrentRace();
+    }
+
+    startCurrentRace() {
+        this.screen.classList.add('hidden');
+        this.game = this.startRace(this.difficulty, this.cc, {
+            track: CUP_TRACKS[this.raceIndex],
+            laps: CUP_LAPS,
+            gridOrder: this.raceIndex > 0 ? this.getSortedStandings().map(entry => entry.id) : null, // First race uses the default grid
+            botCharacters: this.botCharacters,
+            onRaceFinished: (results) => this.handleRaceFinished(results)
+        });
+    }
+
+    // 'results' lists every racer ({ id, name }) in finishing order
+    handleRaceFinished(results) {
+        results.forEach((racer, index) => {
+            const entry = this.standings[racer.id] || { id: racer.id, name: racer.name, points: 0 };
+            entry.lastPosition = index + 1;
+            entry.lastPoints = CUP_POINTS[index] || 0;
+            entry.points += entry.lastPoints;
+            this.standings[racer.id] = entry;
+        });
+
+        // Let the player cross the line before the race is torn down
+        setTimeout(() => {
+            this.game.dispose();
+            this.game = null;
+            this.showStandings();
+        }, CUP_RESULTS_DELAY);
+    }
+
+    // Highest points first; ties go to the better result in the latest race
+    getSortedStandings() {
+        return Object.values(this.standings).sort((a, b) => b.points - a.points || a.lastPosition - b.lastPosition);
+    }
+
+    isFinalRace() {
+        return this.raceIndex === CUP_TRACKS.length - 1;
+    }
+
+    showStandings() {
+        document.getElementById('game-container').classList.add('hidden');
+        const sorted = this.getSortedStandings();
+
+        if (this.isFinalRace()) {
+            const playerRank = sorted.findIndex(entry => entry.id === 'player') + 1;
+            const trophy = ['🏆 Gold Trophy', '🥈 Silver Trophy', '🥉 Bronze Trophy'][playerRank - 1] || 'No trophy this time';
+            this.titleDisplay.textContent = `Cup Complete! You placed ${playerRank}${this.getOrdinalSuffix(playerRank)} — ${trophy}`;
+            this.continueButton.textContent = 'Back to Menu';
+        } else {
+            this.titleDisplay.textContent = `Standings after Race ${this.raceIndex + 1} of ${CUP_TRACKS.length}`;
+            this.continueButton.textContent = 'Next Race';
+        }
+
+        this.tableBody.innerHTML = '';
+        sorted.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            if (entry.id === 'player') row.classList.add('cup-player-row');
+            [
+                `${index + 1}${this.getOrdinalSuffix(index + 1)}`,
+                entry.name,
+                `${entry.lastPosition}${this.getOrdinalSuffix(entry.lastPosition)} (+${entry.lastPoints})`,
+                entry.points
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.tableBody.appendChild(row);
+        });
+        this.screen.classList.remove('hidden');
+    }
+
+    handleContinue() {
+        if (this.isFinalRace()) {
+            window.location.reload(); // Back to the start screen, like the single race
+            return;
+        }
+        this.raceIndex++;
+        this.startCurrentRace();
+    }
+
+    getOrdinalSuffix(number) {
+        const lastTwo = number % 100;
+        if (lastTwo >= 11 && lastTwo <= 13) return 'th';
+        return { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+    }
+}
@@ -0,0 +1,940 @@
+// Top-down track editor. Edits the same JSON track description that Game loads,
+// so a track can be test-driven straight away and exported for tracks/.
+
+// Working copy of the track being edited, kept across page reloads (e.g. after a test drive)
+const EDITOR_DRAFT_STORAGE_KEY = 'trackEditorDraft';
+
+class TrackEditor {
+    constructor(container, callbacks = {}) {
+        this.container = container;
+        this.onTestDrive = callbacks.onTestDrive || (() => {});
+        this.onExit = callbacks.onExit || (() => {});
+
+        this.track = null; // Track description being edited
+        this.samples = []; // Centerline spline samples, rebuilt whenever the road changes
+        this.sampleSpacing = 4.0; // Same spacing the game samples the road with
+        this.tool = 'select'; // What a click on empty ground does: 'select' clears the selection, the others place 'centerline', 'checkpoint', 'itemBoxes', 'boostPads', 'surfaces' or 'startGrid'
+        this.selection = null; // { type, index } of the selected element
+        this.drag = null; // Active pointer drag: { mode: 'move' | 'pan', ... }
+        this.pickRadius = 12; // Pixels around an element that still select it
+
+        // View transform: world XZ is drawn top-down with +x to the right and +z downwards
+        this.view = { centerX: 0, centerZ: 0, scale: 4 }; // scale is pixels per world unit
+
+        this.canvas = document.getElementById('editor-canvas');
+        this.context = this.canvas.getContext('2d');
+        this.propertiesPanel = document.getElementById('editor-properties');
+        this.statusDisplay = document.getElementById('editor-status');
+        this.fileInput = document.getElementById('editor-file-input');
+
+        this.setupControls();
+    }
+
+    // Shows the editor, resuming the saved draft or starting from the default track
+    async open() {
+        this.container.classList.remove('hidden');
+        this.resizeCanvas();
+
+        if (!this.track) {
+            const draft = this.loadDraft();
+            if (draft) {
+                this.setTrack(draft);
+                this.setStatus('Resumed your last draft.');
+            } else {
+                try {
+                    const response = await fetch(DEFAULT_TRACK_URL);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    this.setTrack(await response.json());
+                } catch (error) {
+                    console.error('Failed to load the default track for the editor:', error);
+                    this.setTrack(this.createBlankTrack());
+                }
+            }
+        }
+        this.render();
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+    }
+
+    setupControls() {
+        this.container.querySelectorAll('.editor-tool').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+        document.getElementById('editor-delete').addEventListener('click', () => this.deleteSelection());
+        document.getElementById('editor-spread-gates').addEventListener('click', () => this.spreadGates());
+        document.getElementById('editor-new').addEventListener('click', () => {
+            this.setTrack(this.createBlankTrack());
+            this.trackChanged();
+            this.setStatus('Started a new track. Place checkpoints and a start grid before driving it.');
+        });
+        document.getElementById('editor-import').addEventListener('click', () => this.fileInput.click());
+        document.getElementById('editor-export').addEventListener('click', () => this.exportTrack());
+        document.getElementById('editor-test-drive').addEventListener('click', () => {
+            const definition = this.buildTrackDefinition();
+            if (definition) {
+                this.close();
+                this.onTestDrive(definition);
+            }
+        });
+        document.getElementById('editor-exit').addEventListener('click', () => {
+            this.close();
+            this.onExit();
+        });
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) {
+                this.importTrack(file);
+            }
+            this.fileInput.value = ''; // Allow importing the same file again
+        });
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const before = this.screenToWorld(e.offsetX, e.offsetY);
+            this.view.scale = Math.max(0.5, Math.min(40, this.view.scale * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+            // Keep the point under the cursor in place while zooming
+            const after = this.screenToWorld(e.offsetX, e.offsetY);
+            this.view.centerX += before.x - after.x;
+            this.view.centerZ += before.z - after.z;
+            this.render();
+        }, { passive: false });
+
+        window.addEventListener('keydown', (e) => {
+            if (this.container.classList.contains('hidden') || e.target.tagName === 'INPUT') return;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                this.deleteSelection();
+            }
+        });
+        window.addEventListener('resize', () => {
+            if (!this.container.classList.contains('hidden')) {
+                this.resizeCanvas();
+                this.render();
+            }
+        });
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.container.querySelectorAll('.editor-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    setStatus(message, isError = false) {
+        this.statusDisplay.textContent = message;
+        this.statusDisplay.classList.toggle('error', isError);
+    }
+
+    // --- Track data ---
+
+    setTrack(definition) {
+        this.track = definition;
+        this.track.checkpoints = this.track.checkpoints || {};
+        this.track.checkpoints.gates = this.track.checkpoints.gates || [];
+        this.track.itemBoxRows = this.track.itemBoxRows || [];
+        this.track.boostPads = this.track.boostPads || [];
+        this.track.surfaces = this.track.surfaces || [];
+        this.track.startGrid = this.track.startGrid || [];
+        this.selection = null;
+        this.rebuildSamples();
+        this.fitView();
+        this.updatePropertiesPanel();
+    }
+
+    // A plain ring of road to start from
+    createBlankTrack() {
+        const centerline = [];
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            centerline.push({ x: Math.round(Math.cos(angle) * 60), z: Math.round(Math.sin(angle) * 45), width: 24 });
+        }
+        return {
+            name: 'New Track',
+            road: { color: '#333333' },
+            centerline: centerline,
+            walls: { height: 3, thickness: 1, offset: 0 },
+            terrain: { falloff: 30, baseHeight: 0 },
+            checkpoints: { finishIndex: 0, gates: [] },
+            itemBoxRows: [],
+            boostPads: [],
+            surfaces: [],
+            startGrid: [],
+            racingLine: { samples: 100 }
+        };
+    }
+
+    rebuildSamples() {
+        this.samples = this.track.centerline.length >= 3 ? sampleCenterlineSpline(this.track.centerline, this.sampleSpacing) : [];
+        // Distance along the loop to each sample, used to order gates in driving order
+        let distance = 0;
+        this.samples.forEach((sample, i) => {
+            sample.distance = distance;
+            distance += sample.position.distanceTo(this.samples[(i + 1) % this.samples.length].position);
+        });
+        this.loopLength = distance;
+    }
+
+    // Called after every edit: keeps derived data in step and saves the draft
+    trackChanged() {
+        this.rebuildSamples();
+        this.orderGates();
+        this.saveDraft();
+        this.updatePropertiesPanel();
+        this.render();
+    }
+
+    // Nearest centerline sample to a world position, with the driving direction there
+    getRoadAt(x, z) {
+        let bestIndex = 0;
+        let bestDistanceSq = Infinity;
+        this.samples.forEach((sample, i) => {
+            const distanceSq = (sample.position.x - x) ** 2 + (sample.position.z - z) ** 2;
+            if (distanceSq < bestDistanceSq) {
+                bestDistanceSq = distanceSq;
+                bestIndex = i;
+            }
+        });
+        const count = this.samples.length;
+        const sample = this.samples[bestIndex];
+        const prev = this.samples[(bestIndex - 1 + count) % count].position;
+        const next = this.samples[(bestIndex + 1) % count].position;
+        const tangent = new THREE.Vector3(next.x - prev.x, 0, next.z - prev.z).normalize();
+        return { sample: sample, tangent: tangent, heading: Math.atan2(tangent.x, tangent.z) };
+    }
+
+    // Distance travelled from the first start-grid slot to a position, wrapping around the loop
+    getProgressFromStart(x, z) {
+        const distance = this.getRoadAt(x, z).sample.distance;
+        const start = this.track.startGrid.length > 0
+            ? this.getRoadAt(this.track.startGrid[0].x, this.track.startGrid[0].z).sample.distance
+            : 0;
+        return (distance - start + this.loopLength) % this.loopLength;
+    }
+
+    // Gates are stored in driving order starting from the first gate ahead of the grid, so the
+    // last gate (the one just behind the grid) is the finish line. Colors and labels follow the order,
+    // and 'next' links of a branching track keep pointing at the same gates.
+    orderGates() {
+        const gates = this.track.checkpoints.gates;
+        if (this.samples.length === 0 || gates.length === 0) return;
+
+        const selectedGate = this.selection && this.selection.type === 'checkpoint' ? gates[this.selection.index] : null;
+        if (this.hasGateBranches()) {
+            this.linkGatesInOrder(); // Loaded tracks may leave the links that follow the list order implicit
+        }
+        const links = new Map(gates.filter(gate => gate.next).map(gate => [gate, gate.next.map(index => gates[index])]));
+        gates.sort((a, b) => this.getProgressFromStart(a.x, a.z) - this.getProgressFromStart(b.x, b.z));
+        links.forEach((targets, gate) => {
+            gate.next = targets.filter(Boolean).map(target => gates.indexOf(target));
+        });
+        gates.forEach((gate, i) => {
+            gate.color = CHECKPOINT_GATE_COLORS[i % CHECKPOINT_GATE_COLORS.length];
+            gate.label = String(i + 1);
+        });
+        this.track.checkpoints.finishIndex = gates.length - 1;
+        if (selectedGate) {
+            this.selection.index = gates.indexOf(selectedGate);
+        }
+    }
+
+    // A track branches once any gate lists the gates that may follow it. From then on every gate does,
+    // since the order-based default would change whenever gates are re-sorted.
+    hasGateBranches() {
+        return this.track.checkpoints.gates.some(gate => gate.next);
+    }
+
+    // Gives every gate an explicit 'next' link to the gate that follows it in the current order
+    linkGatesInOrder() {
+        const gates = this.track.checkpoints.gates;
+        gates.forEach((gate, i) => {
+            if (!gate.next) gate.next = [(i + 1) % gates.length];
+        });
+    }
+
+    // Splices a newly appended gate of a branching track into the link it sits on
+    linkNewGate(gate) {
+        const gates = this.track.checkpoints.gates;
+        const newIndex = gates.indexOf(gate);
+        const progress = this.getProgressFromStart(gate.x, gate.z);
+        const others = gates.filter(other => other !== gate)
+            .sort((a, b) => this.getProgressFromStart(a.x, a.z) - this.getProgressFromStart(b.x, b.z));
+        const following = others.find(other => this.getProgressFromStart(other.x, other.z) > progress) || others[0];
+        const previous = others[(others.indexOf(following) - 1 + others.length) % others.length];
+        const followingIndex = gates.indexOf(following);
+        gate.next = [followingIndex];
+        previous.next = previous.next.map(index => index === followingIndex ? newIndex : index);
+    }
+
+    // Removes a gate from a branching track, linking the gates before it straight to the gates after it
+    unlinkGate(removedIndex) {
+        const gates = this.track.checkpoints.gates;
+        const removedNext = gates[removedIndex].next || [];
+        gates.forEach((gate, i) => {
+            if (i === removedIndex || !gate.next) return;
+            const next = [];
+            gate.next.forEach(index => {
+                (index === removedIndex ? removedNext : [index]).forEach(target => {
+                    if (target === removedIndex || target === i) return;
+                    const shifted = target > removedIndex ? target - 1 : target;
+                    if (!next.includes(shifted)) next.push(shifted);
+                });
+            });
+            gate.next = next;
+        });
+    }
+
+    // Points gates, item box rows, boost pads and grid slots along the road at their position
+    orientToRoad(element, type) {
+        if (this.samples.length === 0) return;
+        const road = this.getRoadAt(element.x, element.z);
+        if (type === 'checkpoint') {
+            element.rotation = Math.atan2(-road.tangent.x, -road.tangent.z); // Gate normal faces back along the road
+        } else {
+            element.heading = road.heading;
+        }
+    }
+
+    // Places a new element of the current tool's type at a world position
+    addElementAt(x, z) {
+        x = Math.round(x * 100) / 100;
+        z = Math.round(z * 100) / 100;
+
+        if (this.tool === 'centerline') {
+            const points = this.track.centerline;
+            const point = { x: x, z: z, width: points.length > 0 ? points[points.length - 1].width : 24 };
+            let insertIndex = points.length;
+            if (points.length >= 3) {
+                // Insert into the closest segment of the loop
+                let bestDistance = Infinity;
+                points.forEach((p1, i) => {
+                    const p2 = points[(i + 1) % points.length];
+                    const distance = this.distanceToSegment(x, z, p1, p2);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        insertIndex = i + 1;
+                        point.width = (p1.width + p2.width) / 2;
+                    }
+                });
+            }
+            points.splice(insertIndex, 0, point);
+            delete (this.track.racingLine || {}).points; // Hand-placed racing lines no longer match the road
+            this.selection = { type: 'centerline', index: insertIndex };
+        } else if (this.samples.length === 0) {
+            this.setStatus('Lay out at least three road points first.', true);
+            return;
+        } else if (this.tool === 'checkpoint') {
+            const gate = { x: x, z: z, width: Math.round(this.getRoadAt(x, z).sample.width + 10) };
+            this.orientToRoad(gate, 'checkpoint');
+            this.track.checkpoints.gates.push(gate);
+            if (this.hasGateBranches()) {
+                this.linkNewGate(gate);
+            }
+            this.selection = { type: 'checkpoint', index: this.track.checkpoints.gates.length - 1 };
+        } else if (this.tool === 'itemBoxes') {
+            const row = { x: x, z: z, count: 3, spacing: Math.max(3, Math.round(this.getRoadAt(x, z).sample.width / 4)) };
+            this.orientToRoad(row, 'itemBoxes');
+            this.track.itemBoxRows.push(row);
+            this.selection = { type: 'itemBoxes', index: this.track.itemBoxRows.length - 1 };
+        } else if (this.tool === 'boostPads') {
+            const pad = { x: x, z: z, strength: 1 };
+            this.orientToRoad(pad, 'boostPads');
+            this.track.boostPads.push(pad);
+            this.selection = { type: 'boostPads', index: this.track.boostPads.length - 1 };
+        } else if (this.tool === 'surfaces') {
+            this.track.surfaces.push({ type: 'mud', x: x, z: z, radius: 10 });
+            this.selection = { type: 'surfaces', index: this.track.surfaces.length - 1 };
+        } else if (this.tool === 'startGrid') {
+            const slot = { x: x, z: z };
+            this.orientToRoad(slot, 'startGrid');
+            this.track.startGrid.push(slot);
+            this.selection = { type: 'startGrid', index: this.track.startGrid.length - 1 };
+        }
+        this.trackChanged();
+    }
+
+    deleteSelection() {
+        if (!this.selection) return;
+        const list = this.getElementList(this.selection.type);
+        if (this.selection.type === 'centerline' && list.length <= 3) {
+            this.setStatus('A track needs at least three road points.', true);
+            return;
+        }
+        if (this.selection.type === 'checkpoint' && this.hasGateBranches()) {
+            this.unlinkGate(this.selection.index);
+        }
+        list.splice(this.selection.index, 1);
+        if (this.selection.type === 'centerline') {
+            delete (this.track.racingLine || {}).points;
+        }
+        this.selection = null;
+        this.trackChanged();
+    }
+
+    // Replaces the checkpoints with gates spread evenly round the road, the finish just behind the grid
+    spreadGates() {
+        const grid = this.track.startGrid;
+        if (this.samples.length === 0 || grid.length === 0) {
+            this.setStatus('Place road points and a start grid before spreading checkpoints.', true);
+            return;
+        }
+        const start = this.getRoadAt(grid[0].x, grid[0].z);
+        let gridDepth = 0;
+        grid.forEach(slot => {
+            const behind = -((slot.x - grid[0].x) * start.tangent.x + (slot.z - grid[0].z) * start.tangent.z);
+            gridDepth = Math.max(gridDepth, behind);
+        });
+        const roundTo = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+        const gates = generateEvenCheckpointGates(this.samples, start.sample.distance - gridDepth - 5);
+        gates.forEach(gate => {
+            gate.x = roundTo(gate.x, 2);
+            gate.z = roundTo(gate.z, 2);
+            gate.rotation = roundTo(gate.rotation, 6);
+        });
+        this.track.checkpoints.gates = gates;
+        this.selection = null;
+        this.trackChanged();
+        this.setStatus(`Spread ${gates.length} checkpoints evenly round the road.`);
+    }
+
+    getElementList(type) {
+        switch (type) {
+            case 'centerline': return this.track.centerline;
+            case 'checkpoint': return this.track.checkpoints.gates;
+            case 'itemBoxes': return this.track.itemBoxRows;
+            case 'boostPads': return this.track.boostPads;
+            case 'surfaces': return this.track.surfaces;
+            case 'startGrid': return this.track.startGrid;
+        }
+        return [];
+    }
+
+    // Returns a copy of the track ready for Game or export, or null (with a status message) if it cannot be raced
+    buildTrackDefinition() {
+        const problems = [];
+        if (this.track.centerline.length < 3) problems.push('at least three road points');
+        if (this.track.checkpoints.gates.length < 2) problems.push('at least two checkpoints');
+        if (this.track.startGrid.length < 1) problems.push('a start-grid slot');
+        if (problems.length > 0) {
+            this.setStatus(`The track needs ${problems.join(', ')}.`, true);
+            return null;
+        }
+        this.orderGates();
+        return JSON.parse(JSON.stringify(this.track));
+    }
+
+    exportTrack() {
+        const definition = this.buildTrackDefinition();
+        if (!definition) return;
+
+        const fileName = (definition.name || 'track').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'track';
+        const blob = new Blob([JSON.stringify(definition, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        this.setStatus(`Exported ${fileName}.json`);
+    }
+
+    importTrack(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const definition = JSON.parse(reader.result);
+                if (!Array.isArray(definition.centerline) || definition.centerline.length < 3) {
+                    throw new Error('the file has no centerline with at least three points');
+                }
+                this.setTrack(definition);
+                this.trackChanged();
+                this.setStatus(`Imported ${file.name}`);
+            } catch (error) {
+                console.error('Failed to import track:', error);
+                this.setStatus(`Could not import ${file.name}: ${error.message}`, true);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    loadDraft() {
+        try {
+            const draft = localStorage.getItem(EDITOR_DRAFT_STORAGE_KEY);
+            return draft ? JSON.parse(draft) : null;
+        } catch (error) {
+            console.warn('Ignoring unreadable track editor draft:', error);
+            return null;
+        }
+    }
+
+    saveDraft() {
+        try {
+            localStorage.setItem(EDITOR_DRAFT_STORAGE_KEY, JSON.stringify(this.track));
+        } catch (error) {
+            console.warn('Could not save the track editor draft:', error);
+        }
+    }
+
+    // --- Properties panel ---
+
+    // Shows editable fields for the track and the selected element
+    updatePropertiesPanel() {
+        this.propertiesPanel.innerHTML = '';
+        this.addPropertyField('Track name', 'text', this.track.name || '', (value) => { this.track.name = value; });
+
+        if (!this.selection) return;
+        const element = this.getElementList(this.selection.type)[this.selection.index];
+        if (!element) return;
+
+        switch (this.selection.type) {
+            case 'centerline':
+                this.addPropertyField('Road width', 'number', element.width, (value) => { element.width = Math.max(2, value); }, true);
+                this.addPropertyField('Elevation', 'number', element.elevation || 0, (value) => { element.elevation = value; }, true);
+                this.addPropertyField('Banking (deg)', 'number', Math.round((element.banking || 0) * 180 / Math.PI), (value) => {
+                    element.banking = value * Math.PI / 180;
+                }, true);
+                break;
+            case 'checkpoint': {
+                this.addPropertyField('Gate width', 'number', element.width || 45, (value) => { element.width = Math.max(2, value); });
+                // Gate numbers that may follow this one, e.g. "2, 6" to split into a shortcut
+                const gates = this.track.checkpoints.gates;
+                const next = element.next || [(this.selection.index + 1) % gates.length];
+                this.addPropertyField('Leads to gates', 'text', next.map(index => index + 1).join(', '), (value) => {
+                    const targets = value.split(',')
+                        .map(part => parseInt(part, 10) - 1)
+                        .filter(index => index >= 0 && index < gates.length && gates[index] !== element);
+                    if (targets.length === 0) return;
+                    this.linkGatesInOrder();
+                    element.next = targets.filter((index, i) => targets.indexOf(index) === i);
+                });
+                break;
+            }
+            case 'itemBoxes':
+                this.addPropertyField('Boxes', 'number', element.count || 1, (value) => { element.count = Math.max(1, Math.round(value)); });
+                this.addPropertyField('Spacing', 'number', element.spacing || 4, (value) => { element.spacing = Math.max(1, value); });
+                break;
+            case 'boostPads':
+                this.addPropertyField('Strength', 'number', element.strength !== undefined ? element.strength : 1, (value) => { element.strength = Math.max(0.1, value); });
+                this.addPropertyField('Length', 'number', element.length || 6, (value) => { element.length = Math.max(1, value); });
+                this.addPropertyField('Width', 'number', element.width || 8, (value) => { element.width = Math.max(1, value); });
+                break;
+            case 'surfaces':
+                this.addPropertyField('Surface', 'text', element.type, (value) => {
+                    const type = value.trim().toLowerCase();
+                    if (SURFACE_TYPES[type]) element.type = type;
+                });
+                this.addPropertyField('Radius', 'number', element.radius, (value) => { element.radius = Math.max(1, value); });
+                break;
+            case 'startGrid':
+                this.addPropertyField('Grid slot', 'text', this.selection.index === 0 ? '1 (player)' : String(this.selection.index + 1), null);
+                break;
+        }
+    }
+
+    // Adds a labelled input; 'onChange' receives the new value (numbers parsed). A null handler makes it read-only.
+    addPropertyField(labelText, type, value, onChange, affectsRoad = false) {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.readOnly = !onChange;
+        if (onChange) {
+            input.addEventListener('change', () => {
+                const parsed = type === 'number' ? parseFloat(input.value) : input.value;
+                if (type === 'number' && !isFinite(parsed)) return;
+                onChange(parsed);
+                if (affectsRoad) {
+                    delete (this.track.racingLine || {}).points;
+                }
+                this.trackChanged();
+            });
+        }
+        label.appendChild(input);
+        this.propertiesPanel.appendChild(label);
+    }
+
+    // --- Pointer handling ---
+
+    handlePointerDown(e) {
+        this.canvas.setPointerCapture(e.pointerId);
+        // Right/middle button or shift-drag pans the view
+        if (e.button !== 0 || e.shiftKey) {
+            this.drag = { mode: 'pan', lastX: e.offsetX, lastY: e.offsetY };
+            return;
+        }
+
+        const hit = this.pickElement(e.offsetX, e.offsetY);
+        if (hit) {
+            this.selection = hit;
+            this.drag = { mode: 'move', moved: false };
+            this.updatePropertiesPanel();
+            this.render();
+        } else if (this.tool === 'select') {
+            this.selection = null;
+            this.updatePropertiesPanel();
+            this.render();
+        } else {
+            const world = this.screenToWorld(e.offsetX, e.offsetY);
+            this.addElementAt(world.x, world.z);
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        if (this.drag.mode === 'pan') {
+            this.view.centerX -= (e.offsetX - this.drag.lastX) / this.view.scale;
+            this.view.centerZ -= (e.offsetY - this.drag.lastY) / this.view.scale;
+            this.drag.lastX = e.offsetX;
+            this.drag.lastY = e.offsetY;
+            this.render();
+            return;
+        }
+
+        const element = this.getElementList(this.selection.type)[this.selection.index];
+        const world = this.screenToWorld(e.offsetX, e.offsetY);
+        element.x = Math.round(world.x * 100) / 100;
+        element.z = Math.round(world.z * 100) / 100;
+        this.drag.moved = true;
+        if (this.selection.type === 'centerline') {
+            this.rebuildSamples(); // Redraw the road live; the rest waits for the drop
+        }
+        this.render();
+    }
+
+    handlePointerUp(e) {
+        if (this.drag && this.drag.mode === 'move' && this.drag.moved) {
+            if (this.selection.type === 'centerline') {
+                delete (this.track.racingLine || {}).points;
+            } else if (this.selection.type !== 'surfaces') { // Surface regions have no direction
+                this.orientToRoad(this.getElementList(this.selection.type)[this.selection.index], this.selection.type);
+            }
+            this.trackChanged();
+        }
+        this.drag = null;
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+    }
+
+    // Finds the element under a screen position, preferring the smaller markers over road points
+    pickElement(screenX, screenY) {
+        const types = ['startGrid', 'itemBoxes', 'boostPads', 'checkpoint', 'surfaces', 'centerline'];
+        for (const type of types) {
+            const list = this.getElementList(type);
+            for (let i = list.length - 1; i >= 0; i--) {
+                if (list[i].x === undefined) continue; // Polygon surface regions are edited in the JSON
+                const screen = this.worldToScreen(list[i].x, list[i].z);
+                if (Math.hypot(screen.x - screenX, screen.y - screenY) <= this.pickRadius) {
+                    return { type: type, index: i };
+                }
+            }
+        }
+        return null;
+    }
+
+    distanceToSegment(x, z, p1, p2) {
+        const segX = p2.x - p1.x;
+        const segZ = p2.z - p1.z;
+        const lengthSq = segX * segX + segZ * segZ;
+        let t = lengthSq > 0 ? ((x - p1.x) * segX + (z - p1.z) * segZ) / lengthSq : 0;
+        t = Math.max(0, Math.min(1, t));
+        return Math.hypot(x - (p1.x + segX * t), z - (p1.z + segZ * t));
+    }
+
+    // --- View ---
+
+    resizeCanvas() {
+        this.canvas.width = this.canvas.clientWidth || window.innerWidth;
+        this.canvas.height = this.canvas.clientHeight || window.innerHeight;
+    }
+
+    // Centers the view on the road with a margin around it
+    fitView() {
+        const points = this.track.centerline;
+        if (points.length === 0) return;
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minZ = Math.min(...zs), maxZ = Math.max(...zs);
+        const margin = 40;
+        this.view.centerX = (minX + maxX) / 2;
+        this.view.centerZ = (minZ + maxZ) / 2;
+        this.view.scale = Math.min(
+            this.canvas.width / (maxX - minX + margin * 2),
+            this.canvas.height / (maxZ - minZ + margin * 2)
+        ) || 4;
+    }
+
+    worldToScreen(x, z) {
+        return {
+            x: (x - this.view.centerX) * this.view.scale + this.canvas.width / 2,
+            y: (z - this.view.centerZ) * this.view.scale + this.canvas.height / 2
+        };
+    }
+
+    screenToWorld(screenX, screenY) {
+        return {
+            x: (screenX - this.canvas.width / 2) / this.view.scale + this.view.centerX,
+            z: (screenY - this.canvas.height / 2) / this.view.scale + this.view.centerZ
+        };
+    }
+
+    // --- Drawing ---
+
+    render() {
+        const ctx = this.context;
+        ctx.fillStyle = '#2e7d32';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.track) return;
+
+        this.drawRoad(ctx);
+        this.drawSurfaces(ctx);
+        this.drawControlPoints(ctx);
+        this.drawBoostPads(ctx);
+        this.drawItemBoxRows(ctx);
+        this.drawGates(ctx);
+        this.drawStartGrid(ctx);
+    }
+
+    drawRoad(ctx) {
+        const count = this.samples.length;
+        if (count === 0) return;
+
+        // Road surface, one quad per sample between the left and right edges
+        ctx.fillStyle = this.track.road && this.track.road.color ? this.track.road.color : '#333333';
+        ctx.strokeStyle = ctx.fillStyle;
+        ctx.lineWidth = 1;
+        const edges = this.samples.map((sample, i) => {
+            const prev = this.samples[(i - 1 + count) % count].position;
+            const next = this.samples[(i + 1) % count].position;
+            const tangent = new THREE.Vector3(next.x - prev.x, 0, next.z - prev.z).normalize();
+            const halfWidth = sample.width / 2;
+            return {
+                left: this.worldToScreen(sample.position.x + tangent.z * halfWidth, sample.position.z - tangent.x * halfWidth),
+                right: this.worldToScreen(sample.position.x - tangent.z * halfWidth, sample.position.z + tangent.x * halfWidth)
+            };
+        });
+        edges.forEach((edge, i) => {
+            const nextEdge = edges[(i + 1) % count];
+            ctx.beginPath();
+            ctx.moveTo(edge.left.x, edge.left.y);
+            ctx.lineTo(nextEdge.left.x, nextEdge.left.y);
+            ctx.lineTo(nextEdge.right.x, nextEdge.right.y);
+            ctx.lineTo(edge.right.x, edge.right.y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        // Dashed centerline with arrows showing the driving direction
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        this.samples.forEach((sample, i) => {
+            const screen = this.worldToScreen(sample.position.x, sample.position.z);
+            if (i === 0) ctx.moveTo(screen.x, screen.y); else ctx.lineTo(screen.x, screen.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        const arrowEvery = Math.max(1, Math.round(count / 12));
+        for (let i = 0; i < count; i += arrowEvery) {
+            const from = this.worldToScreen(this.samples[i].position.x, this.samples[i].position.z);
+            const next = this.samples[(i + 1) % count].position;
+            const to = this.worldToScreen(next.x, next.z);
+            const angle = Math.atan2(to.y - from.y, to.x - from.x);
+            ctx.save();
+            ctx.translate(from.x, from.y);
+            ctx.rotate(angle);
+            ctx.beginPath();
+            ctx.moveTo(6, 0);
+            ctx.lineTo(-4, -4);
+            ctx.lineTo(-4, 4);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+        }
+    }
+
+    drawControlPoints(ctx) {
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        this.track.centerline.forEach((point, i) => {
+            const screen = this.worldToScreen(point.x, point.z);
+            const isSelected = this.isSelected('centerline', i);
+            ctx.fillStyle = isSelected ? '#ffeb3b' : '#ffffff';
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, isSelected ? 7 : 5, 0, Math.PI * 2);
+            ctx.fill();
+            if (point.elevation) {
+                ctx.fillText(`${point.elevation > 0 ? '+' : ''}${point.elevation}`, screen.x + 9, screen.y);
+            }
+        });
+    }
+
+    drawGates(ctx) {
+        const gates = this.track.checkpoints.gates;
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        // Branch links between gates
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.setLineDash([4, 4]);
+        gates.forEach(gate => {
+            (gate.next || []).forEach(index => {
+                const target = gates[index];
+                if (!target) return;
+                const from = this.worldToScreen(gate.x, gate.z);
+                const to = this.worldToScreen(target.x, target.z);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            });
+        });
+        ctx.setLineDash([]);
+
+        gates.forEach((gate, i) => {
+            const halfWidth = (gate.width || 45) / 2;
+            const rotation = gate.rotation || 0;
+            // Gate line runs perpendicular to the gate normal (sin r, cos r)
+            const left = this.worldToScreen(gate.x - Math.cos(rotation) * halfWidth, gate.z + Math.sin(rotation) * halfWidth);
+            const right = this.worldToScreen(gate.x + Math.cos(rotation) * halfWidth, gate.z - Math.sin(rotation) * halfWidth);
+            const center = this.worldToScreen(gate.x, gate.z);
+            const isFinish = i === this.track.checkpoints.finishIndex;
+
+            ctx.strokeStyle = gate.color || '#ffff00';
+            ctx.lineWidth = this.isSelected('checkpoint', i) ? 5 : 3;
+            ctx.setLineDash(isFinish ? [8, 4] : []);
+            ctx.beginPath();
+            ctx.moveTo(left.x, left.y);
+            ctx.lineTo(right.x, right.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = this.isSelected('checkpoint', i) ? '#ffeb3b' : '#000000';
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, 9, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(isFinish ? 'F' : (gate.label || String(i + 1)), center.x, center.y);
+        });
+        ctx.lineWidth = 1;
+    }
+
+    drawItemBoxRows(ctx) {
+        this.track.itemBoxRows.forEach((row, i) => {
+            const count = row.count || 1;
+            const spacing = row.spacing || 4;
+            const heading = row.heading || 0;
+            const boxSize = Math.max(4, 2 * this.view.scale);
+            ctx.fillStyle = this.isSelected('itemBoxes', i) ? '#ffeb3b' : '#e040fb';
+            for (let j = 0; j < count; j++) {
+                const offset = (j - (count - 1) / 2) * spacing;
+                const screen = this.worldToScreen(row.x + Math.cos(heading) * offset, row.z - Math.sin(heading) * offset);
+                ctx.fillRect(screen.x - boxSize / 2, screen.y - boxSize / 2, boxSize, boxSize);
+            }
+        });
+    }
+
+    // Surface regions as translucent patches in their surface color, circles with a handle at the center
+    drawSurfaces(ctx) {
+        ctx.globalAlpha = 0.6;
+        this.track.surfaces.forEach((region, i) => {
+            const surface = SURFACE_TYPES[region.type] || SURFACE_TYPES.asphalt;
+            ctx.fillStyle = region.color || surface.color;
+            ctx.beginPath();
+            if (region.points) {
+                region.points.forEach((point, j) => {
+                    const screen = this.worldToScreen(point.x, point.z);
+                    if (j === 0) ctx.moveTo(screen.x, screen.y);
+                    else ctx.lineTo(screen.x, screen.y);
+                });
+                ctx.closePath();
+            } else {
+                const screen = this.worldToScreen(region.x, region.z);
+                ctx.arc(screen.x, screen.y, region.radius * this.view.scale, 0, Math.PI * 2);
+            }
+            ctx.fill();
+            if (this.isSelected('surfaces', i)) {
+                ctx.strokeStyle = '#ffeb3b';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        });
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 1;
+        this.track.surfaces.forEach(region => {
+            if (region.points) return;
+            const screen = this.worldToScreen(region.x, region.z);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(screen.x - 3, screen.y - 3, 6, 6);
+        });
+    }
+
+    drawBoostPads(ctx) {
+        this.track.boostPads.forEach((pad, i) => {
+            const screen = this.worldToScreen(pad.x, pad.z);
+            const heading = pad.heading || 0;
+            const length = (pad.length || 6) * this.view.scale;
+            const width = (pad.width || 8) * this.view.scale;
+            ctx.save();
+            ctx.translate(screen.x, screen.y);
+            ctx.rotate(Math.atan2(Math.cos(heading), Math.sin(heading))); // Screen angle of the heading (x right, z down)
+            ctx.fillStyle = this.isSelected('boostPads', i) ? '#ffeb3b' : '#ff8f00';
+            ctx.fillRect(-length / 2, -width / 2, length, width);
+            // Chevron showing the boost direction
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(-length / 4, -width / 3);
+            ctx.lineTo(length / 4, 0);
+            ctx.lineTo(-length / 4, width / 3);
+            ctx.stroke();
+            ctx.restore();
+        });
+        ctx.lineWidth = 1;
+    }
+
+    drawStartGrid(ctx) {
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.track.startGrid.forEach((slot, i) => {
+            const screen = this.worldToScreen(slot.x, slot.z);
+            const heading = slot.heading || 0;
+            ctx.save();
+            ctx.translate(screen.x, screen.y);
+            ctx.rotate(Math.atan2(Math.cos(heading), Math.sin(heading))); // Screen angle of the heading (x right, z down)
+            ctx.fillStyle = this.isSelected('startGrid', i) ? '#ffeb3b' : (i === 0 ? '#800080' : '#1e88e5');
+            ctx.beginPath();
+            ctx.moveTo(10, 0);
+            ctx.lineTo(-7, -7);
+            ctx.lineTo(-7, 7);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(i + 1), screen.x, screen.y - 14);
+        });
+    }
+
+    isSelected(type, index) {
+        return !!this.selection && this.selection.type === type && this.selection.index === index;
+    }
+}
@@ -6,6 +6,49 @@ const CC_MULTIPLIERS = {
     '200cc': 1.2,
 };
 
+// Length of one simulation step in seconds. Physics always advances in steps of this size, however
+// often the screen refreshes, and the frames drawn in between are interpolated.
+const SIMULATION_STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25; // Longest gap between frames that is caught up on; anything longer is dropped (e.g. a background tab)
+
+// Share of the remaining gap that easing at 'rate' (per second) closes in 'deltaTime' seconds
+function smoothingFactor(rate, deltaTime) {
+    return 1 - Math.exp(-rate * deltaTime);
+}
+
+// Track description loaded when no other track is requested
+const DEFAULT_TRACK_URL = 'tracks/oval.json';
+
+// Bots racing the player in every race
+const NUMBER_OF_BOTS = 3;
+
+// Driving characteristics of each surface. 'maxSpeed', 'acceleration' and 'turnResponse' scale a kart's own
+// values. 'grip' (and 'driftGrip' while drifting) is the share of the gap between where a kart points and where
+// it travels that closes every sixtieth of a second: 1 follows the nose exactly, low values slide. 'color' paints authored
+// regions and 'particleColor' is kicked up behind moving karts.
+const SURFACE_TYPES = {
+    asphalt: { maxSpeed: 1.0, acceleration: 1.0, turnResponse: 1.0, grip: 1.0, driftGrip: 1.0, color: '#333333', particleColor: null },
+    grass: { maxSpeed: 0.3, acceleration: 0.7, turnResponse: 0.9, grip: 0.6, driftGrip: 0.5, color: '#4caf50', particleColor: null },
+    dirt: { maxSpeed: 0.8, acceleration: 0.8, turnResponse: 0.95, grip: 0.3, driftGrip: 0.25, color: '#a1887f', particleColor: '#8d6e63' },
+    ice: { maxSpeed: 1.0, acceleration: 0.35, turnResponse: 0.8, grip: 0.04, driftGrip: 0.03, color: '#b3e5fc', particleColor: null },
+    mud: { maxSpeed: 0.45, acceleration: 0.5, turnResponse: 0.75, grip: 0.8, driftGrip: 0.7, color: '#5d4037', particleColor: '#4e342e' }
+};
+
+// Weather a race can be run in. 'fogColor' and 'fogDensity' hide the distance (no fog when 'fogColor' is null),
+// 'light' scales the sky and sun, and 'precipitation' ({ color, size, count, fallSpeed, wind }) falls around the
+// camera. 'grip' scales every surface's grip, 'braking' how quickly karts shed speed and 'cornering' the speed
+// bots carry through corners, so wet and snowy roads slide further, take longer to stop on and are driven slower.
+const WEATHER_PRESETS = {
+    clear: { label: 'Clear', fogColor: null, fogDensity: 0, light: 1.0, grip: 1.0, braking: 1.0, cornering: 1.0, precipitation: null },
+    rain: { label: 'Rain', fogColor: '#7d8691', fogDensity: 0.008, light: 0.55, grip: 0.75, braking: 0.6, cornering: 0.85, precipitation: { color: '#a8c0d8', size: 0.15, count: 1500, fallSpeed: 30, wind: 3 } },
+    fog: { label: 'Fog', fogColor: '#c8ccd0', fogDensity: 0.025, light: 0.8, grip: 0.9, braking: 0.85, cornering: 0.95, precipitation: null },
+    snow: { label: 'Snow', fogColor: '#dfe6ee', fogDensity: 0.012, light: 0.85, grip: 0.6, braking: 0.5, cornering: 0.75, precipitation: { color: '#ffffff', size: 0.35, count: 1200, fallSpeed: 4, wind: 1.5 } }
+};
+
+// Checkpoint gate colors in driving order, used by the track editor and generator
+const CHECKPOINT_GATE_COLORS = ['#ffff00', '#0000ff', '#00ff00', '#ff0000', '#ff8800', '#00ffff', '#ff00ff', '#ffffff'];
+const CHECKPOINT_GATE_SPACING = 60; // Distance between generated gates when a track does not say how many it wants
+
 // Simple Mulberry32 PRNG
 function mulberry32(a) {
     return function() {
@@ -16,10 +59,172 @@ function mulberry32(a) {
     }
 }
 
+// Uniform Catmull-Rom interpolation of a scalar between p1 (t=0) and p2 (t=1)
+function catmullRom(t, p0, p1, p2, p3) {
+    const v0 = (p2 - p0) * 0.5;
+    const v1 = (p3 - p1) * 0.5;
+    const t2 = t * t;
+    const t3 = t * t2;
+    return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+// Signed curvature (1 / turn radius, positive turning left) of the circle through three points on the ground plane
+function signedCurvature(a, b, c) {
+    const cross = (b.x - a.x) * (c.z - b.z) - (b.z - a.z) * (c.x - b.x);
+    const lengths = Math.hypot(b.x - a.x, b.z - a.z) * Math.hypot(c.x - b.x, c.z - b.z) * Math.hypot(c.x - a.x, c.z - a.z);
+    return lengths > 1e-9 ? -2 * cross / lengths : 0;
+}
+
+// Samples a closed Catmull-Rom spline through a track's control points, roughly every 'sampleSpacing' units.
+// Each control point carries its own road width, banking (radians, positive raises the left edge) and
+// elevation, interpolated in between. Shared by the game and the track editor.
+function sampleCenterlineSpline(controlPoints, sampleSpacing) {
+    const count = controlPoints.length;
+    const curve = new THREE.CatmullRomCurve3(
+        controlPoints.map(point => new THREE.Vector3(point.x, point.elevation || 0, point.z)),
+        true, // Closed loop
+        'centripetal' // Avoids cusps and self-loops on tight, unevenly spaced corners
+    );
+    const samples = [];
+
+    for (let i = 0; i < count; i++) {
+        const p0 = controlPoints[(i - 1 + count) % count];
+        const p1 = controlPoints[i];
+        const p2 = controlPoints[(i + 1) % count];
+        const p3 = controlPoints[(i + 2) % count];
+        const segmentLength = Math.hypot(p2.x - p1.x, p2.z - p1.z);
+        const steps = Math.max(2, Math.ceil(segmentLength / sampleSpacing));
+
+        for (let step = 0; step < steps; step++) {
+            const t = step / steps;
+            samples.push({
+                position: curve.getPoint((i + t) / count),
+                width: Math.max(2, catmullRom(t, p0.width, p1.width, p2.width, p3.width)),
+                banking: catmullRom(t, p0.banking || 0, p1.banking || 0, p2.banking || 0, p3.banking || 0)
+            });
+        }
+    }
+    return samples;
+}
+
+// Distances along a closed loop of centerline samples, and the road at any distance round it
+function createRoadLocator(samples) {
+    const distances = [0];
+    for (let i = 1; i < samples.length; i++) {
+        distances.push(distances[i - 1] + samples[i - 1].position.distanceTo(samples[i].position));
+    }
+    const loopLength = distances[samples.length - 1] + samples[samples.length - 1].position.distanceTo(samples[0].position);
+
+    // Driving direction at a sample, from its neighbours
+    const tangentAt = (index) => {
+        const next = samples[(index + 1) % samples.length].position;
+        const prev = samples[(index - 1 + samples.length) % samples.length].position;
+        return new THREE.Vector3(next.x - prev.x, 0, next.z - prev.z).normalize();
+    };
+
+    // Road position, direction and width a given distance along the loop from the first sample
+    const roadAt = (distance) => {
+        distance = ((distance % loopLength) + loopLength) % loopLength;
+        let index = 0;
+        while (index < samples.length - 1 && distances[index + 1] <= distance) index++;
+        const tangent = tangentAt(index);
+        const position = samples[index].position.clone().addScaledVector(tangent, distance - distances[index]);
+        return { position: position, tangent: tangent, width: samples[index].width };
+    };
+
+    return { distances: distances, loopLength: loopLength, tangentAt: tangentAt, roadAt: roadAt };
+}
+
+// Index of a track's finish gate: the given index clamped to its gates, or the last gate if none is given
+function getFinishGateIndex(finishIndex, gateCount) {
+    if (typeof finishIndex !== 'number' || !isFinite(finishIndex)) return gateCount - 1;
+    return Math.min(gateCount - 1, Math.max(0, Math.round(finishIndex)));
+}
+
+// Evenly spaced gates round a loop of centerline samples, 'count' of them or one every
+// CHECKPOINT_GATE_SPACING so long tracks get more. The finish gate ('finishIndex', the last by default)
+// sits 'finishDistance' along the loop and the others follow it in driving order, each facing back
+// along the road like authored gates.
+function generateEvenCheckpointGates(samples, finishDistance, count, finishIndex) {
+    const road = createRoadLocator(samples);
+    count = Math.max(2, Math.round(count || road.loopLength / CHECKPOINT_GATE_SPACING));
+    finishIndex = getFinishGateIndex(finishIndex, count);
+
+    const gates = [];
+    for (let step = 0; step < count; step++) {
+        const index = (finishIndex + step) % count;
+        const gateRoad = road.roadAt(finishDistance + (step / count) * road.loopLength);
+        gates[index] = {
+            x: gateRoad.position.x,
+            z: gateRoad.position.z,
+            rotation: Math.atan2(-gateRoad.tangent.x, -gateRoad.tangent.z), // Gate normal faces back along the road
+            width: Math.round(gateRoad.width + 10),
+            color: CHECKPOINT_GATE_COLORS[index % CHECKPOINT_GATE_COLORS.length],
+            label: String(index + 1)
+        };
+    }
+    return gates;
+}
+
+// Returns a copy of a track description flipped left to right (x negated). The loop is still driven in
+// the same point order, so gates keep their order and their normals keep facing back along the road.
+// Headings and gate rotations are negated and banking swaps sides; the original description is untouched.
+function mirrorTrackDefinition(definition) {
+    const mirrored = JSON.parse(JSON.stringify(definition));
+    const mirrorPoint = (point) => { point.x = -point.x; };
+    const mirrorPose = (pose) => {
+        mirrorPoint(pose);
+        if (pose.heading !== undefined) pose.heading = -pose.heading;
+    };
+
+    mirrored.centerline.forEach(point => {
+        mirrorPoint(point);
+        if (point.banking) point.banking = -point.banking;
+    });
+    if (mirrored.checkpoints) {
+        (mirrored.checkpoints.gates || []).forEach(gate => {
+            mirrorPoint(gate);
+            gate.rotation = -gate.rotation;
+        });
+    }
+    (mirrored.itemBoxRows || []).forEach(mirrorPose);
+    (mirrored.boostPads || []).forEach(mirrorPose);
+    (mirrored.startGrid || []).forEach(mirrorPose);
+    (mirrored.surfaces || []).forEach(region => {
+        if (region.points) region.points.forEach(mirrorPoint);
+        else mirrorPoint(region);
+    });
+    (mirrored.hazards || []).forEach(hazard => {
+        if (hazard.path) hazard.path.forEach(mirrorPoint);
+        else mirrorPose(hazard);
+        if (hazard.type === 'swingingBar') {
+            hazard.amplitude = -(hazard.amplitude !== undefined ? hazard.amplitude : 1.0); // Swing the other way as well
+        }
+    });
+    if (mirrored.walls && mirrored.walls.gaps) {
+        mirrored.walls.gaps.forEach(mirrorPoint);
+    }
+    if (mirrored.racingLine && mirrored.racingLine.points) {
+        mirrored.racingLine.points = mirrored.racingLine.points.map(([x, z]) => [-x, z]);
+    }
+    mirrored.mirrored = true;
+    return mirrored;
+}
+
 class Game {
-    constructor(difficulty = 'easy', cc = '150cc') { // Accept difficulty and cc
+    constructor(difficulty = 'easy', cc = '150cc', options = {}) { // Accept difficulty, cc and extra race options
         this.difficulty = difficulty; // Store difficulty
         this.cc = cc; // Store cc
+        this.trackSource = options.track || DEFAULT_TRACK_URL; // URL of a track JSON file, or an already parsed track description
+        this.gridOrder = options.gridOrder || null; // Racer ids ('player', 'bot_0', ...) in start-grid order; defaults to the player on pole
+        this.onRaceFinished = options.onRaceFinished || null; // Called with the final results instead of showing the race-complete modal
+        this.mirrorMode = !!options.mirror; // Race the track flipped left to right
+        this.weather = WEATHER_PRESETS[options.weather] || WEATHER_PRESETS.clear; // Scenery and traction for this race
+        this.playerLoadout = options.loadout || createDefaultKartLoadout(); // Parts the player's kart is built from ({ body, wheels, glider })
+        this.playerCharacter = getCharacter(options.character); // The player's driver (see characters.js)
+        this.botCharacterIds = options.botCharacters || null; // Character ids for bot_0, bot_1, ... in order; picked at random when not given
+        this.listenerController = new AbortController(); // Aborted by dispose() to remove every input listener this game added
+        this.isDisposed = false;
         // console.log(`Starting game with difficulty: ${this.difficulty}, CC: ${this.cc}`);
 
         const ccMultiplier = CC_MULTIPLIERS[this.cc] || 1.0;
@@ -46,51 +251,57 @@ class Game {
             drift: false,
             rearView: false // Added for rear view
         };
-        this.speed = 0;
-        // Base speeds for 150cc (these are the reference values)
-        const baseMaxSpeed = 0.5; // Max arbitrary speed for 150cc
-        const baseAcceleration = 0.0033; // Acceleration for 150cc
+        // Base speeds for 150cc (these are the reference values). Physics uses world units and seconds:
+        // speeds are units per second, accelerations units per second per second and turn rates radians per second.
+        const baseMaxSpeed = 30; // Max speed for 150cc
+        const baseAcceleration = 11.88; // Acceleration for 150cc
         const baseMaxSpeedKmh = 180; // Max km/h for 150cc
 
-        // Universal conversion factor from arbitrary speed units to km/h, based on the 150cc standard.
-        // (e.g., 1 arbitrary speed unit effectively equals (180km/h / 0.5 arb_units) = 360 km/h)
+        // Universal conversion factor from speed units to km/h, based on the 150cc standard.
+        // (e.g., 1 unit per second effectively equals (180km/h / 30 units/s) = 6 km/h)
         this.universalKmhConversionFactor = baseMaxSpeedKmh / baseMaxSpeed;
 
         // Kart's physics properties for the current CC
-        this.maxSpeed = baseMaxSpeed * ccMultiplier; // Max arbitrary speed for current CC
+        this.maxSpeed = baseMaxSpeed * ccMultiplier; // Max speed for current CC
         this.acceleration = baseAcceleration * ccMultiplier; // Acceleration for current CC
-        this.deceleration = 0.005; // Deceleration might not need to scale, or scale differently
-        this.turnSpeed = 0.015; // Turn speed might also be independent of CC or scale differently
+        this.deceleration = 18; // Deceleration might not need to scale, or scale differently
+        this.turnSpeed = 0.9; // Turn speed might also be independent of CC or scale differently
 
         // Drift and hop parameters
-        this.isDrifting = false;
-        this.isHopping = false;
-        this.hopHeight = 0;
         this.maxHopHeight = 0.5;
-        this.hopSpeed = 0.025; // Reduced from 0.05 for slower initial hop
+        this.hopSpeed = 1.5; // Upward speed a hop starts with
         this.driftSpeedMultiplier = 0.7; // Reduces max speed while drifting
         this.driftTurnMultiplier = 1.5;  // Increases turn speed while drifting
-        this.gravity = 0.003; // Reduced from 0.1 for slower fall
-        this.verticalVelocity = 0;
-        this.lastDriftState = false; // Add tracking for drift button state change
-        this.canStartDrift = false;  // New flag to track if drift can be initiated
-        this.driftActive = false; // New flag to track when drift effects should apply
+        this.gravity = 10.8; // Pulls a hop back down
 
         // Mini-turbo parameters
-        this.driftTime = 0;
-        this.miniTurboStage = 0; // 0: none, 1: blue spark, 2: orange spark, 3: purple spark
         this.miniTurboThresholds = [0, 1.0, 1.8, 2.8]; // Lowered thresholds slightly (was 1.2, 2.0, 3.0)
         this.miniTurboBoostDurations = [0.8, 1.5, 2.5]; // Duration in seconds for each boost level
-        this.boostMultiplier = 1.5; // Fixed boost multiplier for all levels
-        this.boostTime = 0;
-        this.maxBoostTime = 1.0;
-        this.boosting = false;
+        this.miniTurboBoostMultiplier = 1.3; // Speed limit while a mini-turbo boost lasts, as a multiple of max speed
+
+        // Rocket start: holding accelerate from inside this window before GO launches the kart with a boost;
+        // holding it from any earlier burns out and stalls the kart, and pressing later is an ordinary start
+        this.rocketStartWindow = { earliest: 1.5, latest: 0.8 }; // Seconds before GO
+        this.rocketStartSpeed = 0.6; // Share of top speed the kart launches at
+        this.rocketStartBoostTime = 1.0; // Seconds of mini-turbo boost after the launch
+        this.burnoutStallTime = 1.2; // Seconds a burnt-out kart sits on the line
+        this.botRocketStartChances = { easy: 0.2, medium: 0.45, hard: 0.75 }; // Chance a bot times its start right
+
+        // Slipstream: driving in the cone behind another racer fills a meter, which gives a short boost once full
+        this.slipstreamLength = 18; // How far behind a racer its slipstream reaches
+        this.slipstreamConeAngle = Math.PI / 12; // Half-angle of the cone
+        this.slipstreamMinSpeed = 0.5; // Share of their top speed both karts need for a slipstream
+        this.slipstreamChargeTime = 1.5; // Seconds in a slipstream to fill the meter
+        this.slipstreamDrainTime = 1.0; // Seconds for a full meter to empty outside one
+        this.slipstreamBoostTime = 1.2;
+        this.slipstreamBoostMultiplier = 1.2; // Speed limit while the boost lasts, as a multiple of max speed
 
         // Visual feedback
         this.sparkColors = [new THREE.Color(0x0099ff), new THREE.Color(0xff6600), new THREE.Color(0xcc00ff)]; // Use THREE.Color
 
         // Speedometer element
         this.speedDisplay = document.querySelector('.speed-value');
+        this.slipstreamFill = document.querySelector('.slipstream-fill'); // The player's slipstream meter
         // The 'this.maxSpeedKmh' property is no longer directly used for speedometer calculation,
         // as speed is now converted using 'this.universalKmhConversionFactor'.
         // If needed, the actual top km/h for the current CC can be found via:
@@ -101,19 +312,18 @@ class Game {
             // Skip preventDefault if touching Eruda elements
             if (this.isErudaElement(e.target)) return;
             e.preventDefault();
-        }, { passive: false });
+        }, { passive: false, signal: this.listenerController.signal });
         
         document.addEventListener('touchstart', (e) => {
             // Skip preventDefault if touching Eruda elements
             if (this.isErudaElement(e.target)) return;
             e.preventDefault();
-        }, { passive: false });
+        }, { passive: false, signal: this.listenerController.signal });
 
         // Camera smoothing parameters
         this.cameraTargetPosition = new THREE.Vector3();
         this.cameraCurrentPosition = new THREE.Vector3();
-        this.cameraLerpFactor = 0.1; // Adjust this value to change smoothing (0.01 to 0.1)
-        this.lastKartPosition = new THREE.Vector3();
+        this.cameraSmoothing = 6.3; // How quickly the camera catches up with the kart (per second; higher is stiffer)
         this.cameraHeight = 5; // New parameter for camera height
         this.cameraDistance = -8; // New parameter for camera distance (negative for behind)
         this.isRearViewActive = false; // State for rear view camera
@@ -123,37 +333,89 @@ class Game {
         this.maxSparks = 200; // Max number of spark particles
         this.sparkLifetime = 0.3; // Seconds a spark lives
         this.sparkEmitRate = 50; // Sparks per second during drift
-        this.lastSparkEmitTime = 0;
         this.setupSparkParticles(); // Initialize the particle system
 
+        // Surface Particles (dirt and mud thrown up behind karts)
+        this.surfaceParticles = [];
+        this.maxSurfaceParticles = 300;
+        this.surfaceParticleLifetime = 0.6; // Seconds a particle lives
+        this.setupSurfaceParticles();
+
+        // Wind lines streaming past karts in a slipstream, more of them the fuller the meter
+        this.windLines = []; // {position, direction, speed, length, lifetime}
+        this.maxWindLines = 150;
+        this.windLineLifetime = 0.35; // Seconds a line lives
+        this.windLineEmitRate = 40; // Lines per second with a full meter or during the boost
+        this.setupWindLines();
+
+        // Surfaces as the weather leaves them: wet or snowy ground grips less
+        this.surfaceTypes = {};
+        Object.keys(SURFACE_TYPES).forEach(name => {
+            const surface = SURFACE_TYPES[name];
+            this.surfaceTypes[name] = { ...surface, grip: surface.grip * this.weather.grip, driftGrip: surface.driftGrip * this.weather.grip };
+        });
+        this.precipitation = null; // Points for falling rain or snow, set in setupWeather
+        this.precipitationBoxSize = 60; // Width of the box of drops kept round the camera
+
         // Speed transition parameters
-        this.currentSpeedLimit = this.maxSpeed;
-        this.targetSpeedLimit = this.maxSpeed;
-        this.speedLimitLerpFactor = 0.03; // Adjusted for 1-second transition (approximately 1/60)
-
-        // Track parameters
-        this.trackLength = 130;
-        this.trackWidth = 130;   // Keep outer width the same
-        this.trackLengthInner = 60;
-        this.trackWidthInner = 30;   // Decreased from 100 to 30
+        this.speedLimitSmoothing = 1.8; // Per second, so speed limit changes ease in over about a second
+
+        // Track parameters (everything is built from the loaded track description)
+        this.trackDefinition = null; // Parsed track JSON, set in setupSceneAndStart
+        this.trackCenterline = []; // [{position, width, banking}] sampled along the spline in driving order, closed loop
+        this.trackSampleSpacing = 4.0; // Approximate distance between centerline samples
+        this.centerlineGrid = null; // {minX, minZ, columns, rows, cells}: centerline segment indices bucketed by area, for closest-point lookups
+        this.centerlineGridCellSize = 16; // World units per side of a centerline grid cell
         this.racingLinePoints = []; // Array to store points defining the ideal racing line
+        this.racingLineSpeeds = []; // Fastest a kart can take each racing-line point and still make the corners after it (units per second)
+        this.racingLineEdgeMargin = 4; // Room the optimized racing line leaves to the road edges
+        this.racingLineCornerGrip = 21.6; // Sideways acceleration a kart holds through a corner (units per second per second)
+        this.racingLineBraking = 21.6; // Deceleration the speed profile allows for braking into a corner
+        this.terrainSize = 400; // Width and depth of the ground height field around the track
+        this.terrainResolution = 160; // Grid cells per side of the ground height field
+
+        // Elevation physics
+        this.airGravity = 43.2; // Pull on an airborne kart (units per second per second)
+        this.slopeAcceleration = 14.4; // Deceleration on a 1:1 uphill slope (acceleration downhill)
 
         // Drift momentum parameters
-        this.driftDirection = 0; // 1 for left, -1 for right
-        this.driftMomentumTurnSpeed = 0.005;
-        this.defaultDriftMomentumTurnSpeed = 0.005; // Store default value
+        this.defaultDriftMomentumTurnSpeed = 0.3; // Radians per second a kart keeps turning into a drift without steering
         this.oppositeDirectionFactor = 0.001; // How much opposite direction reduces momentum (lower = more reduction)
-        this.isInDriftMomentum = false;
-        this.offRoadMultiplier = 0.3; // Speed multiplier when off-road
-        this.impulse = new THREE.Vector3(0, 0, 0); // Impulse vector for bumps
-        this.impulseDecay = 0.85; // How quickly bump effect fades
+        this.impulseDamping = 9.75; // How quickly bump effect fades (per second)
+
+        // Kart-to-kart bumps trade momentum along the line between the karts
+        this.kartBumpRadius = 1.1; // Karts closer than twice this touch
+        this.kartRestitution = 0.5; // Share of the closing speed the karts part at
+        this.kartBumpShove = 14.4; // Speed two karts side by side at full speed part at, shared out by mass (units per second)
+        this.kartBoostMassMultiplier = 1.5; // A boosting kart barrels through as if this much heavier
+        this.kartShrunkMassMultiplier = 0.5; // A kart shrunk by lightning is pushed around as if this much lighter
 
         // Item System
         this.itemTypes = ['mushroom', 'banana', 'greenShell', 'redShell', 'fakeItemBox', 'boo', 'lightningBolt', 'blueShell'];
         this.itemBoxes = [];
         this.itemBoxMeshes = []; // Store the visual meshes separately
         this.itemBoxRespawnTime = 8.0; // Seconds for item box to respawn
-        
+
+        // Boost pads (dash panels) placed by the track
+        this.boostPads = []; // {mesh, position, heading, length, width, strength, nearRacingLine}
+        this.boostPadTime = 1.0; // Seconds of mushroom-strength boost from a strength 1 pad
+        this.boostPadSteerDistance = 30; // How far ahead bots look for a pad to drive over
+
+        // Moving hazards placed by the track (crushers, boulders, swinging bars)
+        this.hazards = []; // {type, mesh, ...}, posed purely from hazardTime so bots can predict them
+        this.hazardTime = 0; // Seconds of racing; drives every hazard's motion
+        this.hazardHitCooldown = 1.5; // Seconds before the same hazard can hit the same racer again
+        this.hazardLookAheadDistance = 35; // How far ahead bots check for hazards
+
+        // Rescue: karts that are stuck or out of bounds are lifted back onto the racing line
+        this.outOfBoundsDistance = 25; // How far past the road edge a kart may stray (room for shortcuts through wall gaps)
+        this.stuckTime = 3.0; // Seconds of trying to drive without getting anywhere before a rescue
+        this.stuckDistance = 2.0; // Distance a kart must cover within stuckTime to not count as stuck
+        this.rescueLiftTime = 0.8; // Seconds spent lifting the kart off the course (part of the penalty)
+        this.rescueDropTime = 0.7; // Seconds spent lowering it back onto the racing line
+        this.rescueHeight = 6; // How high the kart is lifted
+        this.rescueGraceTime = 2.0; // Seconds a rescued kart is invincible, to get going again without being knocked about
+
         // Active Items Storage
         this.droppedBananas = []; // Store active banana objects {mesh, owner}
         this.activeGreenShells = []; // {mesh, velocity, owner, bouncesLeft, lifetime}
@@ -161,25 +423,11 @@ class Game {
         this.activeBlueShells = []; // {mesh, targetRacer, owner, lifetime, speed, heightOffset}
         this.droppedFakeItemBoxes = []; // {mesh, owner}
 
-        // Player Item State
-        this.playerItem = null;
-        this.playerStunDuration = 0;
-        this.playerMushroomBoostDuration = 0;
-        this.playerIsInvisible = false; // For Boo
-        this.playerInvisibilityDuration = 0; // For Boo
-        this.playerIsAttemptingBooSteal = false; // For Boo steal attempt after invisibility
-        this.playerShrinkDuration = 0; // For Lightning
-        this.originalPlayerScale = new THREE.Vector3(1, 1, 1); // Store original scale
-        this.playerIsSpinningOut = false; // For Blue Shell hit
-        this.playerSpinOutTimer = 0;    // For Blue Shell hit
-
         // Item Trailing State
         this.isItemButtonPressed = false; // Generic flag for item button being down (UI or key)
-        this.playerIsTrailingItem = false;
-        this.playerTrailedItemMesh = null;
-        this.playerTrailedItemType = null;
-        this.itemHoldTimeout = null; // Timer for item hold (both UI button and 'e' key)
+        this.itemHoldTimeout = null; // Timer for item hold (UI button, 'e' key or gamepad)
         this.ITEM_HOLD_THRESHOLD = 200; // ms for hold detection
+        this.isGamepadItemButtonDown = false; // Gamepad item button state at the last frame, to spot presses and releases
         // this.buttonHoldThresholdMet = false; // No longer needed
 
         // Item Effect Constants
@@ -202,42 +450,61 @@ class Game {
         this.blueShellLifetime = 15.0; // Max time a Blue Shell stays active
         this.blueShellExplosionRadius = 10.0; // Radius of Blue Shell explosion
         this.blueShellStunTime = 3.0; // Stun duration from Blue Shell
-        this.blueShellSpinOutDuration = 2.0; // How long player spins
+        this.blueShellSpinOutDuration = 2.0; // How long a hit kart spins
         this.blueShellSpinSpeed = Math.PI * 5; // Rotation speed during spin-out (radians/sec)
 
 
         // Lap counting system
-        this.currentLap = 1;
-        this.maxLaps = 10; // Changed to 10 laps
-        this.checkpointsPassed = 0;
-        this.totalCheckpoints = 4; // We'll divide track into 4 sectors
-        this.lastCheckpoint = -1;
+        this.maxLaps = options.laps || 10; // Laps to finish the race; cups pass their own count
+        this.totalCheckpoints = 0; // Set from the track description's checkpoint gates
+        this.finishCheckpointIndex = 0; // Index of the start/finish gate, set from the track description
         this.checkpoints = []; // Will store checkpoint coordinates
+        this.checkpointNext = []; // Gate indices that may follow each gate; more than one where the track branches
+        this.checkpointProgress = []; // Fraction of a lap (0 at the finish line) at each gate, for ranking across branches
         this.raceFinished = false;
         this.gameState = 'countdown'; // Add game state: 'countdown', 'racing', 'finished'
-        this.countdownValue = 3;
-        this.bots = []; // Array to hold bot objects
+        this.countdownTimeLeft = 3; // Seconds until GO, counted down by the simulation
+        this.goDisplayTime = 1; // Seconds 'GO!' stays up once the race starts
+        this.player = null; // The player's Kart, created once its model has loaded
+        this.bots = []; // Bot Karts
+        this.karts = []; // Every racer, the player first
+        this.finishOrder = []; // Racer ids in the order they completed the final lap
         this.playerPosition = 1; // Initialize player position
         this.frameCount = 0; // Frame counter for throttling logs
+        this.simulationTime = 0; // Seconds simulated since the race started, advanced one step at a time
+        this.lastFrameTime = null; // Timestamp (ms) of the previous animation frame
+        this.frameTimeAccumulator = 0; // Seconds of frame time not yet simulated
+        this.previousPoses = new Map(); // Object3D -> { position, quaternion } before the latest simulation step
         this.raceStartTime = 0; // Timestamp for when the race actually starts (after GO!)
 
         // Wall properties
-        this.wallMeshes = [];
-        this.raycaster = new THREE.Raycaster();
+        this.wallSegments = []; // {start, end, center, direction, normal, length, halfThickness, top}: walls seen from above, for collisions
         this.WALL_HEIGHT = 3.0;
         this.WALL_THICKNESS = 1.0; // Increased thickness for better visibility/collision
         this.WALL_MATERIAL = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.8, metalness: 0.2 });
         this.kartRadius = 1.0; // Approximate radius for kart collision
+        this.wallBounceAngle = Math.PI / 5; // Karts hitting a wall at more than this slide no further and bounce off
+        this.wallBounceMinSpeed = 12; // Slower hits than this (units per second into the wall) always slide
+        this.wallBounceSpeedKept = 0.4; // Share of the speed along the wall kept after a bounce
+        this.wallRestitution = 0.5; // Share of the speed into the wall a bounce pushes back out
+        this.wallScrapeFriction = 0.3; // Share of the speed along the wall a head-on scrape would lose
 
 
         // UI Elements
         this.lapDisplay = document.querySelector('.lap-counter');
         this.positionDisplay = document.querySelector('.position-display');
+        this.standingsDisplay = document.querySelector('.race-standings'); // Every racer's name in race order
+        this.displayedStandings = ''; // Racer ids last shown there, so the list is only rebuilt when the order changes
+        this.trackInfoDisplay = document.querySelector('.track-info');
         this.countdownDisplay = document.getElementById('countdown-display');
         this.itemDisplay = document.getElementById('item-display'); // Get item display element
         this.itemNameDisplay = document.getElementById('item-name'); // Get inner span for item name/icon
         this.useItemButton = document.getElementById('use-item-button'); // Get use item button
         this.rearViewButton = document.getElementById('rear-view-button'); // Get rear view button
+        this.minimapCanvas = document.getElementById('minimap');
+        this.minimapContext = this.minimapCanvas ? this.minimapCanvas.getContext('2d') : null;
+        this.minimapTransform = null; // World to canvas scale and offset, set in setupMinimap
+        this.minimapBackground = null; // Offscreen canvas with the track painted on it
         this.updateLapCounter();
         this.updateScoreboard();
         this.updateItemDisplay(); // Initial update for item display
@@ -248,25 +515,21 @@ class Game {
 
     async setupSceneAndStart() {
         try {
+            this.trackDefinition = await this.loadTrackDefinition(this.trackSource);
+            if (this.mirrorMode) {
+                this.trackDefinition = mirrorTrackDefinition(this.trackDefinition);
+            }
+            this.updateTrackInfo();
             await this.setupScene(); // setupScene will now handle kart loading
-            
-            // These must run after this.kart is loaded and scene is partially set up
-            this.createBots(3);
-            // Store original scale for player kart after it's loaded and potentially scaled
-            if (this.kart) {
-                this.kart.getWorldScale(this.originalPlayerScale);
-            }
-            // Store original scale for bots (already done in createBots if their geometry is simple)
-            this.bots.forEach(bot => {
-                if (bot.mesh.isMesh) { // Simple box bots
-                     bot.mesh.getWorldScale(bot.originalScale);
-                } else { // If bots were also complex models
-                    bot.mesh.getWorldScale(bot.originalScale);
-                }
-            });
 
+            // These must run after the player's kart is loaded and scene is partially set up
+            this.createBots(NUMBER_OF_BOTS);
+            this.karts = [this.player, ...this.bots];
 
             this.createItemBoxes();
+            this.createBoostPads();
+            this.createHazards();
+            this.setupMinimap();
             this.setupControls();
             this.startCountdown();
         } catch (error) {
@@ -275,6 +538,52 @@ class Game {
         }
     }
     
+    // Resolves a track description from a URL or returns an already parsed one unchanged
+    async loadTrackDefinition(source) {
+        if (typeof source !== 'string') {
+            return source;
+        }
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to load track "${source}" (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+
+    // Shows the track name, plus the seed of a generated track so it can be shared, mirror mode and the weather
+    updateTrackInfo() {
+        if (!this.trackInfoDisplay) return;
+        const { name, seed, mirrored } = this.trackDefinition;
+        let text = seed !== undefined ? `${name || 'Random Circuit'} · Seed ${seed}` : (name || '');
+        if (mirrored) text = `${text || 'Track'} · Mirror`;
+        if (this.weather !== WEATHER_PRESETS.clear) text = `${text || 'Track'} · ${this.weather.label}`;
+        this.trackInfoDisplay.textContent = text;
+        this.trackInfoDisplay.classList.toggle('hidden', !this.trackInfoDisplay.textContent);
+    }
+
+    // Grid slot for a racer id: its place in the requested grid order, otherwise
+    // the player on pole with the bots lined up behind in order
+    getGridSlotIndex(racerId) {
+        if (this.gridOrder && this.gridOrder.includes(racerId)) {
+            return this.gridOrder.indexOf(racerId);
+        }
+        return racerId === 'player' ? 0 : parseInt(racerId.split('_')[1], 10) + 1;
+    }
+
+    // Returns the start position and heading for a grid slot (0 is pole position).
+    // Slots beyond those listed in the track are staggered behind the last one.
+    getStartGridSlot(index) {
+        const slots = this.trackDefinition.startGrid;
+        const slot = slots[Math.min(index, slots.length - 1)];
+        const position = new THREE.Vector3(slot.x, 0, slot.z);
+        const extraRows = index - (slots.length - 1);
+        if (extraRows > 0) {
+            const forward = new THREE.Vector3(Math.sin(slot.heading), 0, Math.cos(slot.heading));
+            position.addScaledVector(forward, -2.5 * extraRows);
+        }
+        return { position: position, heading: slot.heading };
+    }
+
     // Helper function to check if an element is part of Eruda
     isErudaElement(element) {
         if (!element) return false;
@@ -297,16 +606,18 @@ class Game {
 
     setupScene() {
         return new Promise((resolve, reject) => {
-            // Create larger ground
-            const groundGeometry = new THREE.PlaneGeometry(400, 400);
-            const groundMaterial = new THREE.MeshBasicMaterial({ color: 0x00aa00, side: THREE.DoubleSide });
-            this.ground = new THREE.Mesh(groundGeometry, groundMaterial);
-            this.ground.rotation.x = Math.PI / 2;
-            this.scene.add(this.ground);
+            this.setupLighting();
+            this.setupWeather();
 
             // Create race track (which now also creates walls and checkpoints)
             this.createRaceTrack(); // This also calls createCheckpoints internally
 
+            // Ground height field shaped around the track's hills and dips
+            this.createTerrain();
+
+            // Painted patches of other surfaces (ice, mud, ...)
+            this.createSurfaceRegions();
+
             // Load player kart model and texture
             const textureLoader = new THREE.TextureLoader();
             const objLoader = new THREE.OBJLoader();
@@ -320,11 +631,11 @@ class Game {
                     objLoader.load(
                         '/Shaded/base.obj', // Path to your OBJ file
                         (object) => {
-                            this.kart = object;
+                            const kartMesh = object;
 
                             // --- Apply transformations and material to the loaded kart ---
                             const desiredHeight = 1.0; // Target height for the kart
-                            const boundingBox = new THREE.Box3().setFromObject(this.kart);
+                            const boundingBox = new THREE.Box3().setFromObject(kartMesh);
                             const currentSize = new THREE.Vector3();
                             boundingBox.getSize(currentSize);
                             
@@ -337,7 +648,7 @@ class Game {
                                 scaleFactor = 0.1;
                             }
 
-                            this.kart.scale.set(scaleFactor, scaleFactor, scaleFactor);
+                            kartMesh.scale.set(scaleFactor, scaleFactor, scaleFactor);
                             
                             // Apply the loaded texture using MeshBasicMaterial
                             // If the texture is just a color map for a PBR workflow and the model has normals,
@@ -345,7 +656,7 @@ class Game {
                             // const kartMaterial = new THREE.MeshStandardMaterial({ map: texture, roughness: 0.6, metalness: 0.3 });
                             const kartMaterial = new THREE.MeshBasicMaterial({ map: texture });
                             
-                            this.kart.traverse((child) => {
+                            kartMesh.traverse((child) => {
                                 if (child.isMesh) {
                                     child.material = kartMaterial;
                                     child.castShadow = true; 
@@ -353,34 +664,10 @@ class Game {
                                 }
                             });
 
-                            this.scene.add(this.kart);
+                            this.scene.add(kartMesh);
                             // --- End Kart Model Setup ---
 
-                    // Define start parameters based on the first checkpoint
-                    const newStartCheckpoint = this.checkpoints[0];
-                    const startParams = { x: newStartCheckpoint.position.x, z: newStartCheckpoint.position.z, rotation: newStartCheckpoint.rotation };
-                    const startOffsetDistance = 3.0;
-
-                    const forwardVector = new THREE.Vector3(Math.sin(startParams.rotation), 0, Math.cos(startParams.rotation));
-                    const finalStartPosition = new THREE.Vector3(
-                        startParams.x + forwardVector.x * startOffsetDistance,
-                        0.25, // Initial height, model pivot might affect this
-                        startParams.z + forwardVector.z * startOffsetDistance
-                    );
-
-                    this.kart.position.copy(finalStartPosition);
-                     // Adjust position based on the model's actual bounding box bottom
-                    const newBoundingBox = new THREE.Box3().setFromObject(this.kart);
-                    this.kart.position.y -= newBoundingBox.min.y; // Align bottom of kart with track (0) + 0.25 clearance
-
-
-                    this.kart.rotation.y = startParams.rotation + Math.PI; // Face away from checkpoint
-
-                    // Position camera initially
-                    this.updateCamera();
-                    this.camera.position.copy(this.cameraTargetPosition);
-                    this.camera.lookAt(this.kart.position);
-                    
+                            this.createPlayerKart(kartMesh, true);
                             // console.log("Player kart model loaded and textured.");
                             resolve(); // Resolve the promise once model is loaded and scene setup
                         },
@@ -402,34 +689,21 @@ class Game {
                     objLoader.load(
                         '/Shaded/base.obj',
                         (object) => {
-                            this.kart = object;
+                            const kartMesh = object;
                             // Apply basic material as fallback
                             const fallbackMaterial = new THREE.MeshStandardMaterial({ color: 0x800080, roughness:0.6, metalness: 0.3});
-                            this.kart.traverse((child) => { if (child.isMesh) child.material = fallbackMaterial; });
+                            kartMesh.traverse((child) => { if (child.isMesh) child.material = fallbackMaterial; });
                             
                             // Apply scale etc.
                             const desiredHeight = 1.0; 
-                            const boundingBox = new THREE.Box3().setFromObject(this.kart);
+                            const boundingBox = new THREE.Box3().setFromObject(kartMesh);
                             const currentSize = new THREE.Vector3();
                             boundingBox.getSize(currentSize);
                             let scaleFactor = (currentSize.y > 0.001) ? desiredHeight / currentSize.y : 0.1;
-                            this.kart.scale.set(scaleFactor, scaleFactor, scaleFactor);
-
-                            this.scene.add(this.kart);
-
-                            // Position fallback kart (copied from original fallback)
-                            const newStartCheckpoint = this.checkpoints[0];
-                            const startParams = { x: newStartCheckpoint.position.x, z: newStartCheckpoint.position.z, rotation: newStartCheckpoint.rotation };
-                            const startOffsetDistance = 3.0;
-                            const forwardVector = new THREE.Vector3(Math.sin(startParams.rotation),0,Math.cos(startParams.rotation));
-                            const finalStartPosition = new THREE.Vector3(startParams.x + forwardVector.x * startOffsetDistance, 0.25, startParams.z + forwardVector.z * startOffsetDistance);
-                            this.kart.position.copy(finalStartPosition);
-                            const newBoundingBox = new THREE.Box3().setFromObject(this.kart);
-                            this.kart.position.y -= newBoundingBox.min.y;
-                            this.kart.rotation.y = startParams.rotation + Math.PI;
-                            this.updateCamera();
-                            this.camera.position.copy(this.cameraTargetPosition);
-                            this.camera.lookAt(this.kart.position);
+                            kartMesh.scale.set(scaleFactor, scaleFactor, scaleFactor);
+
+                            this.scene.add(kartMesh);
+                            this.createPlayerKart(kartMesh, true);
 
                             console.warn("Kart texture failed to load, using default material for Shaded/base.obj.");
                             resolve(); // Resolve even if texture fails, with model loaded
@@ -440,21 +714,9 @@ class Game {
                              // Last resort: create the old box kart
                             const kartGeometry = new THREE.BoxGeometry(1, 0.5, 2); // Adjusted to reflect previous kart size if desiredHeight was 1.0
                             const kartMaterial = new THREE.MeshBasicMaterial({ color: 0x800080 });
-                            this.kart = new THREE.Mesh(kartGeometry, kartMaterial);
-                            this.scene.add(this.kart);
-                            
-                            // Position fallback box kart
-                            const newStartCheckpoint = this.checkpoints[0];
-                            const startParams = { x: newStartCheckpoint.position.x, z: newStartCheckpoint.position.z, rotation: newStartCheckpoint.rotation };
-                            const startOffsetDistance = 3.0;
-                            const forwardVector = new THREE.Vector3(Math.sin(startParams.rotation),0,Math.cos(startParams.rotation));
-                            const finalStartPosition = new THREE.Vector3(startParams.x + forwardVector.x * startOffsetDistance, 0.25, startParams.z + forwardVector.z * startOffsetDistance);
-                            this.kart.position.copy(finalStartPosition);
-                            this.kart.rotation.y = startParams.rotation + Math.PI;
-                            
-                            this.updateCamera();
-                            this.camera.position.copy(this.cameraTargetPosition);
-                            this.camera.lookAt(this.kart.position);
+                            const kartMesh = new THREE.Mesh(kartGeometry, kartMaterial);
+                            this.scene.add(kartMesh);
+                            this.createPlayerKart(kartMesh, false);
 
                             console.warn("Both texture and OBJ model loading failed. Fell back to default box kart.");
                             resolve(); // Resolve with box kart as last resort
@@ -465,6 +727,39 @@ class Game {
         });
     }
 
+    // Places the player's kart model on its grid slot, lifted onto the ground, and makes the Kart the
+    // player drives. 'alignBottom' sits a loaded model's lowest point on the road instead of its pivot.
+    createPlayerKart(kartMesh, alignBottom) {
+        const startSlot = this.getStartGridSlot(this.getGridSlotIndex('player'));
+        kartMesh.position.set(startSlot.position.x, 0.25, startSlot.position.z); // Initial height, model pivot might affect this
+        if (alignBottom) {
+            const boundingBox = new THREE.Box3().setFromObject(kartMesh);
+            kartMesh.position.y -= boundingBox.min.y; // Align bottom of kart with track (0) + 0.25 clearance
+        }
+        kartMesh.rotation.order = 'YXZ'; // Heading first, so pitch and roll tilt the kart about its own axes (bots clone this)
+        kartMesh.rotation.y = startSlot.heading; // Face the driving direction
+        const altitude = this.getGroundHeightAt(kartMesh.position);
+        kartMesh.position.y += altitude;
+
+        this.player = new Kart({
+            id: 'player',
+            name: 'You',
+            mesh: kartMesh,
+            stats: this.getKartStats(this.playerLoadout, this.playerCharacter),
+            random: this.playerRandom,
+            controller: new HumanController(),
+            rideHeight: 0.25,
+            rescue: this.createRescueState(),
+            checkpointIndex: this.finishCheckpointIndex
+        });
+        this.player.airState.altitude = altitude;
+
+        // Position camera initially
+        this.updateCamera();
+        this.camera.position.copy(this.cameraTargetPosition);
+        this.camera.lookAt(kartMesh.position);
+    }
+
     setupSparkParticles() {
         const positions = new Float32Array(this.maxSparks * 3);
         const colors = new Float32Array(this.maxSparks * 3);
@@ -486,8 +781,11 @@ class Game {
         this.scene.add(this.sparkPoints);
     }
 
-    // Modified to accept kartObject, kartSpeed, and a random function
-    emitDriftSpark(color, kartObject = this.kart, kartSpeed = this.speed, randomFunction) {
+    // Throws a pair of sparks from behind a drifting kart's rear wheels
+    emitDriftSpark(color, kart) {
+        const kartObject = kart.mesh;
+        const kartSpeed = kart.speed;
+        const randomFunction = kart.random;
         if (this.driftSparks.length >= this.maxSparks) return; // Don't exceed max
 
         // Calculate position behind rear wheels (adjust offsets as needed)
@@ -512,7 +810,7 @@ class Game {
                 .add(new THREE.Vector3(0, heightOffset, 0));
 
             // Calculate velocity (mostly backwards, slightly outwards and upwards) based on kartSpeed
-            const baseVelocity = forward.clone().multiplyScalar(-kartSpeed * 5 - 2); // Use kartSpeed
+            const baseVelocity = forward.clone().multiplyScalar(-kartSpeed / 12 - 2); // Use kartSpeed
             const outwardVelocity = right.clone().multiplyScalar(sideSign * (randomFunction() * 2 + 1)); // Sideways spread
             const upwardVelocity = new THREE.Vector3(0, randomFunction() * 2 + 1, 0); // Upward spread
 
@@ -528,94 +826,228 @@ class Game {
     }
 
     updateDriftSparks(deltaTime) {
-        const positions = this.sparkPoints.geometry.attributes.position.array;
-        const colors = this.sparkPoints.geometry.attributes.color.array;
-        let activeSparkCount = 0;
+        this.updateParticlePoints(this.driftSparks, this.sparkPoints, deltaTime);
+    }
+
+    // Same points setup as the sparks, but drawn normally so dark dirt shows up
+    setupSurfaceParticles() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxSurfaceParticles * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.maxSurfaceParticles * 3), 3));
+        const material = new THREE.PointsMaterial({
+            size: 0.35,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false
+        });
+        this.surfaceParticlePoints = new THREE.Points(geometry, material);
+        this.scene.add(this.surfaceParticlePoints);
+    }
+
+    // Throws a clump of the surface up from behind a moving kart
+    emitSurfaceParticle(kartObject, kartSpeed, color, randomFunction) {
+        if (this.surfaceParticles.length >= this.maxSurfaceParticles) return;
+        const forward = new THREE.Vector3(Math.sin(kartObject.rotation.y), 0, Math.cos(kartObject.rotation.y));
+        const right = new THREE.Vector3(forward.z, 0, -forward.x).negate();
+        const sideSign = randomFunction() < 0.5 ? -1 : 1;
+        const position = kartObject.position.clone()
+            .addScaledVector(forward, -1.0)
+            .addScaledVector(right, 0.4 * sideSign);
+        const velocity = forward.clone().multiplyScalar(-Math.abs(kartSpeed) / 15 - 1)
+            .addScaledVector(right, sideSign * randomFunction() * 1.5)
+            .add(new THREE.Vector3(0, randomFunction() * 3 + 2, 0));
+        this.surfaceParticles.push({
+            position: position,
+            velocity: velocity,
+            lifetime: this.surfaceParticleLifetime,
+            color: new THREE.Color(color)
+        });
+    }
+
+    // Kicks up particles when a grounded kart moves on a surface that throws them
+    emitSurfaceParticlesFor(kart, surface) {
+        if (!surface.particleColor || kart.airState.isAirborne || Math.abs(kart.speed) < 6) return;
+        if (kart.random() < Math.min(1, Math.abs(kart.speed) / this.maxSpeed)) {
+            this.emitSurfaceParticle(kart.mesh, kart.speed, surface.particleColor, kart.random);
+        }
+    }
+
+    updateSurfaceParticles(deltaTime) {
+        this.updateParticlePoints(this.surfaceParticles, this.surfaceParticlePoints, deltaTime);
+    }
+
+    // One pair of vertices per wind line
+    setupWindLines() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxWindLines * 2 * 3), 3));
+        const material = new THREE.LineBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+        this.windLineSegments = new THREE.LineSegments(geometry, material);
+        this.windLineSegments.frustumCulled = false; // The buffer's bounding sphere is never recomputed
+        this.scene.add(this.windLineSegments);
+    }
 
-        for (let i = this.driftSparks.length - 1; i >= 0; i--) {
-            const spark = this.driftSparks[i];
-            spark.lifetime -= deltaTime;
+    // Starts a wind line just ahead of the kart, off to one side, moving slower than the kart so it streams past
+    emitWindLine(kart) {
+        if (this.windLines.length >= this.maxWindLines) return;
+        const kartObject = kart.mesh;
+        const forward = new THREE.Vector3(Math.sin(kartObject.rotation.y), 0, Math.cos(kartObject.rotation.y));
+        const right = new THREE.Vector3(forward.z, 0, -forward.x).negate();
+        const sideSign = kart.random() < 0.5 ? -1 : 1;
+        const position = kartObject.position.clone()
+            .addScaledVector(forward, 2.0)
+            .addScaledVector(right, sideSign * (0.8 + kart.random() * 0.8))
+            .add(new THREE.Vector3(0, 0.2 + kart.random(), 0));
+        this.windLines.push({
+            position: position,
+            direction: forward,
+            speed: kart.speed * 0.3,
+            length: 1.5 + Math.abs(kart.speed) * 0.05,
+            lifetime: this.windLineLifetime
+        });
+    }
+
+    // Moves live wind lines, drops dead ones and uploads the rest as segments trailing back from each head
+    updateWindLines(deltaTime) {
+        const positions = this.windLineSegments.geometry.attributes.position.array;
+        let activeCount = 0;
+        for (let i = this.windLines.length - 1; i >= 0; i--) {
+            const line = this.windLines[i];
+            line.lifetime -= deltaTime;
+            if (line.lifetime <= 0) {
+                this.windLines.splice(i, 1);
+                continue;
+            }
+            line.position.addScaledVector(line.direction, line.speed * deltaTime);
+            const tail = line.position.clone().addScaledVector(line.direction, -line.length);
+            const index = activeCount * 6;
+            positions[index] = line.position.x;
+            positions[index + 1] = line.position.y;
+            positions[index + 2] = line.position.z;
+            positions[index + 3] = tail.x;
+            positions[index + 4] = tail.y;
+            positions[index + 5] = tail.z;
+            activeCount++;
+        }
+        this.windLineSegments.geometry.setDrawRange(0, activeCount * 2);
+        this.windLineSegments.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Moves live particles under gravity, drops dead ones and uploads the rest to their points geometry
+    updateParticlePoints(particles, points, deltaTime) {
+        const positions = points.geometry.attributes.position.array;
+        const colors = points.geometry.attributes.color.array;
+        let activeCount = 0;
 
-            if (spark.lifetime <= 0) {
-                this.driftSparks.splice(i, 1); // Remove dead spark
+        for (let i = particles.length - 1; i >= 0; i--) {
+            const particle = particles[i];
+            particle.lifetime -= deltaTime;
+
+            if (particle.lifetime <= 0) {
+                particles.splice(i, 1); // Remove dead particle
             } else {
                 // Update position
-                spark.position.addScaledVector(spark.velocity, deltaTime);
+                particle.position.addScaledVector(particle.velocity, deltaTime);
                 // Apply simple gravity
-                spark.velocity.y -= 9.8 * deltaTime; // Adjust gravity strength as needed
+                particle.velocity.y -= 9.8 * deltaTime; // Adjust gravity strength as needed
 
-                // Update geometry attributes for active sparks
-                const index = activeSparkCount * 3;
-                positions[index] = spark.position.x;
-                positions[index + 1] = spark.position.y;
-                positions[index + 2] = spark.position.z;
+                // Update geometry attributes for active particles
+                const index = activeCount * 3;
+                positions[index] = particle.position.x;
+                positions[index + 1] = particle.position.y;
+                positions[index + 2] = particle.position.z;
 
-                colors[index] = spark.color.r;
-                colors[index + 1] = spark.color.g;
-                colors[index + 2] = spark.color.b;
+                colors[index] = particle.color.r;
+                colors[index + 1] = particle.color.g;
+                colors[index + 2] = particle.color.b;
 
-                activeSparkCount++;
+                activeCount++;
             }
         }
 
         // Update draw range and tell Three.js the attributes have changed
-        this.sparkPoints.geometry.setDrawRange(0, activeSparkCount);
-        this.sparkPoints.geometry.attributes.position.needsUpdate = true;
-        this.sparkPoints.geometry.attributes.color.needsUpdate = true;
+        points.geometry.setDrawRange(0, activeCount);
+        points.geometry.attributes.position.needsUpdate = true;
+        points.geometry.attributes.color.needsUpdate = true;
     }
 
 
+    // Shows the countdown and starts the animation loop, whose simulation counts down to GO (see updateCountdown)
     startCountdown() {
-        this.countdownDisplay.textContent = this.countdownValue;
+        this.countdownDisplay.textContent = Math.ceil(this.countdownTimeLeft);
         this.countdownDisplay.classList.remove('hidden');
+        this.animate();
+    }
 
-        const countdownInterval = setInterval(() => {
-            this.countdownValue--;
-            if (this.countdownValue > 0) {
-                this.countdownDisplay.textContent = this.countdownValue;
-            } else if (this.countdownValue === 0) {
-                this.countdownDisplay.textContent = 'GO!';
+    // Counts down to GO while the karts wait on the grid, revving when their controllers hold accelerate
+    updateCountdown(deltaTime) {
+        this.countdownTimeLeft -= deltaTime;
+        this.karts.forEach(kart => {
+            kart.input = kart.controller.getCountdownInput(this, kart);
+            if (kart.input.throttle === 0) {
+                kart.revStartTime = null;
             } else {
-                clearInterval(countdownInterval);
-                this.countdownDisplay.classList.add('hidden');
-                this.gameState = 'racing'; // Start the race
-                this.raceStartTime = performance.now(); // Record race start time
-                this.animate(); // Start the main animation loop *after* countdown
+                if (kart.revStartTime === null) kart.revStartTime = this.countdownTimeLeft + deltaTime;
+                if (kart.random() < 0.3) {
+                    this.emitSurfaceParticle(kart.mesh, 0, '#cccccc', kart.random); // Exhaust from revving in place
+                }
+            }
+        });
+        this.updateSurfaceParticles(deltaTime);
+
+        if (this.countdownTimeLeft > 0) {
+            this.countdownDisplay.textContent = Math.ceil(this.countdownTimeLeft);
+            return;
+        }
+        this.countdownDisplay.textContent = 'GO!';
+        this.gameState = 'racing'; // Start the race
+        this.raceStartTime = performance.now(); // Record race start time
+        this.karts.forEach(kart => this.launchKart(kart));
+    }
+
+    // Starts a kart off the line on GO by when its controller began holding accelerate
+    launchKart(kart) {
+        const revStartTime = kart.revStartTime;
+        kart.revStartTime = null;
+        if (revStartTime === null || revStartTime < this.rocketStartWindow.latest) return; // Ordinary start
+
+        if (revStartTime > this.rocketStartWindow.earliest) {
+            this.stunKart(kart, this.burnoutStallTime, 0); // Burnout
+            for (let i = 0; i < 12; i++) {
+                this.emitSurfaceParticle(kart.mesh, 0, '#555555', kart.random);
             }
-        }, 1000); // 1 second interval
+        } else {
+            kart.speed = kart.stats.maxSpeed * this.rocketStartSpeed;
+            kart.boosting = true;
+            kart.boostTime = this.rocketStartBoostTime;
+        }
+    }
+
+    // Seconds before GO a bot starts holding accelerate, or null to wait for GO: inside the rocket start
+    // window with its difficulty's chance, otherwise sometimes too early
+    pickBotRevStartTime(random) {
+        const { earliest, latest } = this.rocketStartWindow;
+        const chance = this.botRocketStartChances[this.difficulty] || this.botRocketStartChances.easy;
+        if (random() < chance) {
+            return latest + random() * (earliest - latest);
+        }
+        return random() < 0.4 ? earliest + 0.1 + random() * 1.2 : null;
     }
 
     createBots(numberOfBots) {
-        if (!this.kart) {
+        if (!this.player) {
             console.error("Player kart model not loaded. Cannot create bots with custom model.");
             // Optionally, implement a fallback to box bots here if desired
             return;
         }
 
-        const botTintColors = [
-            new THREE.Color(0xff6666), // Light Red
-            new THREE.Color(0x66ff66), // Light Green
-            new THREE.Color(0x66aaff), // Light Blue
-            new THREE.Color(0xffff66), // Light Yellow
-            new THREE.Color(0xff66ff), // Light Magenta
-            new THREE.Color(0x66ffff)  // Light Cyan
-        ];
-        const startOffset = 5.0; // How far behind the line bots start
-        const spacing = 2.5; // Spacing between bots, slightly increased for larger models
-
-        // Use the starting parameters of the *new* first checkpoint (index 0)
-        const newStartCheckpoint = this.checkpoints[0]; // Get the data for the new checkpoint 1
-        const startParams = { x: newStartCheckpoint.position.x, z: newStartCheckpoint.position.z, rotation: newStartCheckpoint.rotation };
-        // Calculate the forward vector *along* the starting rotation
-        const forwardVector = new THREE.Vector3(
-            Math.sin(startParams.rotation), 0, Math.cos(startParams.rotation)
-        );
-        // Calculate the side vector (perpendicular to forward)
-        const sideVector = new THREE.Vector3(
-            forwardVector.z, 0, -forwardVector.x
-        );
-        const startRotation = startParams.rotation + Math.PI; // Add 180 degrees rotation
-
+        // Each bot is driven by a character, whose color tints its kart
+        const botCharacterIds = this.botCharacterIds || pickBotCharacterIds(numberOfBots, this.playerCharacter.id, this.playerRandom);
         const baseSeed = Date.now(); // Get base seed again, or pass from constructor if needed consistency across restarts
 
         for (let i = 0; i < numberOfBots; i++) {
@@ -625,8 +1057,9 @@ class Game {
             this.botRandomGenerators[i] = botRandom;
             // --- End Bot PRNG ---
             
-            const botMesh = this.kart.clone(true); // Deep clone the player's kart model
-            const tintColor = botTintColors[i % botTintColors.length];
+            const botMesh = this.player.mesh.clone(true); // Deep clone the player's kart model
+            const character = getCharacter(botCharacterIds[i]);
+            const tintColor = new THREE.Color(character.color);
 
             botMesh.traverse((child) => {
                 if (child.isMesh) {
@@ -641,39 +1074,41 @@ class Game {
             });
             
             // Scale the bot model to match player kart's scale (derived from desiredHeight)
-            botMesh.scale.copy(this.kart.scale); 
+            botMesh.scale.copy(this.player.mesh.scale); 
 
-            // Calculate staggered starting position
-            const botStartPositionBase = new THREE.Vector3(startParams.x, 0, startParams.z) // Start at y=0, will adjust
-                .addScaledVector(forwardVector, startOffset + i * 1.5) 
-                .addScaledVector(sideVector, (i % 2 === 0 ? 1 : -1) * spacing * Math.ceil((i+1)/2)); 
-            
-            botMesh.position.copy(botStartPositionBase);
+            const startSlot = this.getStartGridSlot(this.getGridSlotIndex(`bot_${i}`));
+            botMesh.position.copy(startSlot.position); // Start at y=0, will adjust
             
             // Adjust Y position based on the cloned model's bounding box
             const botBoundingBox = new THREE.Box3().setFromObject(botMesh);
             botMesh.position.y -= botBoundingBox.min.y; // Align bottom of bot kart with track surface
+            const botRideHeight = botMesh.position.y; // Height above the road surface, kept while driving
+            const botAltitude = this.getGroundHeightAt(botMesh.position);
+            botMesh.position.y += botAltitude;
 
-            botMesh.rotation.y = startRotation;
+            botMesh.rotation.y = startSlot.heading;
 
             this.scene.add(botMesh);
 
-            // Assign unique stats to each bot based on difficulty using bot's PRNG
+            // Each bot drives a random set of parts, which its difficulty then scales using the bot's PRNG
+            const botLoadout = createRandomKartLoadout(botRandom);
+            const kartStats = this.getKartStats(botLoadout, character);
             let botStats = {};
             const randomFactor1 = botRandom(); // Use bot's PRNG
             const randomFactor2 = botRandom(); // Use bot's PRNG
             const randomFactor3 = botRandom(); // Use bot's PRNG
             const randomFactor4 = botRandom(); // Use bot's PRNG
-            // Bot base speeds are scaled by CC first, then difficulty applies to that scaled base
-            const botBaseMaxSpeed = this.maxSpeed; // this.maxSpeed is already CC-adjusted
-            const botBaseAcceleration = this.acceleration; // this.acceleration is already CC-adjusted
+            const revStartTime = this.pickBotRevStartTime(botRandom);
+            // Bot base speeds are scaled by CC, parts and driver first, then difficulty applies to that scaled base
+            const botBaseMaxSpeed = kartStats.maxSpeed;
+            const botBaseAcceleration = kartStats.acceleration;
 
             switch (this.difficulty) {
                 case 'medium':
                     botStats = {
                         maxSpeed: botBaseMaxSpeed * (0.80 + randomFactor1 * 0.2), // 80-100% of CC-adjusted speed
                         acceleration: botBaseAcceleration * (1.0 + randomFactor2 * 0.4), // 1.0x - 1.4x of CC-adjusted accel
-                        turnRate: this.turnSpeed * (1.8 + randomFactor3 * 1.4), 
+                        turnRate: kartStats.turnRate * (1.8 + randomFactor3 * 1.4), 
                         targetOffset: (randomFactor4 - 0.5) * 14 
                     };
                     break;
@@ -681,7 +1116,7 @@ class Game {
                     botStats = {
                         maxSpeed: botBaseMaxSpeed * (0.90 + randomFactor1 * 0.2), // 90-110%
                         acceleration: botBaseAcceleration * (1.1 + randomFactor2 * 0.4), // 1.1x - 1.5x
-                        turnRate: this.turnSpeed * (2.2 + randomFactor3 * 1.6), 
+                        turnRate: kartStats.turnRate * (2.2 + randomFactor3 * 1.6), 
                         targetOffset: (randomFactor4 - 0.5) * 10 
                     };
                     break;
@@ -690,96 +1125,58 @@ class Game {
                     botStats = {
                         maxSpeed: botBaseMaxSpeed * (0.65 + randomFactor1 * 0.2), // 65-85%
                         acceleration: botBaseAcceleration * (0.8 + randomFactor2 * 0.4),
-                        turnRate: this.turnSpeed * (1.2 + randomFactor3 * 1.6), 
+                        turnRate: kartStats.turnRate * (1.2 + randomFactor3 * 1.6), 
                         targetOffset: (randomFactor4 - 0.5) * 22 
                     };
                     break;
             }
 
 
-            this.bots.push({
+            const bot = new Kart({
+                id: `bot_${i}`,
+                name: character.name,
                 mesh: botMesh,
-                speed: 0, // Start stationary
-                lap: 1, // Start on lap 1
-                targetCheckpointIndex: 0, // Target the new checkpoint 1 (index 0)
-                currentCheckpointIndex: 3, // Start at the new start/finish line (index 3)
-                stats: botStats, // Store the unique stats
-                random: botRandom, // Store the bot's specific PRNG function
-                // Drift/Boost state for bots
-                isDrifting: false,
-                driftTime: 0,
-                miniTurboStage: 0,
-                boosting: false,
-                boostTime: 0,
-                // Dynamic path variation
-                dynamicTargetOffset: 0, // Current dynamic offset value
-                dynamicOffsetTimer: botRandom() * 0.5, // Timer to control how often dynamic offset changes (random start 0-0.5s) - USE PRNG
-                dynamicOffsetUpdateTime: 0.2 + botRandom() * 0.4, // How often to change offset (0.2-0.6s) - More frequent updates - USE PRNG
-                lastSparkEmitTime: 0, // Initialize spark timer for bots
-                impulse: new THREE.Vector3(0, 0, 0), // Impulse vector for bumps
-                impulseDecay: 0.85, // Same decay as player for consistency
-                // Item state for bots
-                item: null,
-                stunDuration: 0,
-                mushroomBoostDuration: 0,
-                // Bot specific item effect states
-                isInvisible: false,
-                invisibilityDuration: 0,
-                isAttemptingBooSteal: false, // For Boo steal attempt after invisibility
-                shrinkDuration: 0,
-                originalScale: new THREE.Vector3(1, 1, 1), // Store original scale for each bot
-                isSpinningOut: false, // For Blue Shell hit
-                spinOutTimer: 0       // For Blue Shell hit
+                stats: { ...kartStats, maxSpeed: botStats.maxSpeed, acceleration: botStats.acceleration, turnRate: botStats.turnRate },
+                random: botRandom, // The bot's own PRNG
+                controller: new BotController(botRandom, botStats.targetOffset, revStartTime),
+                rideHeight: botRideHeight,
+                rescue: this.createRescueState(),
+                checkpointIndex: this.finishCheckpointIndex, // Start at the start/finish line
+                tintColor: tintColor
             });
+            bot.airState.altitude = botAltitude;
+            this.bots.push(bot);
         }
-        // Store original scale for player kart
-        this.kart.getWorldScale(this.originalPlayerScale);
-        // Store original scale for bots
-        this.bots.forEach(bot => bot.mesh.getWorldScale(bot.originalScale));
     }
 
     createRaceTrack() {
-        // Create track shape
-        const shape = new THREE.Shape();
-        
-        // Outer track edge
-        const outerTrackPoints = [];
-        const segments = 32;
-        
-        for (let i = 0; i <= segments; i++) {
-            const t = (i / segments) * Math.PI * 2;
-            const x = Math.cos(t) * this.trackLength / 2;
-            const z = Math.sin(t) * this.trackWidth / 2;
-            if (i === 0) {
-                shape.moveTo(x, z);
-            } else {
-                shape.lineTo(x, z);
-            }
-        }
-
-        // Inner track edge (hole)
-        const holePath = new THREE.Path();
-        for (let i = 0; i <= segments; i++) {
-            const t = (i / segments) * Math.PI * 2;
-            const x = Math.cos(t) * this.trackLengthInner / 2;
-            const z = Math.sin(t) * this.trackWidthInner / 2;
-            if (i === 0) {
-                holePath.moveTo(x, z);
-            } else {
-                holePath.lineTo(x, z);
-            }
+        const definition = this.trackDefinition;
+
+        // Sample the closed spline through the track's control points
+        this.trackCenterline = sampleCenterlineSpline(definition.centerline, this.trackSampleSpacing);
+        this.buildCenterlineGrid();
+
+        // Build the road surface as a ribbon between the left and right road edges (edges carry banking height)
+        const edges = this.getCenterlineEdges(0);
+        const positions = [];
+        const count = this.trackCenterline.length;
+        for (let i = 0; i < count; i++) {
+            const next = (i + 1) % count;
+            const l1 = edges.left[i], r1 = edges.right[i];
+            const l2 = edges.left[next], r2 = edges.right[next];
+            positions.push(l1.x, l1.y, l1.z, r1.x, r1.y, r1.z, l2.x, l2.y, l2.z);
+            positions.push(r1.x, r1.y, r1.z, r2.x, r2.y, r2.z, l2.x, l2.y, l2.z);
         }
-        shape.holes.push(holePath);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
 
-        // Create track mesh
-        const geometry = new THREE.ShapeGeometry(shape);
-        const material = new THREE.MeshBasicMaterial({ 
-            color: 0x333333, 
+        const material = new THREE.MeshLambertMaterial({ // Lit, so slopes and banking read on screen
+            color: (definition.road && definition.road.color) || 0x333333, 
             side: THREE.DoubleSide 
         });
         
         this.track = new THREE.Mesh(geometry, material);
-        this.track.rotation.x = -Math.PI / 2;
         this.track.position.y = 0.1;
         this.scene.add(this.track);
 
@@ -791,6 +1188,300 @@ class Game {
         this.createTrackWalls();
     }
 
+    // Soft sky light plus a sun, so hills and banking are shaded (dimmer under clouds)
+    setupLighting() {
+        const hemisphereLight = new THREE.HemisphereLight(0xddeeff, 0x446633, 0.7 * this.weather.light);
+        this.scene.add(hemisphereLight);
+
+        const sunLight = new THREE.DirectionalLight(0xffffff, 0.6 * this.weather.light);
+        sunLight.position.set(60, 100, 40);
+        this.scene.add(sunLight);
+    }
+
+    // Fog fading the distance into the sky, and rain or snow falling around the camera
+    setupWeather() {
+        const weather = this.weather;
+        if (weather.fogColor) {
+            this.scene.fog = new THREE.FogExp2(weather.fogColor, weather.fogDensity);
+            this.scene.background = new THREE.Color(weather.fogColor);
+        }
+        if (!weather.precipitation) return;
+
+        // Drops fill a box this size centred on the camera, wrapping round as the camera moves
+        const { color, size, count } = weather.precipitation;
+        const boxSize = this.precipitationBoxSize;
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < positions.length; i++) {
+            positions[i] = (this.playerRandom() - 0.5) * boxSize;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const material = new THREE.PointsMaterial({
+            color: color,
+            size: size,
+            transparent: true,
+            opacity: 0.7,
+            depthWrite: false
+        });
+        this.precipitation = new THREE.Points(geometry, material);
+        this.precipitation.frustumCulled = false; // Drops are moved every frame, so the bounds would go stale
+        this.scene.add(this.precipitation);
+    }
+
+    // Drops fall and drift with the wind; any that leave the box round the camera come back in on the other side
+    updatePrecipitation(deltaTime) {
+        if (!this.precipitation) return;
+        const { fallSpeed, wind } = this.weather.precipitation;
+        const positions = this.precipitation.geometry.attributes.position.array;
+        const boxSize = this.precipitationBoxSize;
+        const center = this.camera.position;
+        const wrap = (value, middle) => middle + ((((value - middle + boxSize / 2) % boxSize) + boxSize) % boxSize) - boxSize / 2;
+        for (let i = 0; i < positions.length; i += 3) {
+            positions[i] = wrap(positions[i] + wind * deltaTime, center.x);
+            positions[i + 1] = wrap(positions[i + 1] - fallSpeed * deltaTime, center.y);
+            positions[i + 2] = wrap(positions[i + 2], center.z);
+        }
+        this.precipitation.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Builds the ground as a height field that follows getGroundHeightAt, so the grass
+    // rises and falls with the road's hills and dips
+    createTerrain() {
+        const terrain = this.trackDefinition.terrain || {};
+        const geometry = new THREE.PlaneGeometry(this.terrainSize, this.terrainSize, this.terrainResolution, this.terrainResolution);
+        geometry.rotateX(-Math.PI / 2); // Lay the plane flat on XZ
+
+        const positions = geometry.attributes.position;
+        const samplePoint = new THREE.Vector3();
+        for (let i = 0; i < positions.count; i++) {
+            samplePoint.set(positions.getX(i), 0, positions.getZ(i));
+            positions.setY(i, this.getGroundHeightAt(samplePoint));
+        }
+        geometry.computeVertexNormals();
+
+        const groundMaterial = new THREE.MeshLambertMaterial({ color: terrain.color || 0x00aa00, side: THREE.DoubleSide });
+        this.ground = new THREE.Mesh(geometry, groundMaterial);
+        this.scene.add(this.ground);
+    }
+
+    // Flat overlays draped over the ground for each authored surface region
+    createSurfaceRegions() {
+        (this.trackDefinition.surfaces || []).forEach(region => {
+            const surface = SURFACE_TYPES[region.type] || SURFACE_TYPES.asphalt;
+            let geometry;
+            if (region.points) {
+                const shape = new THREE.Shape(region.points.map(point => new THREE.Vector2(point.x, -point.z)));
+                geometry = new THREE.ShapeGeometry(shape);
+            } else {
+                geometry = new THREE.RingGeometry(0, region.radius, 32, 8); // Rings of vertices so it follows the ground
+                geometry.translate(region.x, -region.z, 0);
+            }
+            geometry.rotateX(-Math.PI / 2); // Shape (x, -z) lands on world (x, z)
+
+            const positions = geometry.attributes.position;
+            const samplePoint = new THREE.Vector3();
+            for (let i = 0; i < positions.count; i++) {
+                samplePoint.set(positions.getX(i), 0, positions.getZ(i));
+                positions.setY(i, this.getGroundHeightAt(samplePoint) + 0.05);
+            }
+            geometry.computeVertexNormals();
+
+            const material = new THREE.MeshLambertMaterial({
+                color: region.color || surface.color,
+                side: THREE.DoubleSide,
+                polygonOffset: true, // Draw over the road and terrain it lies on
+                polygonOffsetFactor: -2
+            });
+            this.scene.add(new THREE.Mesh(geometry, material));
+        });
+    }
+
+    // Returns the left and right road edges of the centerline, pushed outwards by 'offset'.
+    // Edge heights follow the elevation and banking of the road at each sample.
+    getCenterlineEdges(offset) {
+        const left = [];
+        const right = [];
+        const count = this.trackCenterline.length;
+        for (let i = 0; i < count; i++) {
+            const point = this.trackCenterline[i];
+            const prev = this.trackCenterline[(i - 1 + count) % count].position;
+            const next = this.trackCenterline[(i + 1) % count].position;
+            const tangent = new THREE.Vector3().subVectors(next, prev);
+            tangent.y = 0;
+            tangent.normalize();
+            const leftSide = new THREE.Vector3(tangent.z, 0, -tangent.x); // Driver's left, perpendicular to driving direction
+            const halfWidth = point.width / 2;
+            const bankSlope = Math.tan(point.banking);
+            // Banking pivots around the lower edge so the road never sinks below the ground
+            left.push(point.position.clone().addScaledVector(leftSide, halfWidth + offset).setY(point.position.y + (bankSlope + Math.abs(bankSlope)) * halfWidth));
+            right.push(point.position.clone().addScaledVector(leftSide, -(halfWidth + offset)).setY(point.position.y + (Math.abs(bankSlope) - bankSlope) * halfWidth));
+        }
+        return { left: left, right: right };
+    }
+
+    // Buckets each centerline segment (sample to next sample) into every grid cell its bounds touch
+    buildCenterlineGrid() {
+        const samples = this.trackCenterline;
+        const count = samples.length;
+        const cellSize = this.centerlineGridCellSize;
+        const minX = Math.min(...samples.map(sample => sample.position.x));
+        const minZ = Math.min(...samples.map(sample => sample.position.z));
+        const columns = Math.floor((Math.max(...samples.map(sample => sample.position.x)) - minX) / cellSize) + 1;
+        const rows = Math.floor((Math.max(...samples.map(sample => sample.position.z)) - minZ) / cellSize) + 1;
+        const cells = Array.from({ length: columns * rows }, () => []);
+        for (let i = 0; i < count; i++) {
+            const p1 = samples[i].position;
+            const p2 = samples[(i + 1) % count].position;
+            const firstColumn = Math.floor((Math.min(p1.x, p2.x) - minX) / cellSize);
+            const lastColumn = Math.floor((Math.max(p1.x, p2.x) - minX) / cellSize);
+            const firstRow = Math.floor((Math.min(p1.z, p2.z) - minZ) / cellSize);
+            const lastRow = Math.floor((Math.max(p1.z, p2.z) - minZ) / cellSize);
+            for (let row = firstRow; row <= lastRow; row++) {
+                for (let column = firstColumn; column <= lastColumn; column++) {
+                    cells[row * columns + column].push(i);
+                }
+            }
+        }
+        this.centerlineGrid = { minX: minX, minZ: minZ, columns: columns, rows: rows, cells: cells };
+    }
+
+    // Finds the closest point on the centerline (XZ plane) and the road width there. Grid cells are searched
+    // in rings outward from the position's cell, stopping once no unsearched cell can hold a closer segment.
+    findClosestCenterlinePoint(position) {
+        const count = this.trackCenterline.length;
+        const grid = this.centerlineGrid;
+        const cellSize = this.centerlineGridCellSize;
+        let best = { index: 0, t: 0, distanceSq: Infinity };
+        const checkSegment = (i) => {
+            const p1 = this.trackCenterline[i].position;
+            const p2 = this.trackCenterline[(i + 1) % count].position;
+            const segX = p2.x - p1.x;
+            const segZ = p2.z - p1.z;
+            const lengthSq = segX * segX + segZ * segZ;
+            let t = lengthSq > 0 ? ((position.x - p1.x) * segX + (position.z - p1.z) * segZ) / lengthSq : 0;
+            t = Math.max(0, Math.min(1, t));
+            const dx = position.x - (p1.x + segX * t);
+            const dz = position.z - (p1.z + segZ * t);
+            const distanceSq = dx * dx + dz * dz;
+            if (distanceSq < best.distanceSq || (distanceSq === best.distanceSq && i < best.index)) {
+                best = { index: i, t: t, distanceSq: distanceSq };
+            }
+        };
+
+        // Positions off the grid start from the nearest edge cell; cells further out are still further away
+        const column = Math.max(0, Math.min(grid.columns - 1, Math.floor((position.x - grid.minX) / cellSize)));
+        const row = Math.max(0, Math.min(grid.rows - 1, Math.floor((position.z - grid.minZ) / cellSize)));
+        const lastRing = Math.max(column, grid.columns - 1 - column, row, grid.rows - 1 - row);
+        for (let ring = 0; ring <= lastRing; ring++) {
+            for (let cellRow = row - ring; cellRow <= row + ring; cellRow++) {
+                if (cellRow < 0 || cellRow >= grid.rows) continue;
+                const onEdge = cellRow === row - ring || cellRow === row + ring;
+                for (let cellColumn = column - ring; cellColumn <= column + ring; cellColumn += onEdge ? 1 : ring * 2) {
+                    if (cellColumn >= 0 && cellColumn < grid.columns) {
+                        grid.cells[cellRow * grid.columns + cellColumn].forEach(checkSegment);
+                    }
+                }
+            }
+            // Cells beyond this ring are at least 'ring' cells away
+            if (best.distanceSq <= (ring * cellSize) ** 2) break;
+        }
+        const from = this.trackCenterline[best.index];
+        const to = this.trackCenterline[(best.index + 1) % count];
+        const point = new THREE.Vector3().lerpVectors(from.position, to.position, best.t);
+        // Signed distance towards the driver's left of the segment, used for banking height
+        const segment = new THREE.Vector3().subVectors(to.position, from.position);
+        const segmentLength = Math.hypot(segment.x, segment.z) || 1;
+        const lateralOffset = ((position.x - point.x) * segment.z - (position.z - point.z) * segment.x) / segmentLength;
+        return {
+            index: best.index,
+            point: point,
+            distance: Math.sqrt(best.distanceSq),
+            lateralOffset: lateralOffset,
+            width: from.width + (to.width - from.width) * best.t,
+            banking: from.banking + (to.banking - from.banking) * best.t
+        };
+    }
+
+    // Height of the ground under a position. On the road this follows the centerline elevation, with
+    // banked road rising from its lower edge towards its raised edge. Off-road terrain eases from the
+    // road edge to the base ground height over the track's terrain falloff distance; a falloff of 0
+    // drops straight to the base height, leaving the road standing on cliffs. 'closest' may pass in
+    // the position's closest centerline point when the caller already has it.
+    getGroundHeightAt(position, closest = this.findClosestCenterlinePoint(position)) {
+        const terrain = this.trackDefinition.terrain || {};
+        const baseHeight = terrain.baseHeight || 0;
+        const falloff = terrain.falloff !== undefined ? terrain.falloff : 30;
+        const halfWidth = closest.width / 2;
+        const bankSlope = Math.tan(closest.banking);
+        const lateralOffset = Math.max(-halfWidth, Math.min(halfWidth, closest.lateralOffset));
+        const roadHeight = closest.point.y + bankSlope * lateralOffset + Math.abs(bankSlope) * halfWidth;
+
+        const beyondEdge = closest.distance - halfWidth;
+        if (beyondEdge <= 0) {
+            return roadHeight;
+        }
+        if (falloff <= 0) {
+            return baseHeight;
+        }
+        const t = Math.min(1, beyondEdge / falloff);
+        const blend = t * t * (3 - 2 * t); // Smoothstep, so the terrain meets the road edge without a crease
+        return roadHeight + (baseHeight - roadHeight) * blend;
+    }
+
+    // Ground slope around a position for a kart facing 'heading': rise per unit distance
+    // along the kart's forward direction and towards its left
+    getGroundSlopeAt(position, heading) {
+        const sampleDistance = 1.0;
+        const forward = new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+        const left = new THREE.Vector3(forward.z, 0, -forward.x);
+        const heightAt = (direction, distance) => this.getGroundHeightAt(position.clone().addScaledVector(direction, distance));
+        return {
+            forward: (heightAt(forward, sampleDistance) - heightAt(forward, -sampleDistance)) / (2 * sampleDistance),
+            side: (heightAt(left, sampleDistance) - heightAt(left, -sampleDistance)) / (2 * sampleDistance)
+        };
+    }
+
+    // Moves a kart's wheel height along the ground and returns it. A grounded kart leaves the
+    // ground when the surface drops away faster than gravity can pull it down (cresting a hill
+    // at speed), then falls until it meets the ground again.
+    updateGroundFollowing(airState, position, deltaTime, closest) {
+        const groundHeight = this.getGroundHeightAt(position, closest);
+
+        if (airState.isAirborne) {
+            airState.verticalSpeed -= this.airGravity * deltaTime;
+            airState.altitude += airState.verticalSpeed * deltaTime;
+            if (airState.altitude <= groundHeight) {
+                airState.altitude = groundHeight;
+                airState.verticalSpeed = 0;
+                airState.isAirborne = false;
+            }
+            return airState.altitude;
+        }
+
+        const groundVerticalSpeed = (groundHeight - airState.altitude) / deltaTime;
+        if (groundVerticalSpeed < airState.verticalSpeed - this.airGravity * 2 * deltaTime) {
+            // Keep the upward momentum from the slope and fly
+            airState.isAirborne = true;
+            airState.verticalSpeed -= this.airGravity * deltaTime;
+            airState.altitude += airState.verticalSpeed * deltaTime;
+            return airState.altitude;
+        }
+
+        airState.altitude = groundHeight;
+        airState.verticalSpeed = groundVerticalSpeed;
+        return airState.altitude;
+    }
+
+    // Tilts a kart to lie on the ground beneath it (kart meshes use 'YXZ' rotation order)
+    alignKartToGround(kartMesh, airState) {
+        if (airState.isAirborne) {
+            return; // Hold the take-off attitude in the air
+        }
+        const slope = this.getGroundSlopeAt(kartMesh.position, kartMesh.rotation.y);
+        kartMesh.rotation.x = -Math.atan(slope.forward);
+        kartMesh.rotation.z = Math.atan(slope.side);
+    }
+
     createWallSegmentMesh(p1, p2, height, thickness, material) {
         const diff = new THREE.Vector3().subVectors(p2, p1);
         const length = diff.length();
@@ -801,66 +1492,107 @@ class Game {
         const wallMesh = new THREE.Mesh(wallGeometry, material);
     
         // Position the wall segment
-        // The BoxGeometry's origin is its center. Walls sit on track surface (y=0.1).
-        wallMesh.position.set(midPoint.x, 0.1 + height / 2, midPoint.z);
+        // The BoxGeometry's origin is its center. Walls sit on the (possibly banked) track surface.
+        wallMesh.position.set(midPoint.x, 0.1 + midPoint.y + height / 2, midPoint.z);
     
         // Orient the wall segment
         // The length of the BoxGeometry is along its local X-axis.
         // We want to rotate it in the XZ plane (around Y) to align with the segment from p1 to p2.
         // Then add an additional 90 degrees (PI/2) rotation.
         wallMesh.rotation.y = Math.atan2(diff.x, diff.z) + Math.PI / 2;
+        // Lean the segment to follow any height difference between its ends
+        wallMesh.rotation.z = -Math.atan2(diff.y, Math.hypot(diff.x, diff.z));
     
         return wallMesh;
     }
 
     createTrackWalls() {
-        const segments = 32; // Same number of segments as track shape for smoothness
-
-        // Outer Wall
-        const outerWallPoints = [];
-        for (let i = 0; i <= segments; i++) {
-            const t = (i / segments) * Math.PI * 2;
-            const x = Math.cos(t) * this.trackLength / 2;
-            const z = Math.sin(t) * this.trackWidth / 2;
-            outerWallPoints.push(new THREE.Vector3(x, 0, z)); // Y is 0 relative to wall base
-        }
-        for (let i = 0; i < segments; i++) {
-            const p1 = outerWallPoints[i];
-            const p2 = outerWallPoints[i+1];
-            const wallSegment = this.createWallSegmentMesh(p1, p2, this.WALL_HEIGHT, this.WALL_THICKNESS, this.WALL_MATERIAL);
-            this.scene.add(wallSegment);
-            this.wallMeshes.push(wallSegment);
-        }
-
-        // Inner Wall
-        const innerWallPoints = [];
-        for (let i = 0; i <= segments; i++) {
-            const t = (i / segments) * Math.PI * 2;
-            const x = Math.cos(t) * this.trackLengthInner / 2;
-            const z = Math.sin(t) * this.trackWidthInner / 2;
-            innerWallPoints.push(new THREE.Vector3(x, 0, z));
-        }
-        for (let i = 0; i < segments; i++) {
-            const p1 = innerWallPoints[i];
-            const p2 = innerWallPoints[i+1];
-            const wallSegment = this.createWallSegmentMesh(p1, p2, this.WALL_HEIGHT, this.WALL_THICKNESS, this.WALL_MATERIAL);
-            this.scene.add(wallSegment);
-            this.wallMeshes.push(wallSegment);
-        }
+        const wallSettings = this.trackDefinition.walls || {};
+        const height = wallSettings.height !== undefined ? wallSettings.height : this.WALL_HEIGHT;
+        const thickness = wallSettings.thickness !== undefined ? wallSettings.thickness : this.WALL_THICKNESS;
+        const edges = this.getCenterlineEdges(wallSettings.offset || 0);
+        const gaps = wallSettings.gaps || []; // Openings ({ x, z, radius }), e.g. where a shortcut leaves the road
+
+        // One wall along each road edge, closing the loop back to the first point
+        [edges.left, edges.right].forEach(wallPoints => {
+            for (let i = 0; i < wallPoints.length; i++) {
+                const p1 = wallPoints[i];
+                const p2 = wallPoints[(i + 1) % wallPoints.length];
+                const midX = (p1.x + p2.x) / 2;
+                const midZ = (p1.z + p2.z) / 2;
+                if (gaps.some(gap => Math.hypot(midX - gap.x, midZ - gap.z) < gap.radius)) {
+                    continue;
+                }
+                const wallSegment = this.createWallSegmentMesh(p1, p2, height, thickness, this.WALL_MATERIAL);
+                this.scene.add(wallSegment);
+
+                const start = new THREE.Vector2(p1.x, p1.z);
+                const end = new THREE.Vector2(p2.x, p2.z);
+                const length = start.distanceTo(end);
+                if (length === 0) continue;
+                const direction = end.clone().sub(start).divideScalar(length);
+                this.wallSegments.push({
+                    start: start,
+                    end: end,
+                    center: start.clone().add(end).multiplyScalar(0.5),
+                    direction: direction,
+                    normal: new THREE.Vector2(-direction.y, direction.x),
+                    length: length,
+                    halfThickness: thickness / 2,
+                    top: 0.1 + Math.max(p1.y || 0, p2.y || 0) + height
+                });
+            }
+        });
     }
 
 
-    // New function to calculate points along the track centerline
+    // Racing line comes from explicit track points, or is resampled evenly along the centerline
     createRacingLine(numPoints = 100) {
-        const avgLength = (this.trackLength + this.trackLengthInner) / 2;
-        const avgWidth = (this.trackWidth + this.trackWidthInner) / 2;
+        const racingLine = this.trackDefinition.racingLine || {};
+
+        if (racingLine.points) {
+            racingLine.points.forEach(([x, z]) => {
+                const point = new THREE.Vector3(x, 0, z);
+                point.y = this.getGroundHeightAt(point) + 0.1; // Store points at track height
+                this.racingLinePoints.push(point);
+            });
+            this.createRacingLineSpeeds();
+            return;
+        }
 
-        for (let i = 0; i < numPoints; i++) {
-            const t = (i / numPoints) * Math.PI * 2;
-            const x = Math.cos(t) * avgLength / 2;
-            const z = Math.sin(t) * avgWidth / 2;
-            this.racingLinePoints.push(new THREE.Vector3(x, 0.1, z)); // Store points at track height
+        // Evenly spaced points along the road, each with its left direction and how far the line may move sideways
+        const samples = racingLine.samples || numPoints;
+        const segmentLengths = this.trackCenterline.map((sample, i) =>
+            sample.position.distanceTo(this.trackCenterline[(i + 1) % this.trackCenterline.length].position));
+        const totalLength = segmentLengths.reduce((sum, length) => sum + length, 0);
+        const centers = [];
+        const lefts = [];
+        const limits = [];
+
+        let segmentIndex = 0;
+        let segmentStart = 0; // Distance along the loop where the current segment begins
+        for (let i = 0; i < samples; i++) {
+            const distance = (i / samples) * totalLength;
+            while (segmentStart + segmentLengths[segmentIndex] < distance) {
+                segmentStart += segmentLengths[segmentIndex];
+                segmentIndex++;
+            }
+            const from = this.trackCenterline[segmentIndex];
+            const to = this.trackCenterline[(segmentIndex + 1) % this.trackCenterline.length];
+            const t = (distance - segmentStart) / segmentLengths[segmentIndex];
+            const tangent = new THREE.Vector3(to.position.x - from.position.x, 0, to.position.z - from.position.z).normalize();
+            centers.push(new THREE.Vector3().lerpVectors(from.position, to.position, t));
+            lefts.push(new THREE.Vector3(tangent.z, 0, -tangent.x));
+            limits.push(Math.max(0, (from.width + (to.width - from.width) * t) / 2 - this.racingLineEdgeMargin));
         }
+
+        const offsets = this.computeMinimumCurvatureOffsets(centers, lefts, limits);
+        centers.forEach((center, i) => {
+            const point = center.clone().addScaledVector(lefts[i], offsets[i]);
+            point.y = this.getGroundHeightAt(point) + 0.1; // Store points at track height
+            this.racingLinePoints.push(point);
+        });
+        this.createRacingLineSpeeds();
         // Optional: Visualize the path for debugging
         // const lineMat = new THREE.LineBasicMaterial({ color: 0xff00ff });
         // const lineGeo = new THREE.BufferGeometry().setFromPoints(this.racingLinePoints);
@@ -868,67 +1600,165 @@ class Game {
         // this.scene.add(pathLine);
     }
 
+    // Sideways offset (towards 'lefts') of each point from the road center that makes the loop as gently curved as
+    // the road allows: it swings wide into corners, clips the apex and runs out wide again. Each point is moved until
+    // its curvature is the average of its neighbours', which spreads every corner over as much road as 'limits'
+    // allows. Working on every 16th point first, then every 8th and so on, settles the line much faster.
+    computeMinimumCurvatureOffsets(centers, lefts, limits, iterations = 100) {
+        const count = centers.length;
+        const offsets = new Array(count).fill(0);
+        const pointAt = (i, offset = offsets[i]) => ({ x: centers[i].x + lefts[i].x * offset, z: centers[i].z + lefts[i].z * offset });
+        const distance = (i, j) => { const a = pointAt(i), b = pointAt(j); return Math.hypot(a.x - b.x, a.z - b.z); };
+
+        // Puts point i where the curve from 'prev' through it to 'next' has the target curvature
+        const adjust = (prev, i, next, targetCurvature) => {
+            const a = pointAt(prev);
+            const c = pointAt(next);
+            // Start on the straight line between the neighbours (zero curvature), then take Newton steps
+            const directionX = c.x - a.x;
+            const directionZ = c.z - a.z;
+            const across = lefts[i].x * directionZ - lefts[i].z * directionX;
+            let offset = Math.abs(across) > 1e-9
+                ? ((a.x - centers[i].x) * directionZ - (a.z - centers[i].z) * directionX) / across
+                : offsets[i];
+            const step = 0.01;
+            for (let newtonStep = 0; newtonStep < 3; newtonStep++) {
+                const curvature = signedCurvature(a, pointAt(i, offset), c);
+                const slope = (signedCurvature(a, pointAt(i, offset + step), c) - curvature) / step;
+                if (Math.abs(slope) < 1e-9) break;
+                offset += (targetCurvature - curvature) / slope;
+            }
+            offsets[i] = Math.max(-limits[i], Math.min(limits[i], offset));
+        };
 
-    createCheckpoints() {
-        // Create visible checkpoints with clearer appearance
-        const checkpointMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffff00,
-            transparent: true,
-            opacity: 0.4,
-            side: THREE.DoubleSide
+        let previousIndices = null;
+        for (let stride = 16; stride >= 1; stride /= 2) {
+            if (count / stride < 8) continue; // Too few points at this stride to describe the loop
+            const indices = [];
+            for (let i = 0; i + stride / 2 < count; i += stride) indices.push(i);
+            const size = indices.length;
+            const at = (k) => indices[(k + size) % size];
+
+            // Fill in the points skipped by the coarser stride, blending the curvature across each gap
+            if (previousIndices) {
+                const previousSize = previousIndices.length;
+                previousIndices.forEach((start, k) => {
+                    const end = previousIndices[(k + 1) % previousSize];
+                    const before = previousIndices[(k - 1 + previousSize) % previousSize];
+                    const after = previousIndices[(k + 2) % previousSize];
+                    const startCurvature = signedCurvature(pointAt(before), pointAt(start), pointAt(end));
+                    const endCurvature = signedCurvature(pointAt(start), pointAt(end), pointAt(after));
+                    const gap = (end - start + count) % count;
+                    for (let j = 1; j < gap; j++) {
+                        const fraction = j / gap;
+                        adjust(start, (start + j) % count, end, startCurvature * (1 - fraction) + endCurvature * fraction);
+                    }
+                });
+            }
+
+            for (let iteration = 0; iteration < iterations * Math.sqrt(stride); iteration++) {
+                for (let k = 0; k < size; k++) {
+                    const previousCurvature = signedCurvature(pointAt(at(k - 2)), pointAt(at(k - 1)), pointAt(at(k)));
+                    const nextCurvature = signedCurvature(pointAt(at(k)), pointAt(at(k + 1)), pointAt(at(k + 2)));
+                    const previousLength = distance(at(k), at(k - 1));
+                    const nextLength = distance(at(k), at(k + 1));
+                    // Slightly less than the neighbours' average, so the line keeps opening out until the road edges stop it
+                    const targetCurvature = 0.99 * (nextLength * previousCurvature + previousLength * nextCurvature) / (previousLength + nextLength);
+                    adjust(at(k - 1), at(k), at(k + 1), targetCurvature);
+                }
+            }
+            previousIndices = indices;
+        }
+        return offsets;
+    }
+
+    // Target speed at each racing-line point: the cornering limit for the turn radius there, lowered
+    // wherever a kart would otherwise arrive at a later corner too fast to brake for it. Both limits
+    // drop with the weather, so bots take wet corners slower and brake for them earlier.
+    createRacingLineSpeeds() {
+        const points = this.racingLinePoints;
+        const count = points.length;
+        const cornerGrip = this.racingLineCornerGrip * this.weather.cornering ** 2; // Squared, as speed goes with its square root
+        const braking = this.racingLineBraking * this.weather.braking;
+        this.racingLineSpeeds = points.map((point, i) => {
+            const a = points[(i - 1 + count) % count];
+            const c = points[(i + 1) % count];
+            // Turn radius through the point and its neighbours (circumradius on the ground plane)
+            const ab = Math.hypot(point.x - a.x, point.z - a.z);
+            const bc = Math.hypot(c.x - point.x, c.z - point.z);
+            const ca = Math.hypot(a.x - c.x, a.z - c.z);
+            const cross = Math.abs((point.x - a.x) * (c.z - a.z) - (point.z - a.z) * (c.x - a.x));
+            const radius = cross > 1e-6 ? (ab * bc * ca) / (2 * cross) : Infinity;
+            return Math.sqrt(cornerGrip * radius);
         });
 
-        // Calculate the drivable width (distance between outer and inner track edges)
-        const checkpointWidth = 45; // Adjusted to be wider but not the full track width for better gameplay
+        // Work backwards (twice round, for corners just after the start) so each point is slow enough to brake for the next
+        for (let pass = 0; pass < 2; pass++) {
+            for (let i = count - 1; i >= 0; i--) {
+                const next = (i + 1) % count;
+                const distance = Math.hypot(points[next].x - points[i].x, points[next].z - points[i].z);
+                const brakingLimit = Math.sqrt(this.racingLineSpeeds[next] ** 2 + 2 * braking * distance);
+                this.racingLineSpeeds[i] = Math.min(this.racingLineSpeeds[i], brakingLimit);
+            }
+        }
+    }
+
+
+    createCheckpoints() {
         const postHeight = 8; // Made posts taller for better visibility
 
-        // Create checkpoint positions (4 points around the track) - REORDERED
-        const checkpointPositions = [
-            // Original 4 is now 1
-            { x: -this.trackLength / 3, z: 0, rotation: 0, color: 0xffff00, number: "1" }, // New Checkpoint 1 (yellow)
-            // Original 3 is now 2
-            { x: 0, z: -this.trackWidth / 4, rotation: -Math.PI/2, color: 0x0000ff, number: "2" }, // New Checkpoint 2 (blue)
-            // Original 2 is now 3
-            { x: this.trackLength / 3, z: 0, rotation: Math.PI, color: 0x00ff00, number: "3" }, // New Checkpoint 3 (green)
-            // Original 1 is now 4 (Start/Finish)
-            { x: 0, z: this.trackWidth /4, rotation: Math.PI/2, color: 0xff0000, number: "4" }, // New Start/Finish line (red)
-        ];
+        // Gates are listed in driving order; the finish gate index comes from the track.
+        // A gate's optional 'next' lists the gates that may follow it, so the route can split
+        // into branches (e.g. a shortcut) and merge again. Otherwise the following gate comes next.
+        // Tracks without gates get them spread evenly round the loop.
+        const checkpointSettings = this.trackDefinition.checkpoints || {};
+        const checkpointPositions = checkpointSettings.gates && checkpointSettings.gates.length > 0
+            ? checkpointSettings.gates
+            : this.generateCheckpointGates(checkpointSettings.count, checkpointSettings.finishIndex);
+        this.totalCheckpoints = checkpointPositions.length;
+        this.finishCheckpointIndex = getFinishGateIndex(checkpointSettings.finishIndex, this.totalCheckpoints);
+        this.checkpointNext = checkpointPositions.map((pos, index) => pos.next || [(index + 1) % this.totalCheckpoints]);
 
         checkpointPositions.forEach((pos, index) => {
+            const checkpointWidth = pos.width || 45; // Wider than most roads for forgiving gates
+            const color = pos.color || 0xffff00;
+            const label = pos.label || String(index + 1);
+            const groundHeight = this.getGroundHeightAt(new THREE.Vector3(pos.x, 0, pos.z)); // Gates stand on the road at their center
+
             // Create vertical post markers with increased height
             const postGeometry = new THREE.BoxGeometry(2, postHeight, 2);
-            const postMaterial = new THREE.MeshBasicMaterial({ color: pos.color });
+            const postMaterial = new THREE.MeshBasicMaterial({ color: color });
             
-            // Position posts wider apart
+            // Posts stand at both ends of the gate line (perpendicular to the gate normal)
             const postOffset = checkpointWidth / 2;
             
             // Left post
             const leftPost = new THREE.Mesh(postGeometry, postMaterial);
             leftPost.position.set(
-                pos.x - Math.sin(pos.rotation) * postOffset,
-                postHeight/2,
-                pos.z - Math.cos(pos.rotation) * postOffset
+                pos.x - Math.cos(pos.rotation) * postOffset,
+                groundHeight + postHeight/2,
+                pos.z + Math.sin(pos.rotation) * postOffset
             );
             this.scene.add(leftPost);
             
             // Right post
             const rightPost = new THREE.Mesh(postGeometry, postMaterial);
             rightPost.position.set(
-                pos.x + Math.sin(pos.rotation) * postOffset,
-                postHeight/2,
-                pos.z + Math.cos(pos.rotation) * postOffset
+                pos.x + Math.cos(pos.rotation) * postOffset,
+                groundHeight + postHeight/2,
+                pos.z - Math.sin(pos.rotation) * postOffset
             );
             this.scene.add(rightPost);
 
             // Create checkpoint gate with increased width and height
             const checkpointGeometry = new THREE.PlaneGeometry(checkpointWidth, postHeight);
             const checkpoint = new THREE.Mesh(checkpointGeometry, new THREE.MeshBasicMaterial({
-                color: pos.color,
+                color: color,
                 transparent: true,
                 opacity: 0.3,
                 side: THREE.DoubleSide
             }));
-            checkpoint.position.set(pos.x, postHeight/2, pos.z);
+            checkpoint.position.set(pos.x, groundHeight + postHeight/2, pos.z);
             checkpoint.rotation.y = pos.rotation;
             this.scene.add(checkpoint);
 
@@ -941,19 +1771,19 @@ class Game {
             context.font = 'bold 80px Arial';
             context.textAlign = 'center';
             context.textBaseline = 'middle';
-            context.fillText(pos.number, 64, 64);
+            context.fillText(label, 64, 64);
 
             const numberTexture = new THREE.CanvasTexture(canvas);
             const numberMaterial = new THREE.SpriteMaterial({ map: numberTexture });
             const numberSprite = new THREE.Sprite(numberMaterial);
             numberSprite.scale.set(4, 4, 1); // Increased number size
-            numberSprite.position.set(pos.x, postHeight + 1, pos.z); // Position above the checkpoint
+            numberSprite.position.set(pos.x, groundHeight + postHeight + 1, pos.z); // Position above the checkpoint
 
             this.scene.add(numberSprite);
             
             // Store checkpoint data
             this.checkpoints[index] = {
-                position: new THREE.Vector3(pos.x, 0.15, pos.z),
+                position: new THREE.Vector3(pos.x, groundHeight + 0.15, pos.z),
                 rotation: pos.rotation,
                 mesh: checkpoint,
                 // Calculate and store the correct normal vector for the checkpoint plane
@@ -963,6 +1793,94 @@ class Game {
                 numberSprite: numberSprite
             };
         });
+
+        this.computeCheckpointProgress();
+    }
+
+    // Evenly spaced gates for a track that only gives a gate count ('checkpoints.count'), or nothing.
+    // The finish gate sits a little behind the back row of the grid, so every racer starts past it.
+    generateCheckpointGates(count, finishIndex) {
+        const pole = this.getStartGridSlot(0);
+        const poleForward = new THREE.Vector3(Math.sin(pole.heading), 0, Math.cos(pole.heading));
+        let gridDepth = 0;
+        this.trackDefinition.startGrid.forEach((slot, index) => {
+            const behind = -this.getStartGridSlot(index).position.clone().sub(pole.position).dot(poleForward);
+            gridDepth = Math.max(gridDepth, behind);
+        });
+
+        // Distance of the pole along the loop: its closest sample plus how far it sits ahead of or behind it
+        const road = createRoadLocator(this.trackCenterline);
+        const poleIndex = this.findClosestCenterlinePoint(pole.position).index;
+        const offset = pole.position.clone().sub(this.trackCenterline[poleIndex].position);
+        offset.y = 0;
+        const poleDistance = road.distances[poleIndex] + offset.dot(road.tangentAt(poleIndex));
+
+        return generateEvenCheckpointGates(this.trackCenterline, poleDistance - gridDepth - 5, count, finishIndex);
+    }
+
+    // Lap fraction of each gate from the longest routes through the checkpoint graph: the distance
+    // from the finish line over the distance of the whole lap through that gate. Longest routes make
+    // the fraction rise along every edge, so racers on different branches can be compared.
+    computeCheckpointProgress() {
+        const finish = this.finishCheckpointIndex;
+        const gateDistance = (a, b) => Math.hypot(
+            this.checkpoints[a].position.x - this.checkpoints[b].position.x,
+            this.checkpoints[a].position.z - this.checkpoints[b].position.z
+        );
+
+        // Gates in driving order from the finish line (the graph has no loops once the lap closes at the finish)
+        const order = [];
+        const visited = new Set();
+        const visit = (index) => {
+            if (visited.has(index)) return;
+            visited.add(index);
+            this.checkpointNext[index].forEach(next => { if (next !== finish) visit(next); });
+            order.unshift(index);
+        };
+        visit(finish);
+
+        const fromStart = new Array(this.totalCheckpoints).fill(0);
+        order.forEach(index => {
+            this.checkpointNext[index].forEach(next => {
+                if (next !== finish) fromStart[next] = Math.max(fromStart[next], fromStart[index] + gateDistance(index, next));
+            });
+        });
+        const toFinish = new Array(this.totalCheckpoints).fill(0);
+        order.slice().reverse().forEach(index => {
+            this.checkpointNext[index].forEach(next => {
+                toFinish[index] = Math.max(toFinish[index], gateDistance(index, next) + (next === finish ? 0 : toFinish[next]));
+            });
+        });
+
+        this.checkpointProgress = fromStart.map((distance, index) => {
+            if (index === finish || distance + toFinish[index] <= 0) return 0;
+            return distance / (distance + toFinish[index]);
+        });
+    }
+
+    // Race progress as completed laps plus the fraction of the current lap, comparable between racers on
+    // different branches
+    getRacerProgress(kart) {
+        const position = kart.mesh.position;
+        if (this.totalCheckpoints === 0) return kart.lap;
+        const lastIndex = kart.checkpointIndex;
+
+        // Head for the closest gate that may follow, which is on the branch the racer took
+        let nextIndex = this.checkpointNext[lastIndex][0];
+        let distanceToNext = Infinity;
+        this.checkpointNext[lastIndex].forEach(index => {
+            const distance = this.calculateDistanceToNextCheckpoint(position, index);
+            if (distance < distanceToNext) {
+                distanceToNext = distance;
+                nextIndex = index;
+            }
+        });
+
+        const fromProgress = lastIndex === this.finishCheckpointIndex ? 0 : this.checkpointProgress[lastIndex];
+        const toProgress = nextIndex === this.finishCheckpointIndex ? 1 : this.checkpointProgress[nextIndex];
+        const gateSpacing = this.calculateDistanceToNextCheckpoint(this.checkpoints[lastIndex].position, nextIndex);
+        const t = gateSpacing > 0 ? Math.max(0, Math.min(1, 1 - distanceToNext / gateSpacing)) : 1;
+        return kart.lap + fromProgress + (toProgress - fromProgress) * t;
     }
 
     createItemBoxes() {
@@ -986,19 +1904,26 @@ class Game {
 
         const boxMaterial = new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: 0.8 });
 
-        // Define item box positions (adjust these based on your track)
-        const boxPositions = [
-            { x: this.trackLength * 0.3, z: this.trackWidth * 0.1 },
-            { x: this.trackLength * 0.3, z: -this.trackWidth * 0.1 },
-            { x: -this.trackLength * 0.3, z: this.trackWidth * 0.1 },
-            { x: -this.trackLength * 0.3, z: -this.trackWidth * 0.1 },
-            { x: 0, z: this.trackWidth * 0.3 },
-            { x: 0, z: -this.trackWidth * 0.3 },
-        ];
-
-        boxPositions.forEach(pos => {
+        // Expand the track's item box rows into individual box positions.
+        // Each row is centered on (x, z) and spreads its boxes across the driving direction.
+        const boxPositions = [];
+        (this.trackDefinition.itemBoxRows || []).forEach(row => {
+            const count = row.count || 1;
+            const spacing = row.spacing || 4;
+            const heading = row.heading || 0;
+            for (let i = 0; i < count; i++) {
+                const offset = (i - (count - 1) / 2) * spacing;
+                boxPositions.push({
+                    x: row.x + Math.cos(heading) * offset,
+                    z: row.z - Math.sin(heading) * offset
+                });
+            }
+        });
+
+        boxPositions.forEach(pos => {
             const boxMesh = new THREE.Mesh(boxGeometry, boxMaterial);
-            boxMesh.position.set(pos.x, 1.0, pos.z); // Position slightly above track
+            boxMesh.position.set(pos.x, 0, pos.z);
+            boxMesh.position.y = this.getGroundHeightAt(boxMesh.position) + 1.0; // Position slightly above track
             this.scene.add(boxMesh);
             this.itemBoxMeshes.push(boxMesh);
 
@@ -1012,69 +1937,77 @@ class Game {
         });
     }
 
+    // Item key ('e', the on-screen item button or the gamepad's X button) pressed: a trailable item
+    // is held out behind the kart once the key has been down for ITEM_HOLD_THRESHOLD
+    pressItemKey() {
+        this.isItemButtonPressed = true;
+        if (this.player.item && !this.player.trailedItemType && this.isTrailableItem(this.player.item)) {
+            this.itemHoldTimeout = setTimeout(() => {
+                if (this.isItemButtonPressed && this.player.item) { // Check again in case item used or button released
+                    this.startTrailingItem(this.player);
+                }
+            }, this.ITEM_HOLD_THRESHOLD);
+        }
+    }
+
+    // Item key released: drops or fires a trailed item, or uses the item on a tap
+    releaseItemKey() {
+        clearTimeout(this.itemHoldTimeout);
+        if (this.isItemButtonPressed) {
+            if (this.player.trailedItemType) {
+                this.deployTrailedItem(this.player);
+            } else if (this.player.item) { // Tap completed for an item that wasn't trailed
+                this.useItem(this.player);
+            }
+        }
+        this.isItemButtonPressed = false;
+    }
+
+    // Presses and releases the item key from the gamepad's X button, which has no events of its own
+    pollGamepadItemButton() {
+        if (!this.player || !this.player.controller.readGamepad) return;
+        const isDown = this.player.controller.readGamepad().item;
+        if (isDown && !this.isGamepadItemButtonDown) {
+            this.pressItemKey();
+        } else if (!isDown && this.isGamepadItemButtonDown) {
+            this.releaseItemKey();
+        }
+        this.isGamepadItemButtonDown = isDown;
+    }
+
     setupControls() {
+        const signal = this.listenerController.signal; // Lets dispose() remove all of these listeners
+
         // Keyboard controls
         window.addEventListener('keydown', (e) => {
             const wasPressed = this.keys[e.key.toLowerCase()];
             this.keys[e.key.toLowerCase()] = true;
             if (e.key === ' ' && !wasPressed) {
                 this.touchControls.drift = true;
-                this.handleDriftPress();
             }
             // Use item with 'e' key
             if (e.key.toLowerCase() === 'e' && !wasPressed) {
-                console.log("[TRAIL DEBUG] 'e' key pressed. Player item:", this.playerItem, "Is trailing:", this.playerIsTrailingItem);
-                this.isItemButtonPressed = true;
-                if (this.playerItem && !this.playerIsTrailingItem && this.isTrailableItem(this.playerItem)) {
-                    console.log("[TRAIL DEBUG] 'e' key: Setting itemHoldTimeout for trailable item:", this.playerItem);
-                    this.itemHoldTimeout = setTimeout(() => {
-                        if (this.isItemButtonPressed && this.playerItem) { // Check again in case item used or button released
-                            console.log("[TRAIL DEBUG] 'e' key: itemHoldTimeout fired. Calling startTrailingItem for:", this.playerItem);
-                            this.startTrailingItem();
-                        } else {
-                            console.log("[TRAIL DEBUG] 'e' key: itemHoldTimeout fired, but conditions not met. ButtonPressed:", this.isItemButtonPressed, "PlayerItem:", this.playerItem);
-                        }
-                    }, this.ITEM_HOLD_THRESHOLD);
-                } else if (this.playerItem) { 
-                    console.log("[TRAIL DEBUG] 'e' key: Item is not trailable or already trailing. PlayerItem:", this.playerItem, "IsTrailing:", this.playerIsTrailingItem);
-                    // For non-trailable items, or if trying to use while already trailing (which startTrailingItem should prevent)
-                    // This path is more for immediate use of non-trailable items if logic were to allow 'e' for them.
-                    // Current useItem button handles only trailable items effectively via the timeout for hold.
-                    // If it's a quick tap for a trailable item, it will be handled in keyup.
-                }
+                this.pressItemKey();
             }
             // Rear view toggle with 'c' key
             if (e.key.toLowerCase() === 'c' && !wasPressed) {
                 // this.toggleRearView(); // Replaced with direct state change
                 this.isRearViewActive = true;
             }
-        });
+        }, { signal });
         window.addEventListener('keyup', (e) => {
             this.keys[e.key.toLowerCase()] = false;
             if (e.key === ' ') {
                 this.touchControls.drift = false;
             }
             if (e.key.toLowerCase() === 'e') {
-                console.log("[TRAIL DEBUG] 'e' key released.");
-                clearTimeout(this.itemHoldTimeout);
-                if (this.isItemButtonPressed) {
-                    if (this.playerIsTrailingItem) {
-                        console.log("[TRAIL DEBUG] 'e' key release: Deploying trailed item:", this.playerTrailedItemType);
-                        this.deployTrailedItem();
-                    } else if (this.playerItem) { // Tap completed for an item that wasn't trailed
-                        console.log("[TRAIL DEBUG] 'e' key release: Tap - Using item:", this.playerItem);
-                        this.useItem({ mesh: this.kart, item: this.playerItem, stunDuration: this.playerStunDuration, mushroomBoostDuration: this.playerMushroomBoostDuration });
-                    } else {
-                        console.log("[TRAIL DEBUG] 'e' key release: No item to use or trail.");
-                    }
-                }
-                this.isItemButtonPressed = false;
+                this.releaseItemKey();
             }
             // Set rear view to false on key up for 'c'
             if (e.key.toLowerCase() === 'c') {
                 this.isRearViewActive = false;
             }
-        });
+        }, { signal });
         
         // Touch controls with improved handling
         const addTouchListener = (id, control) => {
@@ -1085,9 +2018,6 @@ class Game {
                 e.preventDefault();
                 e.stopPropagation();
                 this.touchControls[control] = true;
-                if (control === 'drift') {
-                    this.handleDriftPress();
-                }
                 element.style.background = 'rgba(255, 255, 255, 0.6)';
             };
 
@@ -1099,14 +2029,14 @@ class Game {
             };
 
             // Touch events
-            element.addEventListener('touchstart', startTouch, { passive: false });
-            element.addEventListener('touchend', endTouch, { passive: false });
-            element.addEventListener('touchcancel', endTouch, { passive: false });
+            element.addEventListener('touchstart', startTouch, { passive: false, signal });
+            element.addEventListener('touchend', endTouch, { passive: false, signal });
+            element.addEventListener('touchcancel', endTouch, { passive: false, signal });
 
             // Mouse events for testing
-            element.addEventListener('mousedown', startTouch);
-            element.addEventListener('mouseup', endTouch);
-            element.addEventListener('mouseleave', endTouch);
+            element.addEventListener('mousedown', startTouch, { signal });
+            element.addEventListener('mouseup', endTouch, { signal });
+            element.addEventListener('mouseleave', endTouch, { signal });
         };
 
         addTouchListener('forward-button', 'forward');
@@ -1127,50 +2057,13 @@ class Game {
             console.log("[SETUP DEBUG] useItemElement found for touch listeners:", useItemElement ? 'Yes' : 'No'); // Added log
 
             const onUseItemPress = () => {
-                console.log("[TRAIL DEBUG] UI Item Button pressed. Player item:", this.playerItem, "Is trailing:", this.playerIsTrailingItem);
-                this.isItemButtonPressed = true; // General button state
-                // this.buttonHoldThresholdMet = false; // No longer needed
-                if (this.playerItem && !this.playerIsTrailingItem && this.isTrailableItem(this.playerItem)) {
-                    console.log("[TRAIL DEBUG] UI Item Button: Setting itemHoldTimeout for trailable item:", this.playerItem);
-                    // For UI button (touch/mouse), set timeout to actually start trailing
-                    this.itemHoldTimeout = setTimeout(() => {
-                        if (this.isItemButtonPressed && this.playerItem) { // Check button still pressed & item exists
-                            console.log("[TRAIL DEBUG] UI Item Button: itemHoldTimeout fired. Calling startTrailingItem for:", this.playerItem);
-                            this.startTrailingItem(); // Start visual trail when hold threshold met
-                        } else {
-                            console.log(`[TRAIL DEBUG] UI Item Button: itemHoldTimeout fired, but conditions (isItemButtonPressed: ${this.isItemButtonPressed}, playerItem: ${this.playerItem}) not met. Not calling startTrailingItem.`);
-                        }
-                    }, this.ITEM_HOLD_THRESHOLD);
-                } else if (this.playerItem) {
-                    console.log("[TRAIL DEBUG] UI Item Button: Item is not trailable or already trailing. PlayerItem:", this.playerItem, "IsTrailing:", this.playerIsTrailingItem);
-                }
+                this.pressItemKey();
                 useItemElement.style.background = 'rgba(100, 100, 255, 0.8)';
             };
 
             const onUseItemEnd = (e) => {
                 if (e) { e.preventDefault(); e.stopPropagation(); }
-                console.log("[TRAIL DEBUG] UI Item Button released.");
-                const timeoutId = this.itemHoldTimeout; // Capture before clearing
-                clearTimeout(this.itemHoldTimeout);
-                if (timeoutId) {
-                    console.log("[TRAIL DEBUG] UI Item Button release: Cleared itemHoldTimeout ID:", timeoutId);
-                }
-
-                if (this.isItemButtonPressed) { 
-                    if (this.playerIsTrailingItem) {
-                        console.log("[TRAIL DEBUG] UI Item Button release: Deploying trailed item:", this.playerTrailedItemType);
-                        // If an item is visually trailing (due to 'e' key hold or UI button hold)
-                        this.deployTrailedItem();
-                    } else if (this.playerItem) {
-                        console.log("[TRAIL DEBUG] UI Item Button release: Tap - Using item:", this.playerItem);
-                        // Not trailing, but an item is held: it was a tap or released before hold threshold.
-                        this.useItem({ mesh: this.kart, item: this.playerItem, stunDuration: this.playerStunDuration, mushroomBoostDuration: this.playerMushroomBoostDuration });
-                    } else {
-                        console.log("[TRAIL DEBUG] UI Item Button release: No item to use or trail.");
-                    }
-                }
-                this.isItemButtonPressed = false;
-                // this.buttonHoldThresholdMet = false; // No longer needed
+                this.releaseItemKey();
                 useItemElement.style.background = 'rgba(100, 100, 255, 0.5)';
             };
 
@@ -1180,23 +2073,23 @@ class Game {
                 e.stopPropagation();
                 console.log("[TRAIL DEBUG] UI Button: touchstart event triggered."); // Existing log, now after raw log
                 onUseItemPress();
-            }, { passive: false });
-            useItemElement.addEventListener('touchend', onUseItemEnd, { passive: false });
-            useItemElement.addEventListener('touchcancel', onUseItemEnd, { passive: false });
+            }, { passive: false, signal });
+            useItemElement.addEventListener('touchend', onUseItemEnd, { passive: false, signal });
+            useItemElement.addEventListener('touchcancel', onUseItemEnd, { passive: false, signal });
 
             useItemElement.addEventListener('mousedown', (e) => {
                 console.log("[TRAIL DEBUG] UI Button: mousedown event triggered.");
                 onUseItemPress();
-            });
+            }, { signal });
             useItemElement.addEventListener('mouseup', (e) => {
                 onUseItemEnd(null);
-            });
+            }, { signal });
             useItemElement.addEventListener('mouseleave', (e) => {
                  // If mouse leaves while pressed, treat as release.
                 if (this.isItemButtonPressed) { // Check generic button press state
                     onUseItemEnd(null); // Call common end logic. It will handle clearTimeout and other resets.
                 }
-            });
+            }, { signal });
         } else {
             console.error("[SETUP DEBUG] useItemElement was NOT found for touch listeners!"); // Added else case log
         }
@@ -1218,14 +2111,14 @@ class Game {
             };
 
             // Touch events
-            rearViewElement.addEventListener('touchstart', rearViewStart, { passive: false });
-            rearViewElement.addEventListener('touchend', rearViewEnd, { passive: false });
-            rearViewElement.addEventListener('touchcancel', rearViewEnd, { passive: false }); // Handle cancel
+            rearViewElement.addEventListener('touchstart', rearViewStart, { passive: false, signal });
+            rearViewElement.addEventListener('touchend', rearViewEnd, { passive: false, signal });
+            rearViewElement.addEventListener('touchcancel', rearViewEnd, { passive: false, signal }); // Handle cancel
 
             // Mouse events for testing
-            rearViewElement.addEventListener('mousedown', rearViewStart);
-            rearViewElement.addEventListener('mouseup', rearViewEnd);
-            rearViewElement.addEventListener('mouseleave', rearViewEnd); // Handle mouse leaving button area
+            rearViewElement.addEventListener('mousedown', rearViewStart, { signal });
+            rearViewElement.addEventListener('mouseup', rearViewEnd, { signal });
+            rearViewElement.addEventListener('mouseleave', rearViewEnd, { signal }); // Handle mouse leaving button area
         }
 
 
@@ -1234,17 +2127,18 @@ class Game {
             this.camera.aspect = window.innerWidth / window.innerHeight;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
-        });
+        }, { signal });
     }
 
-    handleDriftPress() {
-        if (!this.isDrifting && this.speed > 0 && !this.isHopping) {
-            this.isHopping = true;
-            this.verticalVelocity = this.hopSpeed;
-            this.canStartDrift = true;
-            this.driftDirection = 0; // Reset drift direction
-            this.driftTime = 0; // Reset drift time
-            this.miniTurboStage = 0; // Reset mini-turbo stage
+    // Hops a kart when drift is pressed; turning before it lands starts a drift
+    handleDriftPress(kart) {
+        if (!kart.isDrifting && kart.speed > 0 && !kart.isHopping && !kart.airState.isAirborne) {
+            kart.isHopping = true;
+            kart.verticalVelocity = this.hopSpeed;
+            kart.canStartDrift = true;
+            kart.driftDirection = 0; // Reset drift direction
+            kart.driftTime = 0; // Reset drift time
+            kart.miniTurboStage = 0; // Reset mini-turbo stage
         }
     }
 
@@ -1255,171 +2149,196 @@ class Game {
 
     updateSpeedometer() {
         // Convert speed to km/h using the universal conversion factor derived from 150cc.
-        const speedKmh = Math.abs(this.speed) * this.universalKmhConversionFactor;
+        const speedKmh = Math.abs(this.player.speed) * this.universalKmhConversionFactor;
         this.speedDisplay.textContent = Math.round(speedKmh);
+        const slipstreamBoosting = this.player.slipstreamBoostDuration > 0;
+        this.slipstreamFill.style.width = `${(slipstreamBoosting ? 1 : this.player.slipstreamCharge) * 100}%`;
+        this.slipstreamFill.classList.toggle('boosting', slipstreamBoosting);
     }
 
-    updateCamera() {
-        if (!this.kart) return; // Ensure kart exists
+    updateCamera(deltaTime = SIMULATION_STEP) {
+        if (!this.player) return; // Ensure kart exists
+        const kartMesh = this.player.mesh;
 
         let cameraOffset;
-        let lookAtTarget = this.kart.position.clone();
+        let lookAtTarget = kartMesh.position.clone();
 
         if (this.isRearViewActive) {
             // Rear view: Camera in front, looking back at the kart
             const frontOffsetDistance = 8; // How far in front of the kart
             cameraOffset = new THREE.Vector3(0, this.cameraHeight, frontOffsetDistance); // Positive Z for in front
             // Apply kart's rotation to this offset
-            cameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.kart.rotation.y);
-            this.cameraTargetPosition.copy(this.kart.position).add(cameraOffset);
+            cameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), kartMesh.rotation.y);
+            this.cameraTargetPosition.copy(kartMesh.position).add(cameraOffset);
             // Look directly at the kart's center for rear view
-            lookAtTarget = this.kart.position.clone();
+            lookAtTarget = kartMesh.position.clone();
         } else {
             // Normal view: Camera behind, looking forward
             cameraOffset = new THREE.Vector3(0, this.cameraHeight, this.cameraDistance); // cameraDistance is negative
-            cameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.kart.rotation.y);
-            this.cameraTargetPosition.copy(this.kart.position).add(cameraOffset);
+            cameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), kartMesh.rotation.y);
+            this.cameraTargetPosition.copy(kartMesh.position).add(cameraOffset);
 
             // Calculate look-at position with slight prediction based on movement for normal view
-            const kartVelocity = new THREE.Vector3().copy(this.kart.position).sub(this.lastKartPosition);
-            lookAtTarget = new THREE.Vector3().copy(this.kart.position).add(kartVelocity.multiplyScalar(2));
+            const kartMovement = new THREE.Vector3().copy(kartMesh.position).sub(this.player.prevPosition);
+            lookAtTarget = new THREE.Vector3().copy(kartMesh.position).add(kartMovement.multiplyScalar(2 * SIMULATION_STEP / Math.max(deltaTime, 1e-6))); // Where it will be two steps on
         }
 
         // Smooth camera position using lerp
-        this.camera.position.lerp(this.cameraTargetPosition, this.cameraLerpFactor);
+        this.camera.position.lerp(this.cameraTargetPosition, smoothingFactor(this.cameraSmoothing, deltaTime));
         // Always look at the determined target
         this.camera.lookAt(lookAtTarget);
     }
 
-    updateKart(deltaTime) { // Accept deltaTime as an argument
-        // Only allow updates if the race is active
-        if (this.gameState !== 'racing') {
-            // Still update camera and render, but don't move kart
-            this.updateCamera();
-            this.updateSpeedometer(); // Keep speedometer at 0
+    // Driving stats of a kart built from 'loadout' and driven by 'character' in this race's speed class: the
+    // class's base values scaled by the parts and driver (see parts.js). 'mass', 'traction' and
+    // 'miniTurboCharge' are multipliers, 1 for the standard kart and driver.
+    getKartStats(loadout, character) {
+        const multipliers = getKartLoadoutMultipliers(loadout, character);
+        return {
+            maxSpeed: this.maxSpeed * multipliers.speed,
+            acceleration: this.acceleration * multipliers.acceleration,
+            turnRate: this.turnSpeed * multipliers.handling,
+            mass: multipliers.weight,
+            traction: multipliers.traction,
+            miniTurboCharge: multipliers.miniTurbo
+        };
+    }
+
+    // Radians per second a kart turns at full lock on a surface (faster while drifting)
+    getKartTurnRate(kart, surface) {
+        const turnRate = kart.driftActive ? kart.stats.turnRate * this.driftTurnMultiplier : kart.stats.turnRate;
+        return turnRate * surface.turnResponse;
+    }
+
+    // Moves one kart on by a step. Its controller picks the inputs; everything else is the same
+    // for the player and the bots.
+    updateKart(kart, deltaTime) {
+        const wasDriftHeld = kart.input.drift;
+        const input = kart.controller.getInput(this, kart, deltaTime);
+        kart.input = input;
+        const kartMesh = kart.mesh;
+
+        // Store previous position *before* calculating new position for this step
+        kart.prevPosition.copy(kartMesh.position);
+
+        // Closest centerline point to where the kart starts the step, shared by the checks before it moves
+        const closest = this.findClosestCenterlinePoint(kartMesh.position);
+
+        // --- Rescue when stuck or out of bounds ---
+        const isTryingToDrive = !kart.isSpinningOut && kart.stunDuration <= 0 && (input.throttle > 0 || input.brake > 0);
+        if (!kart.rescue.active && this.needsRescue(kart, isTryingToDrive, deltaTime, closest)) {
+            this.startRescue(kart);
+        }
+        if (kart.rescue.active) {
+            this.updateRescue(kart, deltaTime); // Only the drop back onto the course counts for checkpoints
+            kart.speed = 0;
+            kart.travelHeading = kartMesh.rotation.y;
+            kart.impulse.set(0, 0, 0);
+            kart.isDrifting = false;
+            kart.driftActive = false;
+            kart.boosting = false;
+            kart.slipstreamCharge = 0;
+            kart.slipstreamBoostDuration = 0;
+            kart.hopHeight = 0;
             return;
         }
 
-        // --- Handle Player Spin-out (Blue Shell) ---
-        if (this.playerIsSpinningOut) {
-            this.playerSpinOutTimer -= deltaTime;
-            this.kart.rotation.y += this.blueShellSpinSpeed * deltaTime;
-            if (this.playerSpinOutTimer <= 0) {
-                this.playerIsSpinningOut = false;
+        // --- Handle Spin-out (Blue Shell) ---
+        if (kart.isSpinningOut) {
+            kart.spinOutTimer -= deltaTime;
+            kartMesh.rotation.y += this.blueShellSpinSpeed * deltaTime;
+            if (kart.spinOutTimer <= 0) {
+                kart.isSpinningOut = false;
             }
-            // Keep camera and speed updated, but skip other controls/physics
-            this.speed = 0; // Ensure speed remains 0
-            this.updateCamera();
-            this.updateSpeedometer();
+            kart.speed = 0; // Ensure speed remains 0
+            this.applyKartImpulse(kart, deltaTime); // Bumps still push a spinning kart
             return; // Skip normal kart updates while spinning out
         }
 
-        // --- Handle Player Effects (Boo, Lightning, Stun) ---
-        if (this.playerIsInvisible) { // Handles Boo invisibility primarily
-            this.playerInvisibilityDuration -= deltaTime;
+        // --- Handle Item Effects (Boo, Lightning, Stun) ---
+        if (kart.isInvisible) { // Handles Boo invisibility primarily
+            kart.invisibilityDuration -= deltaTime;
 
-            if (this.playerInvisibilityDuration <= 0) {
+            if (kart.invisibilityDuration <= 0) {
                 // Invisibility duration from Boo has ended.
-                if (this.playerIsAttemptingBooSteal) {
-                    const itemStolenSuccessfully = this.stealItemWithBoo(this.kart); // 'this.kart' is the racer object for player
+                if (kart.isAttemptingBooSteal) {
+                    const itemStolenSuccessfully = this.stealItemWithBoo(kart);
 
                     if (itemStolenSuccessfully) {
-                        // stealItemWithBoo already put the item in this.playerItem (stolen item)
-                        console.log(`Boo stole ${this.playerItem} for Player!`);
-                        this.playerInvisibilityDuration = 0; // End invisibility due to successful steal
+                        // stealItemWithBoo already put the stolen item in kart.item
+                        console.log(`Boo stole ${kart.item} for ${kart.name}!`);
                     } else {
-                        // Steal from another racer failed. stealItemWithBoo has given the player a 'mushroom'.
-                        // this.playerItem is already 'mushroom'. Invisibility continues for its normal duration.
+                        // Steal from another racer failed. stealItemWithBoo has given the kart a 'mushroom'.
                         // The console log for receiving a mushroom is in stealItemWithBoo.
-                        console.log("Player's Boo failed to steal from another; player received a mushroom. Invisibility continues.");
+                        console.log(`${kart.name}'s Boo failed to steal from another; received a mushroom instead.`);
                     }
-                    this.playerIsAttemptingBooSteal = false;
+                    kart.isAttemptingBooSteal = false;
                     this.updateItemDisplay(); // Update display with new item or empty
                 }
 
-                // Restore visibility unless another effect keeps player invisible
+                // Restore visibility unless another effect keeps the kart invisible
                 // For now, assume Boo was the only source of this invisibility state
-                this.playerIsInvisible = false;
-                this.kart.traverse(child => {
+                kart.isInvisible = false;
+                kartMesh.traverse(child => {
                     if (child.isMesh) {
                         child.material.opacity = 1.0;
-                        // Consider if material was originally transparent:
-                        // child.material.transparent = child.material.userData.wasTransparent || false;
                     }
                 });
             }
         }
-        if (this.playerShrinkDuration > 0) {
-            this.playerShrinkDuration -= deltaTime;
-            if (this.playerShrinkDuration <= 0) {
-                this.kart.scale.copy(this.originalPlayerScale); // Restore scale
+        if (kart.shrinkDuration > 0) {
+            kart.shrinkDuration -= deltaTime;
+            if (kart.shrinkDuration <= 0) {
+                kartMesh.scale.copy(kart.originalScale); // Restore scale
             }
         }
-        if (this.playerStunDuration > 0) {
-            this.playerStunDuration -= deltaTime;
-            this.updateCamera(); 
-            this.updateSpeedometer();
-            // Kart can still be controlled slightly or just shows stun effect
-            // For now, full stop of input processing is below, this just ticks down stun
-            if (this.playerStunDuration <=0) { /* stun just ended */ }
-            // If stunned, we might want to prevent most actions below.
-            // For now, the main movement restriction comes from speed being set to 0 or low.
+        if (kart.invincibilityDuration > 0) {
+            kart.invincibilityDuration -= deltaTime;
+        }
+        if (kart.stunDuration > 0) {
+            kart.stunDuration -= deltaTime;
         }
-        // If stunned, significantly reduce ability to control or move
-        const isPlayerActuallyStunned = this.playerStunDuration > 0;
-
-
-        // Store previous position *before* calculating new position for this frame
-        this.lastKartPosition.copy(this.kart.position);
 
-        // If stunned, skip most input and movement logic
-        if (isPlayerActuallyStunned) {
+        // If stunned, skip input and most movement logic
+        if (kart.stunDuration > 0) {
             // Apply strong deceleration if stunned
-            this.speed = Math.abs(this.speed) < this.deceleration * 2 ? 0 :
-                         this.speed - Math.sign(this.speed) * this.deceleration * 2;
+            const stunDeceleration = this.deceleration * 2 * deltaTime;
+            kart.speed = Math.abs(kart.speed) < stunDeceleration ? 0 :
+                         kart.speed - Math.sign(kart.speed) * stunDeceleration;
             const movement = new THREE.Vector3(
-                Math.sin(this.kart.rotation.y) * this.speed,
+                Math.sin(kartMesh.rotation.y) * kart.speed * deltaTime,
                 0,
-                Math.cos(this.kart.rotation.y) * this.speed
+                Math.cos(kartMesh.rotation.y) * kart.speed * deltaTime
             );
-            this.kart.position.add(movement);
-            this.kart.position.y = 0.25 + this.hopHeight; // Keep hop physics if mid-hop during stun
-            this.updateCamera();
-            this.updateSpeedometer();
+            this.handleWallCollisions(kart, movement, this.kartRadius);
+            this.applyKartImpulse(kart, deltaTime);
+            kartMesh.position.y = kart.rideHeight + this.updateGroundFollowing(kart.airState, kartMesh.position, deltaTime, closest) + kart.hopHeight; // Keep hop physics if mid-hop during stun
             return; // Skip normal controls and movement updates
         }
 
-        // Store previous position *before* calculating new position for this frame
-        this.lastKartPosition.copy(this.kart.position);
-        // Check if trying to drift
-        const wantsDoDrift = this.keys[' '] || this.touchControls.drift;
-        const turningLeft = this.keys['a'] || this.keys['arrowleft'] || this.touchControls.left;
-        const turningRight = this.keys['d'] || this.keys['arrowright'] || this.touchControls.right;
+        if (input.drift && !wasDriftHeld) {
+            this.handleDriftPress(kart);
+        }
+        const surface = this.getSurfaceAt(kartMesh.position, closest);
+        const wantsDoDrift = input.drift;
+        const turningLeft = input.steer > 0;
+        const turningRight = input.steer < 0;
         const isTurning = turningLeft || turningRight;
 
         // Store drift direction only when initiating a new drift
-        if (this.isDrifting && this.driftActive && this.driftDirection === 0 && isTurning) {
-            if (turningLeft) {
-                this.driftDirection = 1;
-            } else if (turningRight) {
-                this.driftDirection = -1;
-            }
-            this.isInDriftMomentum = false;
+        if (kart.isDrifting && kart.driftActive && kart.driftDirection === 0 && isTurning) {
+            kart.driftDirection = turningLeft ? 1 : -1;
+            kart.isInDriftMomentum = false;
         }
 
-        // Update mini-turbo
-        if (this.isDrifting && this.driftActive) {
-            const turningLeft = this.keys['a'] || this.keys['arrowleft'] || this.touchControls.left;
-            const turningRight = this.keys['d'] || this.keys['arrowright'] || this.touchControls.right;
-            const isTurning = turningLeft || turningRight;
+        // Check if turning in opposite direction of drift
+        const isOppositeDirection = (kart.driftDirection > 0 && turningRight) ||
+                                    (kart.driftDirection < 0 && turningLeft);
 
+        // Update mini-turbo
+        if (kart.isDrifting && kart.driftActive) {
             // Determine charge rate based on drift state and input
             let chargeRate = 1.0; // Default full charge rate
-            
-            // Check if turning in opposite direction of drift
-            const isOppositeDirection = (this.driftDirection > 0 && turningRight) || 
-                                      (this.driftDirection < 0 && turningLeft);
-            
             if (isOppositeDirection) {
                 chargeRate = 0.25; // Very slow charge when turning opposite
             } else if (!isTurning) {
@@ -1427,234 +2346,308 @@ class Game {
             }
 
             // Apply charge rate to drift time
-            const deltaTime = 1 / 60; // Assuming 60fps, replace with actual delta time if available
-            this.driftTime += deltaTime * chargeRate;
+            kart.driftTime += deltaTime * chargeRate * kart.stats.miniTurboCharge;
 
             // Update mini-turbo stage based on drift time
             for (let i = this.miniTurboThresholds.length - 1; i >= 0; i--) {
-                if (this.driftTime >= this.miniTurboThresholds[i]) {
-                    this.miniTurboStage = i;
+                if (kart.driftTime >= this.miniTurboThresholds[i]) {
+                    kart.miniTurboStage = i;
                     break;
                 }
             }
 
             // Emit sparks based on mini-turbo stage
-            if (this.miniTurboStage > 0) {
-                const now = performance.now() / 1000; // Time in seconds
-                const timeSinceLastEmit = now - this.lastSparkEmitTime;
+            if (kart.miniTurboStage > 0) {
+                const now = this.simulationTime;
+                const timeSinceLastEmit = now - kart.lastSparkEmitTime;
                 const emitInterval = 1 / this.sparkEmitRate;
 
                 if (timeSinceLastEmit >= emitInterval) {
-                    const sparkColor = this.sparkColors[this.miniTurboStage - 1];
-                    this.emitDriftSpark(sparkColor, this.kart, this.speed, this.playerRandom);
-                    this.lastSparkEmitTime = now;
+                    this.emitDriftSpark(this.sparkColors[kart.miniTurboStage - 1], kart);
+                    kart.lastSparkEmitTime = now;
                 }
             }
         } else {
             // If we stop drifting, check if we should apply boost
-            if (this.driftTime > this.miniTurboThresholds[1]) {
-                this.boosting = true;
-                this.boostTime = this.miniTurboBoostDurations[this.miniTurboStage - 1];
-                this.maxBoostTime = this.miniTurboBoostDurations[this.miniTurboStage - 1];
-                this.boostMultiplier = 1.3; // Fixed boost multiplier
+            if (kart.driftTime > this.miniTurboThresholds[1]) {
+                kart.boosting = true;
+                kart.boostTime = this.miniTurboBoostDurations[kart.miniTurboStage - 1];
             }
-            this.driftTime = 0;
-            this.miniTurboStage = 0;
-            // No need to hide HTML element anymore
+            kart.driftTime = 0;
+            kart.miniTurboStage = 0;
         }
 
         // Update boost
-        if (this.boosting) {
-            this.boostTime -= 1/60;
-            if (this.boostTime <= 0) {
-                this.boosting = false;
-                this.boostMultiplier = 1;
+        if (kart.boosting) {
+            kart.boostTime -= deltaTime;
+            if (kart.boostTime <= 0) {
+                kart.boosting = false;
             }
         }
 
         // Update hop animation
-        if (this.isHopping) {
-            this.hopHeight += this.verticalVelocity;
-            this.verticalVelocity -= this.gravity;
+        if (kart.isHopping) {
+            kart.hopHeight += kart.verticalVelocity * deltaTime;
+            kart.verticalVelocity -= this.gravity * deltaTime;
 
             // Allow drift to start during the hop if turning
-            if (this.canStartDrift && isTurning && wantsDoDrift) {
-                this.isDrifting = true;
-                this.driftActive = false; // Don't apply drift effects yet
+            if (kart.canStartDrift && isTurning && wantsDoDrift) {
+                kart.isDrifting = true;
+                kart.driftActive = false; // Don't apply drift effects yet
             }
 
             // Land from hop
-            if (this.hopHeight <= 0) {
-                this.hopHeight = 0;
-                this.isHopping = false;
-                this.verticalVelocity = 0;
-                this.canStartDrift = false;
-                if (this.isDrifting && isTurning && wantsDoDrift) {
-                    this.driftActive = true; // Start applying drift effects
+            if (kart.hopHeight <= 0) {
+                kart.hopHeight = 0;
+                kart.isHopping = false;
+                kart.verticalVelocity = 0;
+                kart.canStartDrift = false;
+                if (kart.isDrifting && isTurning && wantsDoDrift) {
+                    kart.driftActive = true; // Start applying drift effects
                 } else {
-                    this.isDrifting = false;
+                    kart.isDrifting = false;
                 }
             }
         }
 
-        // Handle drift momentum and turning
-        if (this.speed !== 0) {
-            let currentTurnSpeed = this.driftActive ? this.turnSpeed * this.driftTurnMultiplier : this.turnSpeed;
-            
-            if (this.isDrifting && this.driftActive) {
-                // Check if turning in opposite direction of drift
-                const isOppositeDirection = (this.driftDirection > 0 && turningRight) || 
-                                          (this.driftDirection < 0 && turningLeft);
-                
+        // Handle drift momentum and turning; steering turns in proportion to how far it is pushed
+        if (kart.speed !== 0) {
+            const turnThisStep = input.steer * this.getKartTurnRate(kart, surface) * deltaTime; // Radians this step
+
+            if (kart.isDrifting && kart.driftActive) {
                 if (isOppositeDirection) {
                     // Set drift momentum to a lower value instead of 0
-                    this.driftMomentumTurnSpeed = Math.max(
+                    kart.driftMomentumTurnSpeed = Math.max(
                         this.defaultDriftMomentumTurnSpeed * 0.2, // Reduce to 20% of default momentum
-                        0.002 // Minimum momentum to prevent complete stop
+                        0.12 // Minimum momentum to prevent complete stop
                     );
                 } else if (isTurning) {
                     // Normal drift turning in same direction, restore default momentum
-                    this.driftMomentumTurnSpeed = this.defaultDriftMomentumTurnSpeed;
-                    this.isInDriftMomentum = false;
-                    
-                    if (turningLeft) {
-                        this.kart.rotation.y += currentTurnSpeed;
-                    }
-                    if (turningRight) {
-                        this.kart.rotation.y -= currentTurnSpeed;
-                    }
+                    kart.driftMomentumTurnSpeed = this.defaultDriftMomentumTurnSpeed;
+                    kart.isInDriftMomentum = false;
+                    kartMesh.rotation.y += turnThisStep;
                 } else {
                     // No direction pressed during drift - apply momentum
-                    this.isInDriftMomentum = true;
-                    this.kart.rotation.y += this.driftDirection * this.driftMomentumTurnSpeed;
+                    kart.isInDriftMomentum = true;
+                    kartMesh.rotation.y += kart.driftDirection * kart.driftMomentumTurnSpeed * deltaTime;
                 }
             } else {
                 // Normal non-drift turning
-                this.isInDriftMomentum = false;
-                if (turningLeft) {
-                    this.kart.rotation.y += currentTurnSpeed;
-                }
-                if (turningRight) {
-                    this.kart.rotation.y -= currentTurnSpeed;
-                }
+                kart.isInDriftMomentum = false;
+                kartMesh.rotation.y += turnThisStep;
             }
         }
 
         // Reset momentum speed when drift ends
-        if (!this.isDrifting) {
-            this.driftMomentumTurnSpeed = this.defaultDriftMomentumTurnSpeed;
+        if (!kart.isDrifting) {
+            kart.driftMomentumTurnSpeed = this.defaultDriftMomentumTurnSpeed;
         }
 
         // End drift only if drift button is released or speed is zero
-        if (!wantsDoDrift || this.speed === 0) {
-            this.isDrifting = false;
-            this.driftActive = false;
-            this.canStartDrift = false;
-            this.isInDriftMomentum = false;
+        if (!wantsDoDrift || kart.speed === 0) {
+            kart.isDrifting = false;
+            kart.driftActive = false;
+            kart.canStartDrift = false;
+            kart.isInDriftMomentum = false;
         }
 
+        this.updateSlipstream(kart, deltaTime);
+
         // Calculate target speed limit
-        this.targetSpeedLimit = this.maxSpeed;
-        if (this.driftActive) {
-            this.targetSpeedLimit *= this.driftSpeedMultiplier;
+        let targetSpeedLimit = kart.stats.maxSpeed;
+        if (kart.driftActive) {
+            targetSpeedLimit *= this.driftSpeedMultiplier;
         }
-        // Apply Mushroom boost (potentially overrides mini-turbo boost multiplier)
+        // Apply Mushroom boost (overrides the mini-turbo boost multiplier)
         let currentBoostMultiplier = 1.0;
-        if (this.playerMushroomBoostDuration > 0) {
-            this.playerMushroomBoostDuration -= deltaTime; // Use deltaTime
+        if (kart.mushroomBoostDuration > 0) {
+            kart.mushroomBoostDuration -= deltaTime;
             currentBoostMultiplier = this.mushroomBoostMultiplier;
-        } else if (this.boosting) { // Apply mini-turbo boost only if mushroom isn't active
-             currentBoostMultiplier = this.boostMultiplier;
+        } else if (kart.boosting) { // Apply mini-turbo boost only if mushroom isn't active
+            currentBoostMultiplier = this.miniTurboBoostMultiplier;
+        } else if (kart.slipstreamBoostDuration > 0) {
+            currentBoostMultiplier = this.slipstreamBoostMultiplier;
         }
-        this.targetSpeedLimit *= currentBoostMultiplier;
+        targetSpeedLimit *= currentBoostMultiplier;
 
-
-        // Apply off-road penalty
-        if (this.isOffRoad(this.kart.position)) {
-            this.targetSpeedLimit *= this.offRoadMultiplier;
-        }
+        // Apply the surface's speed limit (grass, mud, ...)
+        targetSpeedLimit *= surface.maxSpeed;
         // Apply shrink penalty from lightning
-        if (this.playerShrinkDuration > 0) {
-            this.targetSpeedLimit *= 0.6; // Reduced speed while shrunk
+        if (kart.shrinkDuration > 0) {
+            targetSpeedLimit *= 0.6; // Reduced speed while shrunk
         }
 
         // Smoothly interpolate current speed limit
-        this.currentSpeedLimit = this.currentSpeedLimit + (this.targetSpeedLimit - this.currentSpeedLimit) * this.speedLimitLerpFactor;
-
-        // Forward/Backward movement
-        if (this.keys['w'] || this.keys['arrowup'] || this.touchControls.forward) {
-            this.speed = Math.min(this.speed + this.acceleration, this.currentSpeedLimit);
-        } else if (this.keys['s'] || this.keys['arrowdown'] || this.touchControls.backward) {
-            this.speed = Math.max(this.speed - this.acceleration, -this.currentSpeedLimit / 2);
+        const speedLimitBlend = smoothingFactor(this.speedLimitSmoothing, deltaTime);
+        kart.currentSpeedLimit = kart.currentSpeedLimit + (targetSpeedLimit - kart.currentSpeedLimit) * speedLimitBlend;
+
+        // Forward/Backward movement, in proportion to how far the throttle or brake is pressed. Part
+        // throttle also holds a lower speed: the kart coasts down to that share of its speed limit.
+        const deceleration = this.deceleration * this.weather.braking * deltaTime; // Karts roll further on wet roads
+        if (kart.airState.isAirborne) {
+            // No grip in the air: keep the take-off speed until landing
+        } else if (input.throttle > 0) {
+            const throttleSpeed = kart.currentSpeedLimit * input.throttle;
+            kart.speed = kart.speed < throttleSpeed ?
+                Math.min(kart.speed + kart.stats.acceleration * surface.acceleration * input.throttle * deltaTime, throttleSpeed) :
+                Math.max(throttleSpeed, kart.speed - deceleration);
+        } else if (input.brake > 0) {
+            const brakingFactor = kart.speed > 0 ? this.weather.braking : 1; // Wet roads take longer to stop on
+            kart.speed = Math.max(kart.speed - kart.stats.acceleration * surface.acceleration * brakingFactor * input.brake * deltaTime, -kart.currentSpeedLimit / 2);
         } else {
-            this.speed = Math.abs(this.speed) < this.deceleration ? 0 :
-                        this.speed - Math.sign(this.speed) * this.deceleration;
+            kart.speed = Math.abs(kart.speed) < deceleration ? 0 :
+                        kart.speed - Math.sign(kart.speed) * deceleration;
+        }
+
+        // Gravity along the ground slows climbs and speeds up descents
+        if (!kart.airState.isAirborne) {
+            const slope = this.getGroundSlopeAt(kartMesh.position, kartMesh.rotation.y);
+            kart.speed -= this.slopeAcceleration * slope.forward * deltaTime;
         }
 
         // If current speed is above the limit, gradually decrease it
-        if (Math.abs(this.speed) > this.currentSpeedLimit) {
-            const targetSpeed = Math.sign(this.speed) * this.currentSpeedLimit;
-            this.speed = this.speed + (targetSpeed - this.speed) * this.speedLimitLerpFactor;
+        if (Math.abs(kart.speed) > kart.currentSpeedLimit) {
+            const targetSpeed = Math.sign(kart.speed) * kart.currentSpeedLimit;
+            kart.speed = kart.speed + (targetSpeed - kart.speed) * speedLimitBlend;
         }
 
-        // Update position
+        // Move along the direction of travel, which follows the heading as closely as the surface grips
+        if (!kart.airState.isAirborne) {
+            const grip = Math.min(1, (kart.driftActive ? surface.driftGrip : surface.grip) * kart.stats.traction);
+            kart.travelHeading = this.applySurfaceGrip(kart.travelHeading, kartMesh.rotation.y, grip, deltaTime);
+        }
         const movement = new THREE.Vector3(
-            Math.sin(this.kart.rotation.y) * this.speed,
+            Math.sin(kart.travelHeading) * kart.speed * deltaTime,
             0,
-            Math.cos(this.kart.rotation.y) * this.speed
-        );
-
-        // Handle wall collisions before adding main movement
-        const collidedWithWall = this.handleWallCollisions(
-            { mesh: this.kart, speedRef: { get: () => this.speed, set: (val) => this.speed = val }, rotationYRef: { get: () => this.kart.rotation.y, set: (val) => this.kart.rotation.y = val }, impulse: this.impulse, isPlayer: true },
-            movement,
-            this.kartRadius
+            Math.cos(kart.travelHeading) * kart.speed * deltaTime
         );
 
-        if (!collidedWithWall) {
-            this.kart.position.add(movement);
-        }
+        // Move, sliding along or bouncing off any wall in the way
+        this.handleWallCollisions(kart, movement, this.kartRadius);
+        this.emitSurfaceParticlesFor(kart, surface);
 
         // Apply bump impulse (still applies even if wall-collided, can be adjusted)
-        this.kart.position.add(this.impulse);
-        // Decay impulse
-        this.impulse.multiplyScalar(this.impulseDecay);
-        if (this.impulse.lengthSq() < 0.0001) {
-            this.impulse.set(0, 0, 0); // Reset if very small
+        this.applyKartImpulse(kart, deltaTime);
+
+        // Update kart height from the ground (or the jump over a crest) and hop, and lean with the slope
+        kartMesh.position.y = kart.rideHeight + this.updateGroundFollowing(kart.airState, kartMesh.position, deltaTime) + kart.hopHeight;
+        this.alignKartToGround(kartMesh, kart.airState);
+
+        if (input.useItem && kart.item) {
+            this.useItem(kart);
         }
+    }
 
-        // Update kart height based on hop
-        this.kart.position.y = 0.25 + this.hopHeight;
+    // The racer whose slipstream 'kart' is in: the nearest one going the same way, both fast enough, with
+    // 'kart' inside the cone behind it, or null. Same forward-vector test as the bots' item choices.
+    findSlipstreamLeader(kart) {
+        if (kart.airState.isAirborne || kart.speed < kart.stats.maxSpeed * this.slipstreamMinSpeed) return null;
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        const minAlong = Math.cos(this.slipstreamConeAngle);
+        let leader = null;
+        let nearestDistance = this.slipstreamLength;
+        this.karts.forEach(other => {
+            if (other === kart || other.rescue.active || other.speed < other.stats.maxSpeed * this.slipstreamMinSpeed) return;
+            const otherForward = new THREE.Vector3(0, 0, 1).applyQuaternion(other.mesh.quaternion);
+            if (forward.dot(otherForward) < Math.SQRT1_2) return; // Not going the same way
+            const offset = other.mesh.position.clone().sub(kart.mesh.position); // Up to the racer ahead
+            offset.y = 0;
+            const distance = offset.length();
+            if (distance === 0 || distance >= nearestDistance) return;
+            if (offset.dot(otherForward) / distance < minAlong) return; // Outside the cone behind it
+            leader = other;
+            nearestDistance = distance;
+        });
+        return leader;
+    }
 
-        // Update camera separately
-        this.updateCamera();
+    // Fills the kart's slipstream meter while it is in one and drains it outside; a full meter starts the boost
+    updateSlipstream(kart, deltaTime) {
+        if (kart.slipstreamBoostDuration > 0) {
+            kart.slipstreamBoostDuration -= deltaTime;
+        }
+        if (this.findSlipstreamLeader(kart)) {
+            kart.slipstreamCharge += deltaTime / this.slipstreamChargeTime;
+            if (kart.slipstreamCharge >= 1) {
+                kart.slipstreamCharge = 0;
+                kart.slipstreamBoostDuration = this.slipstreamBoostTime;
+            }
+        } else {
+            kart.slipstreamCharge = Math.max(0, kart.slipstreamCharge - deltaTime / this.slipstreamDrainTime);
+        }
+
+        const windStrength = kart.slipstreamBoostDuration > 0 ? 1 : kart.slipstreamCharge;
+        if (windStrength > 0 && kart.random() < this.windLineEmitRate * windStrength * deltaTime) {
+            this.emitWindLine(kart);
+        }
+    }
 
-        // Update speedometer
-        this.updateSpeedometer();
+    // Moves a kart by its bump impulse, which then fades. Walls stop the push.
+    applyKartImpulse(kart, deltaTime) {
+        kart.mesh.position.addScaledVector(kart.impulse, deltaTime);
+        const wallNormal = this.pushOutOfWalls(kart.mesh.position, this.kartRadius);
+        if (wallNormal) {
+            const intoWall = kart.impulse.dot(wallNormal);
+            if (intoWall < 0) kart.impulse.addScaledVector(wallNormal, -intoWall);
+        }
+        kart.impulse.multiplyScalar(1 - smoothingFactor(this.impulseDamping, deltaTime));
+        if (kart.impulse.lengthSq() < 0.36) {
+            kart.impulse.set(0, 0, 0); // Reset if very small
+        }
     }
 
-    isOffRoad(position) {
-        const x = position.x;
-        const z = position.z;
-        const outerA = this.trackLength / 2;
-        const outerB = this.trackWidth / 2;
-        const innerA = this.trackLengthInner / 2;
-        const innerB = this.trackWidthInner / 2;
+    isOffRoad(position, closest = this.findClosestCenterlinePoint(position)) {
+        // Off-road once further from the centerline than half the local road width
+        return closest.distance > closest.width / 2;
+    }
 
-        // Check if outside the outer ellipse
-        const isOutsideOuter = (x / outerA) ** 2 + (z / outerB) ** 2 > 1;
+    // Surface under a position: the last authored region containing it, otherwise the
+    // road's surface on the road and the terrain's off it (asphalt and grass by default).
+    // Grip is already lowered for the weather.
+    getSurfaceAt(position, closest) {
+        const regions = this.trackDefinition.surfaces || [];
+        for (let i = regions.length - 1; i >= 0; i--) {
+            if (this.isInSurfaceRegion(regions[i], position)) {
+                return this.surfaceTypes[regions[i].type] || this.surfaceTypes.asphalt;
+            }
+        }
+        const road = this.trackDefinition.road || {};
+        const terrain = this.trackDefinition.terrain || {};
+        const surfaceName = this.isOffRoad(position, closest) ? (terrain.surface || 'grass') : (road.surface || 'asphalt');
+        return this.surfaceTypes[surfaceName] || this.surfaceTypes.asphalt;
+    }
 
-        // Check if inside the inner ellipse (hole)
-        const isInsideInner = (x / innerA) ** 2 + (z / innerB) ** 2 < 1;
+    // Regions are circles ({ x, z, radius }) or polygons ({ points: [{ x, z }, ...] })
+    isInSurfaceRegion(region, position) {
+        if (region.points) {
+            let inside = false;
+            for (let i = 0, j = region.points.length - 1; i < region.points.length; j = i++) {
+                const a = region.points[i];
+                const b = region.points[j];
+                if ((a.z > position.z) !== (b.z > position.z) &&
+                    position.x < (b.x - a.x) * (position.z - a.z) / (b.z - a.z) + a.x) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+        return Math.hypot(position.x - region.x, position.z - region.z) < region.radius;
+    }
 
-        return isOutsideOuter || isInsideInner;
+    // Moves a kart's direction of travel towards its heading by the surface's grip and returns it
+    applySurfaceGrip(travelHeading, heading, grip, deltaTime) {
+        let slip = heading - travelHeading;
+        while (slip > Math.PI) slip -= Math.PI * 2;
+        while (slip < -Math.PI) slip += Math.PI * 2;
+        return heading - slip * Math.pow(1 - grip, deltaTime * 60); // Grip is the share closed every sixtieth of a second
     }
 
     updateLapCounter() {
-        this.lapDisplay.innerHTML = `<div class="lap-count">LAP ${this.currentLap}/${this.maxLaps}</div>`;
+        const lap = this.player ? this.player.lap : 1;
+        this.lapDisplay.innerHTML = `<div class="lap-count">LAP ${lap}/${this.maxLaps}</div>`;
         
         // Animate the display when lap changes
-        if (this.currentLap > 1) {
+        if (lap > 1) {
             this.lapDisplay.classList.add('lap-changed');
             setTimeout(() => {
                 this.lapDisplay.classList.remove('lap-changed');
@@ -1662,10 +2655,20 @@ class Game {
         }
     }
 
+    // Counts gates and laps for every kart still racing
     checkCheckpoints() {
-        if (this.raceFinished) return;
+        for (const kart of this.karts) {
+            if (this.raceFinished) return;
+            if (!this.finishOrder.includes(kart.id)) {
+                this.checkKartCheckpoints(kart);
+            }
+        }
+    }
 
-        // Calculate which checkpoint the kart is near
+    // Registers a gate the kart crossed between its previous and current position, if it may follow
+    // the kart's last gate, and completes a lap at the start/finish line
+    checkKartCheckpoints(kart) {
+        const kartPosition = kart.mesh.position;
         for (let i = 0; i < this.checkpoints.length; i++) {
             const checkpoint = this.checkpoints[i];
             
@@ -1673,7 +2676,6 @@ class Game {
             const leftPost = checkpoint.posts[0].position;
             const rightPost = checkpoint.posts[1].position;
             
-            // Log the distance from the kart to the checkpoint center
             const checkpointCenter = new THREE.Vector3(
                 (leftPost.x + rightPost.x) / 2,
                 (leftPost.y + rightPost.y) / 2,
@@ -1684,14 +2686,14 @@ class Game {
 
             // Vectors from checkpoint center to previous and current kart positions (using only XZ plane)
             const vecToPrevKart = new THREE.Vector3(
-                this.lastKartPosition.x - checkpointCenter.x,
+                kart.prevPosition.x - checkpointCenter.x,
                 0,
-                this.lastKartPosition.z - checkpointCenter.z
+                kart.prevPosition.z - checkpointCenter.z
             );
             const vecToCurrKart = new THREE.Vector3(
-                this.kart.position.x - checkpointCenter.x,
+                kartPosition.x - checkpointCenter.x,
                 0,
-                this.kart.position.z - checkpointCenter.z
+                kartPosition.z - checkpointCenter.z
             );
 
             // Project these vectors onto the checkpoint normal
@@ -1703,7 +2705,7 @@ class Game {
 
                 // Calculate the intersection point on the plane (using linear interpolation on XZ)
                 const t = prevDot / (prevDot - currDot); // Interpolation factor
-                const intersectionPoint = new THREE.Vector3().lerpVectors(this.lastKartPosition, this.kart.position, t);
+                const intersectionPoint = new THREE.Vector3().lerpVectors(kart.prevPosition, kartPosition, t);
 
                 // Vector from checkpoint center to intersection point
                 const vecCenterToIntersection = new THREE.Vector3().subVectors(intersectionPoint, checkpointCenter);
@@ -1716,86 +2718,88 @@ class Game {
 
                 // Check if the intersection happened within the gate width
                 if (Math.abs(distanceAlongGate) < checkpointWidth / 2) {
-                    // Check if this is the next expected checkpoint
-                    if (i === (this.lastCheckpoint + 1) % this.totalCheckpoints) {
-                        // Check for lap completion *before* updating lastCheckpoint
-                        // Condition: Crossing the finish line (i=3) and the previous checkpoint was 2
-                        const completingLap = (i === 3 && this.lastCheckpoint === 2);
-
-                        // Now update lastCheckpoint
-                        this.lastCheckpoint = i;
-                        // console.log(`%cValid checkpoint sequence! Checkpoint ${i + 1} registered`, 'background: #2196F3; color: white; padding: 4px; border-radius: 4px;'); // DEBUG REMOVED
-
-                        if (completingLap) {
-                            this.currentLap++;
-                            this.checkpointsPassed = 0; // Reset checkpoints passed for the new lap
-                            // console.log(`%cLap ${this.currentLap} started!`, 'background: #9C27B0; color: white; padding: 4px; border-radius: 4px;'); // DEBUG REMOVED
-                            this.updateLapCounter();
-
-                            // Check if race is finished
-                        if (this.currentLap > this.maxLaps) {
-                            this.raceFinished = true;
-                            console.log('%cRace Complete!', 'background: #FFC107; color: black; padding: 4px; border-radius: 4px;');
-                            
-                            // Create and show custom race completion modal
-                            const finalPosition = this.getOrdinalSuffix(this.playerPosition);
-                            const modal = document.createElement('div');
-                            modal.style.position = 'fixed';
-                            modal.style.top = '50%';
-                            modal.style.left = '50%';
-                            modal.style.transform = 'translate(-50%, -50%)';
-                            modal.style.background = 'rgba(0, 0, 0, 0.85)';
-                            modal.style.padding = '20px';
-                            modal.style.borderRadius = '10px';
-                            modal.style.color = 'white';
-                            modal.style.textAlign = 'center';
-                            modal.style.zIndex = '1000';
-                            modal.style.minWidth = '250px';
-                            
-                            const header = document.createElement('h2');
-                            header.innerText = 'Race Complete!';
-                            header.style.color = '#FFC107';
-                            header.style.marginBottom = '15px';
-                            
-                            const result = document.createElement('p');
-                            result.innerText = `You finished in ${finalPosition} place!`;
-                            result.style.fontSize = '1.2em';
-                            result.style.marginBottom = '20px';
-                            
-                            const retryButton = document.createElement('button');
-                            retryButton.innerText = 'Race Again';
-                            retryButton.style.padding = '10px 20px';
-                            retryButton.style.background = '#4CAF50';
-                            retryButton.style.color = 'white';
-                            retryButton.style.border = 'none';
-                            retryButton.style.borderRadius = '5px';
-                            retryButton.style.cursor = 'pointer';
-                            retryButton.style.fontSize = '1.1em';
-                            retryButton.onclick = () => {
-                                // Reload the page to restart the game
-                                window.location.reload();
-                            };
-                            
-                            modal.appendChild(header);
-                            modal.appendChild(result);
-                            modal.appendChild(retryButton);
-                            document.body.appendChild(modal);
+                    // Check if this gate may follow the last one (any branch counts)
+                    const expectedCheckpoints = this.checkpointNext[kart.checkpointIndex];
+                    if (expectedCheckpoints.includes(i)) {
+                        kart.checkpointIndex = i;
+
+                        // Crossing the finish line from a gate that leads to it completes a lap
+                        if (i === this.finishCheckpointIndex) {
+                            kart.lap++;
+                            if (kart === this.player) {
+                                this.updateLapCounter();
+                            }
+                            if (kart.lap > this.maxLaps) {
+                                this.finishOrder.push(kart.id);
+                                if (kart === this.player) {
+                                    this.finishPlayerRace();
+                                }
+                            }
                         }
+                    } else if (kart === this.player) {
+                        console.warn(`Wrong checkpoint sequence! Expected ${expectedCheckpoints.map(index => index + 1).join(' or ')}, got ${i + 1}`);
                     }
-
-                    // Increment checkpoints passed *unless* a lap was just completed (it resets to 0)
-                    if (!completingLap) {
-                        this.checkpointsPassed++;
-                    }
-                    // console.debug(`Checkpoints passed this lap: ${this.checkpointsPassed}/${this.totalCheckpoints}`); // DEBUG REMOVED
-
-                } else {
-                    console.warn(`Wrong checkpoint sequence! Expected ${(this.lastCheckpoint + 1) % this.totalCheckpoints + 1}, got ${i + 1}`);
+                    break;
                 }
-                break;
             }
         }
     }
+
+    // Ends the race once the player completes the final lap, showing the result or handing it to a cup
+    finishPlayerRace() {
+        this.updateScoreboard(); // Final position, counting anyone who finished first
+        this.raceFinished = true;
+        console.log('%cRace Complete!', 'background: #FFC107; color: black; padding: 4px; border-radius: 4px;');
+
+        // A cup takes over from here with the full results
+        if (this.onRaceFinished) {
+            this.onRaceFinished(this.getRaceOrder().map(racer => ({ id: racer.id, name: racer.name })));
+            return;
+        }
+
+        // Create and show custom race completion modal
+        const finalPosition = this.getOrdinalSuffix(this.playerPosition);
+        const modal = document.createElement('div');
+        modal.style.position = 'fixed';
+        modal.style.top = '50%';
+        modal.style.left = '50%';
+        modal.style.transform = 'translate(-50%, -50%)';
+        modal.style.background = 'rgba(0, 0, 0, 0.85)';
+        modal.style.padding = '20px';
+        modal.style.borderRadius = '10px';
+        modal.style.color = 'white';
+        modal.style.textAlign = 'center';
+        modal.style.zIndex = '1000';
+        modal.style.minWidth = '250px';
+        
+        const header = document.createElement('h2');
+        header.innerText = 'Race Complete!';
+        header.style.color = '#FFC107';
+        header.style.marginBottom = '15px';
+        
+        const result = document.createElement('p');
+        result.innerText = `You finished in ${finalPosition} place!`;
+        result.style.fontSize = '1.2em';
+        result.style.marginBottom = '20px';
+        
+        const retryButton = document.createElement('button');
+        retryButton.innerText = 'Race Again';
+        retryButton.style.padding = '10px 20px';
+        retryButton.style.background = '#4CAF50';
+        retryButton.style.color = 'white';
+        retryButton.style.border = 'none';
+        retryButton.style.borderRadius = '5px';
+        retryButton.style.cursor = 'pointer';
+        retryButton.style.fontSize = '1.1em';
+        retryButton.onclick = () => {
+            // Reload the page to restart the game
+            window.location.reload();
+        };
+        
+        modal.appendChild(header);
+        modal.appendChild(result);
+        modal.appendChild(retryButton);
+        document.body.appendChild(modal);
     }
 
     // Helper to get ordinal suffix (1st, 2nd, 3rd, 4th)
@@ -1838,57 +2842,462 @@ class Game {
                 }
             } else {
                  // Optional: Add visual effect like rotation
-                 box.mesh.rotation.y += 0.02;
+                 box.mesh.rotation.y += 1.2 * deltaTime;
+            }
+        });
+    }
+
+    // Flat dash panels from the track description. Each pad is { x, z, heading, strength, length, width },
+    // where strength scales the boost and heading is the direction it points (like grid slots).
+    createBoostPads() {
+        // Chevrons pointing along the pad; the texture scrolls to show the direction
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ff8f00';
+        ctx.fillRect(0, 0, 64, 64);
+        ctx.fillStyle = '#ffeb3b';
+        ctx.beginPath();
+        ctx.moveTo(8, 20);
+        ctx.lineTo(32, 44);
+        ctx.lineTo(56, 20);
+        ctx.lineTo(56, 34);
+        ctx.lineTo(32, 58);
+        ctx.lineTo(8, 34);
+        ctx.closePath();
+        ctx.fill();
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+
+        (this.trackDefinition.boostPads || []).forEach(pad => {
+            const length = pad.length || 6;
+            const width = pad.width || 8;
+            const heading = pad.heading || 0;
+            const position = new THREE.Vector3(pad.x, 0, pad.z);
+            position.y = this.getGroundHeightAt(position);
+
+            const padTexture = texture.clone();
+            padTexture.needsUpdate = true;
+            padTexture.repeat.set(1, Math.max(1, Math.round(length / width * 2)));
+            const geometry = new THREE.PlaneGeometry(width, length);
+            geometry.rotateX(-Math.PI / 2); // Lay flat, with the chevrons pointing along +z
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ map: padTexture }));
+            mesh.rotation.order = 'YXZ';
+            mesh.rotation.y = heading;
+            // Lie on the (possibly sloped or banked) road, just above it
+            const slope = this.getGroundSlopeAt(position, heading);
+            mesh.rotation.x = -Math.atan(slope.forward);
+            mesh.rotation.z = Math.atan(slope.side);
+            mesh.position.copy(position);
+            mesh.position.y += 0.08;
+            this.scene.add(mesh);
+
+            // Bots only detour for pads they can reach without leaving their line by much
+            const nearRacingLine = this.racingLinePoints.some(point =>
+                Math.hypot(point.x - pad.x, point.z - pad.z) < width / 2 + 6);
+
+            this.boostPads.push({
+                mesh: mesh,
+                position: position,
+                heading: heading,
+                length: length,
+                width: width,
+                strength: pad.strength !== undefined ? pad.strength : 1,
+                nearRacingLine: nearRacingLine
+            });
+        });
+    }
+
+    // Whether a position lies on a pad's rectangle
+    isOnBoostPad(pad, position) {
+        const dx = position.x - pad.position.x;
+        const dz = position.z - pad.position.z;
+        const along = dx * Math.sin(pad.heading) + dz * Math.cos(pad.heading);
+        const across = dx * Math.cos(pad.heading) - dz * Math.sin(pad.heading);
+        return Math.abs(along) < pad.length / 2 && Math.abs(across) < pad.width / 2;
+    }
+
+    // Boosts every grounded racer driving over a pad, and scrolls the pad chevrons
+    checkBoostPads(deltaTime) {
+        this.boostPads.forEach(pad => {
+            pad.mesh.material.map.offset.y -= 1.8 * deltaTime; // Chevrons scroll along the pad
+
+            this.karts.forEach(kart => {
+                if (!kart.airState.isAirborne && this.isOnBoostPad(pad, kart.mesh.position)) {
+                    this.applyBoostPad(kart, pad);
+                }
+            });
+        });
+    }
+
+    // Same boost state as a mushroom, lasting according to the pad's strength, plus an instant kick to top speed
+    applyBoostPad(kart, pad) {
+        kart.mushroomBoostDuration = Math.max(kart.mushroomBoostDuration, this.boostPadTime * pad.strength);
+        kart.boosting = false; // Pad boost overrides mini-turbo boost, like a mushroom
+        kart.boostTime = 0;
+        kart.speed = Math.max(kart.speed, kart.stats.maxSpeed);
+    }
+
+    // Closest pad a bot could drive over next: near the racing line, ahead and roughly in front
+    findBoostPadAhead(position, heading) {
+        let bestPad = null;
+        let bestDistance = this.boostPadSteerDistance;
+        this.boostPads.forEach(pad => {
+            if (!pad.nearRacingLine || this.isOnBoostPad(pad, position)) return;
+            const dx = pad.position.x - position.x;
+            const dz = pad.position.z - position.z;
+            const distance = Math.hypot(dx, dz);
+            let angle = Math.atan2(dx, dz) - heading;
+            while (angle < -Math.PI) angle += Math.PI * 2;
+            while (angle > Math.PI) angle -= Math.PI * 2;
+            if (distance < bestDistance && Math.abs(angle) < Math.PI / 5) {
+                bestDistance = distance;
+                bestPad = pad;
+            }
+        });
+        return bestPad;
+    }
+
+    // --- Rescue ---
+
+    createRescueState() {
+        return {
+            active: false,
+            timer: 0, // Seconds into the rescue animation
+            stuckTimer: 0, // Seconds spent near 'stuckAnchor' while trying to drive
+            stuckAnchor: null, // Where the kart was when it last made progress
+            from: new THREE.Vector3(), // Where the kart was picked up
+            to: new THREE.Vector3(), // Racing-line point it is put back on
+            heading: 0 // Heading along the racing line at 'to'
+        };
+    }
+
+    // Out of bounds: beyond the terrain, well past the road edge (unless passing through a gate, such as a
+    // shortcut's), or below the ground
+    isOutOfBounds(position, closest = this.findClosestCenterlinePoint(position)) {
+        const halfTerrain = this.terrainSize / 2 - 5;
+        if (Math.abs(position.x) > halfTerrain || Math.abs(position.z) > halfTerrain) return true;
+        if (position.y < this.getGroundHeightAt(position, closest) - 3) return true;
+        if (closest.distance <= closest.width / 2 + this.outOfBoundsDistance) return false;
+        return !this.checkpoints.some(checkpoint => {
+            const gateCenter = checkpoint.posts[0].position.clone().add(checkpoint.posts[1].position).multiplyScalar(0.5);
+            const gateWidth = checkpoint.posts[0].position.distanceTo(checkpoint.posts[1].position);
+            return Math.hypot(position.x - gateCenter.x, position.z - gateCenter.z) < gateWidth / 2;
+        });
+    }
+
+    // Whether a kart should be rescued this frame. A kart is stuck once it has tried to drive
+    // for stuckTime without getting stuckDistance away from where it last made progress.
+    // 'closest' is the kart's closest centerline point this step.
+    needsRescue(kart, isTryingToDrive, deltaTime, closest) {
+        const rescue = kart.rescue;
+        const position = kart.mesh.position;
+        if (this.isOutOfBounds(position, closest)) return true;
+        if (!rescue.stuckAnchor || !isTryingToDrive ||
+            Math.hypot(position.x - rescue.stuckAnchor.x, position.z - rescue.stuckAnchor.z) > this.stuckDistance) {
+            rescue.stuckAnchor = position.clone();
+            rescue.stuckTimer = 0;
+            return false;
+        }
+        rescue.stuckTimer += deltaTime;
+        return rescue.stuckTimer >= this.stuckTime;
+    }
+
+    // Picks the kart up and chooses the nearest racing-line point to put it back on, facing along the line
+    startRescue(kart) {
+        const rescue = kart.rescue;
+        const kartMesh = kart.mesh;
+        let nearestIndex = 0;
+        let nearestDistanceSq = Infinity;
+        this.racingLinePoints.forEach((point, i) => {
+            const distanceSq = (point.x - kartMesh.position.x) ** 2 + (point.z - kartMesh.position.z) ** 2;
+            if (distanceSq < nearestDistanceSq) {
+                nearestDistanceSq = distanceSq;
+                nearestIndex = i;
+            }
+        });
+        const point = this.racingLinePoints[nearestIndex];
+        const next = this.racingLinePoints[(nearestIndex + 1) % this.racingLinePoints.length];
+        rescue.active = true;
+        rescue.timer = 0;
+        rescue.from.copy(kartMesh.position);
+        rescue.to.set(point.x, 0, point.z);
+        rescue.to.y = this.getGroundHeightAt(rescue.to);
+        rescue.heading = Math.atan2(next.x - point.x, next.z - point.z);
+    }
+
+    // Lifts the kart up spinning, then lowers it onto the racing line blinking, and lands it ready to drive
+    updateRescue(kart, deltaTime) {
+        const { rescue, mesh: kartMesh, airState, rideHeight } = kart;
+        rescue.timer += deltaTime;
+        if (rescue.timer < this.rescueLiftTime) {
+            const lift = rescue.timer / this.rescueLiftTime;
+            kartMesh.position.copy(rescue.from);
+            kartMesh.position.y += this.rescueHeight * lift * (2 - lift); // Ease out towards the top
+            kartMesh.rotation.y += Math.PI * 4 * deltaTime;
+            return;
+        }
+
+        const drop = Math.min(1, (rescue.timer - this.rescueLiftTime) / this.rescueDropTime);
+        kartMesh.position.copy(rescue.to);
+        kartMesh.position.y += rideHeight + this.rescueHeight * (1 - drop * drop); // Ease in towards the ground
+        kartMesh.rotation.set(0, rescue.heading, 0);
+        kartMesh.visible = drop >= 1 || Math.floor(rescue.timer * 10) % 2 === 0;
+
+        if (drop >= 1) {
+            // Back on the ground: clear any air time so the kart does not launch
+            airState.altitude = rescue.to.y;
+            airState.verticalSpeed = 0;
+            airState.isAirborne = false;
+            rescue.active = false;
+            rescue.stuckAnchor = null;
+            kart.invincibilityDuration = this.rescueGraceTime;
+        }
+    }
+
+    // --- Hazards ---
+
+    createHazards() {
+        (this.trackDefinition.hazards || []).forEach(definition => {
+            const hazard = {
+                type: definition.type,
+                period: definition.period || 4, // Seconds per cycle (crushers and bars)
+                phase: definition.phase || 0, // Fraction of a cycle to start at, so neighbours can take turns
+                lastHits: new Map() // Kart -> hazardTime of its last hit
+            };
+            if (definition.type === 'crusher') {
+                // A block that hangs over the road, slams down and slowly rises again
+                hazard.position = new THREE.Vector3(definition.x, 0, definition.z);
+                hazard.position.y = this.getGroundHeightAt(hazard.position);
+                hazard.heading = definition.heading || 0;
+                hazard.length = definition.length || 6;
+                hazard.width = definition.width || 10;
+                hazard.liftHeight = definition.liftHeight || 6;
+                hazard.mesh = new THREE.Mesh(
+                    new THREE.BoxGeometry(hazard.width, 3, hazard.length),
+                    new THREE.MeshLambertMaterial({ color: definition.color || '#616161' })
+                );
+                hazard.mesh.rotation.y = hazard.heading;
+            } else if (definition.type === 'boulder') {
+                // Rolls back and forth along a path (or round it when 'loop' is set)
+                hazard.path = definition.path.map(point => new THREE.Vector3(point.x, 0, point.z));
+                hazard.loop = !!definition.loop;
+                hazard.speed = definition.speed || 8; // Units per second
+                hazard.radius = definition.radius || 2.5;
+                hazard.pathLength = 0;
+                const segmentCount = hazard.loop ? hazard.path.length : hazard.path.length - 1;
+                for (let i = 0; i < segmentCount; i++) {
+                    hazard.pathLength += hazard.path[i].distanceTo(hazard.path[(i + 1) % hazard.path.length]);
+                }
+                hazard.mesh = new THREE.Mesh(
+                    new THREE.IcosahedronGeometry(hazard.radius, 1),
+                    new THREE.MeshLambertMaterial({ color: definition.color || '#795548', flatShading: true })
+                );
+                hazard.lastPosition = null; // For rolling the mesh as it moves
+            } else if (definition.type === 'swingingBar') {
+                // An arm on a post sweeping back and forth across the road at kart height
+                hazard.position = new THREE.Vector3(definition.x, 0, definition.z);
+                hazard.position.y = this.getGroundHeightAt(hazard.position);
+                hazard.heading = definition.heading || 0; // Direction the arm points mid-swing
+                hazard.amplitude = definition.amplitude !== undefined ? definition.amplitude : 1.0; // Radians either side
+                hazard.length = definition.length || 14;
+                hazard.thickness = 0.8;
+                hazard.mesh = new THREE.Group();
+                const post = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.5, 0.5, 3, 12),
+                    new THREE.MeshLambertMaterial({ color: '#424242' })
+                );
+                post.position.y = 1.5;
+                const arm = new THREE.Mesh(
+                    new THREE.BoxGeometry(hazard.thickness, hazard.thickness, hazard.length),
+                    new THREE.MeshLambertMaterial({ color: definition.color || '#d32f2f' })
+                );
+                arm.position.set(0, 1.0, hazard.length / 2); // Extends from the post along the group's +z
+                hazard.mesh.add(post, arm);
+                hazard.mesh.position.copy(hazard.position);
+            } else {
+                console.warn(`Unknown hazard type '${definition.type}' skipped.`);
+                return;
+            }
+            this.scene.add(hazard.mesh);
+            this.hazards.push(hazard);
+            this.poseHazard(hazard);
+        });
+    }
+
+    // Where a hazard is at a given race time. Depends on nothing but time, so bots can look ahead.
+    // Returns { position, angle, lift }: angle is a bar's arm direction, lift a crusher's height above the road.
+    getHazardPose(hazard, time) {
+        const cycle = (((time / hazard.period + hazard.phase) % 1) + 1) % 1;
+        if (hazard.type === 'crusher') {
+            let lift;
+            if (cycle < 0.5) lift = 1; // Waiting at the top
+            else if (cycle < 0.6) lift = 1 - (cycle - 0.5) / 0.1; // Slamming down
+            else if (cycle < 0.8) lift = 0; // Resting on the road
+            else lift = (cycle - 0.8) / 0.2; // Winding back up
+            return { position: hazard.position, angle: hazard.heading, lift: lift * hazard.liftHeight };
+        }
+        if (hazard.type === 'boulder') {
+            let distance = (time * hazard.speed) % (hazard.loop ? hazard.pathLength : hazard.pathLength * 2);
+            if (!hazard.loop && distance > hazard.pathLength) {
+                distance = hazard.pathLength * 2 - distance; // Rolling back
+            }
+            const position = hazard.path[0].clone();
+            for (let i = 0; i < hazard.path.length; i++) {
+                const start = hazard.path[i];
+                const end = hazard.path[(i + 1) % hazard.path.length];
+                const segmentLength = start.distanceTo(end);
+                if (distance <= segmentLength || i === hazard.path.length - 1) {
+                    position.lerpVectors(start, end, segmentLength > 0 ? Math.min(1, distance / segmentLength) : 0);
+                    break;
+                }
+                distance -= segmentLength;
+            }
+            return { position: position, angle: 0, lift: 0 };
+        }
+        // Swinging bar
+        const angle = hazard.heading + hazard.amplitude * Math.sin(cycle * Math.PI * 2);
+        return { position: hazard.position, angle: angle, lift: 0 };
+    }
+
+    // Whether a kart at 'position' is struck by a hazard at 'time'; 'margin' widens the hazard
+    isHazardHitting(hazard, position, time, margin) {
+        const pose = this.getHazardPose(hazard, time);
+        const dx = position.x - pose.position.x;
+        const dz = position.z - pose.position.z;
+        if (hazard.type === 'crusher') {
+            if (pose.lift > 1.2) return false; // High enough to drive under
+            const along = dx * Math.sin(pose.angle) + dz * Math.cos(pose.angle);
+            const across = dx * Math.cos(pose.angle) - dz * Math.sin(pose.angle);
+            return Math.abs(along) < hazard.length / 2 + margin && Math.abs(across) < hazard.width / 2 + margin;
+        }
+        if (hazard.type === 'boulder') {
+            return Math.hypot(dx, dz) < hazard.radius + margin;
+        }
+        // Swinging bar: distance to the arm segment
+        const along = Math.max(0, Math.min(hazard.length, dx * Math.sin(pose.angle) + dz * Math.cos(pose.angle)));
+        return Math.hypot(dx - Math.sin(pose.angle) * along, dz - Math.cos(pose.angle) * along) < hazard.thickness / 2 + margin;
+    }
+
+    // Moves a hazard's mesh to its pose at the current race time
+    poseHazard(hazard) {
+        const pose = this.getHazardPose(hazard, this.hazardTime);
+        if (hazard.type === 'crusher') {
+            hazard.mesh.position.set(pose.position.x, pose.position.y + pose.lift + 1.5, pose.position.z);
+        } else if (hazard.type === 'boulder') {
+            const position = pose.position.clone();
+            position.y = this.getGroundHeightAt(position) + hazard.radius * 0.9;
+            if (hazard.lastPosition) {
+                // Roll about the horizontal axis across the direction of travel
+                const movement = position.clone().sub(hazard.lastPosition);
+                movement.y = 0;
+                const distance = movement.length();
+                if (distance > 0) {
+                    const axis = new THREE.Vector3(movement.z, 0, -movement.x).normalize();
+                    hazard.mesh.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(axis, distance / hazard.radius));
+                }
             }
+            hazard.lastPosition = position.clone();
+            hazard.mesh.position.copy(position);
+        } else {
+            hazard.mesh.rotation.y = pose.angle;
+        }
+    }
+
+    // Advances the hazards and hits any racer they strike: bars knock karts like a banana, crushers and
+    // boulders like a green shell, and boulders and bars also shove them away
+    updateHazards(deltaTime) {
+        this.hazardTime += deltaTime;
+        const kartMargin = 0.6;
+        this.hazards.forEach(hazard => {
+            this.poseHazard(hazard);
+            this.karts.forEach(kart => {
+                if (kart.rescue.active) return; // Lifted clear of the course
+                if (!this.isHazardHitting(hazard, kart.mesh.position, this.hazardTime, kartMargin)) return;
+                const lastHit = hazard.lastHits.get(kart);
+                if (lastHit !== undefined && this.hazardTime - lastHit < this.hazardHitCooldown) return;
+                hazard.lastHits.set(kart, this.hazardTime);
+
+                if (hazard.type === 'swingingBar') {
+                    this.applyBananaHit(kart);
+                } else {
+                    this.applyGreenShellHit(kart);
+                }
+                if (hazard.type !== 'crusher') {
+                    const push = kart.mesh.position.clone().sub(this.getHazardPose(hazard, this.hazardTime).position);
+                    push.y = 0;
+                    if (push.lengthSq() > 0) {
+                        kart.impulse.add(push.normalize().multiplyScalar(30 / kart.stats.mass)); // Heavier karts are knocked less far
+                    }
+                }
+            });
+        });
+    }
+
+    // Lets a bot steer round (or wait for) hazards by predicting where they will be as it drives on.
+    // Tries the bot's own line first, then lines easing further to either side that stay on the road.
+    // Returns null when the way is clear, otherwise { offset } to add along 'sideways' or { brake: true }.
+    planHazardAvoidance(kart, targetPoint, sideways) {
+        const position = kart.mesh.position;
+        const nearbyHazards = this.hazards.filter(hazard => {
+            const hazardPosition = this.getHazardPose(hazard, this.hazardTime).position;
+            const reach = hazard.type === 'swingingBar' ? hazard.length : 0; // A bar strikes well away from its post
+            return Math.hypot(hazardPosition.x - position.x, hazardPosition.z - position.z) < this.hazardLookAheadDistance + reach;
         });
+        if (nearbyHazards.length === 0) return null;
+
+        const unitsPerSecond = Math.max(6, kart.speed);
+        const direction = targetPoint.clone().sub(position);
+        direction.y = 0;
+        direction.normalize();
+        const predictionTime = Math.min(1.5, this.hazardLookAheadDistance / unitsPerSecond);
+        const candidateOffsets = [0, 4, -4, 8, -8, 12, -12];
+        const point = new THREE.Vector3();
+
+        for (const offset of candidateOffsets) {
+            let clear = true;
+            for (let t = 0.1; t <= predictionTime && clear; t += 0.1) {
+                point.copy(position)
+                    .addScaledVector(direction, unitsPerSecond * t)
+                    .addScaledVector(sideways, offset * Math.min(1, t / 0.6)); // Takes a moment to move across
+                if (offset !== 0 && this.isOffRoad(point)) {
+                    clear = false;
+                } else {
+                    clear = nearbyHazards.every(hazard => !this.isHazardHitting(hazard, point, this.hazardTime + t, 1.5));
+                }
+            }
+            if (clear) return offset === 0 ? null : { offset: offset };
+        }
+        return { brake: true };
     }
 
     checkItemBoxCollisions() {
-        const playerPos = this.kart.position;
         this.itemBoxes.forEach(box => {
-            if (box.isActive && playerPos.distanceTo(box.position) < box.radius + 0.5) { // 0.5 is kart radius approx
-                this.giveItem({ mesh: this.kart }); // Pass player identifier
-                box.isActive = false;
-                box.mesh.visible = false;
-                box.respawnTimer = this.itemBoxRespawnTime;
-            }
-            // Check for bots
-            this.bots.forEach(bot => {
-                 if (box.isActive && bot.mesh.position.distanceTo(box.position) < box.radius + 0.5) {
-                     this.giveItem(bot); // Pass bot object
-                     box.isActive = false;
-                     box.mesh.visible = false;
-                     box.respawnTimer = this.itemBoxRespawnTime;
-                 }
+            this.karts.forEach(kart => {
+                if (box.isActive && kart.mesh.position.distanceTo(box.position) < box.radius + 0.5) { // 0.5 is kart radius approx
+                    this.giveItem(kart);
+                    box.isActive = false;
+                    box.mesh.visible = false;
+                    box.respawnTimer = this.itemBoxRespawnTime;
+                }
             });
         });
     }
 
      checkBananaCollisions() {
-        const playerPos = this.kart.position;
         const kartRadius = 0.6; // Smaller radius for banana collision
 
         for (let i = this.droppedBananas.length - 1; i >= 0; i--) {
-            const banana = this.droppedBananas[i];
-            const bananaPos = banana.mesh.position;
+            const bananaPos = this.droppedBananas[i].mesh.position;
 
-            // Check player collision (removed owner check to allow self-hit)
-            if (playerPos.distanceTo(bananaPos) < kartRadius + 0.3) { // 0.3 banana radius
-                this.applyBananaHit({ mesh: this.kart });
-                this.scene.remove(banana.mesh);
+            // Anyone can slip on a banana, including whoever dropped it
+            const kart = this.karts.find(kart => kart.mesh.position.distanceTo(bananaPos) < kartRadius + 0.3); // 0.3 banana radius
+            if (kart) {
+                this.applyBananaHit(kart);
+                this.scene.remove(this.droppedBananas[i].mesh);
                 this.droppedBananas.splice(i, 1);
-                continue; // Move to next banana check
-            }
-
-            // Check bot collision (if not the owner)
-            for (let j = 0; j < this.bots.length; j++) {
-                 const bot = this.bots[j];
-                 if (banana.owner !== bot && bot.mesh.position.distanceTo(bananaPos) < kartRadius + 0.3) {
-                     this.applyBananaHit(bot);
-                     this.scene.remove(banana.mesh);
-                     this.droppedBananas.splice(i, 1);
-                     break; // Bot hit it, stop checking this banana for other bots
-                 }
             }
         }
     }
@@ -1897,175 +3306,276 @@ class Game {
     // --- Kart Collision Detection and Handling ---
 
     checkKartCollisions() {
-        const kartRadius = 1.1; // Approximate radius for collision sphere
-        
-        // Player vs Bots
-        if (!this.playerIsInvisible) { // Player can't hit or be hit if invisible
-            const playerSphere = new THREE.Sphere(this.kart.position, kartRadius);
-            this.bots.forEach(bot => {
-                if (!bot.isInvisible) { // Bot can't be hit if invisible
-                    const botSphere = new THREE.Sphere(bot.mesh.position, kartRadius);
-                    if (playerSphere.intersectsSphere(botSphere)) {
-                        this.handleKartCollision(
-                            { mesh: this.kart, impulse: this.impulse, speed: this.speed }, // Pass player object wrapper
-                            bot // Bot object already has mesh, impulse, and speed
-                        );
-                    }
-                }
-            });
-        }
-
-        // Bots vs Bots
-        for (let i = 0; i < this.bots.length; i++) {
-            for (let j = i + 1; j < this.bots.length; j++) {
-                const botA = this.bots[i];
-                const botB = this.bots[j];
+        for (let i = 0; i < this.karts.length; i++) {
+            for (let j = i + 1; j < this.karts.length; j++) {
+                const kartA = this.karts[i];
+                const kartB = this.karts[j];
 
-                // Skip collision if either bot is invisible
-                if (botA.isInvisible || botB.isInvisible) continue;
+                // An invisible kart is immune (Boo): it can't hit or be hit. Nor can one being rescued.
+                if (kartA.isInvisible || kartB.isInvisible || kartA.rescue.active || kartB.rescue.active) continue;
 
-                const sphereA = new THREE.Sphere(botA.mesh.position, kartRadius);
-                const sphereB = new THREE.Sphere(botB.mesh.position, kartRadius);
+                const sphereA = new THREE.Sphere(kartA.mesh.position, this.kartBumpRadius);
+                const sphereB = new THREE.Sphere(kartB.mesh.position, this.kartBumpRadius);
 
                 if (sphereA.intersectsSphere(sphereB)) {
-                    this.handleKartCollision(botA, botB); // botA and botB already have .speed
+                    this.handleKartCollision(kartA, kartB);
                 }
             }
         }
     }
 
-    handleKartCollision(racerA, racerB) {
-        // Use a base magnitude, potentially influenced by relative speeds later
-        const bumpImpulseMagnitudeBase = 0.12; 
-        
-        // If one racer is significantly shrunk, they might be bumped more easily
-        // or bump with less force. For now, keeping it simple.
-        let magA = bumpImpulseMagnitudeBase;
-        let magB = bumpImpulseMagnitudeBase;
-
-        // Example: If racerA is shrunk, it receives a slightly larger impulse from B
-        if ((racerA.mesh === this.kart && this.playerShrinkDuration > 0) || (racerA.shrinkDuration && racerA.shrinkDuration > 0)) {
-            magB *= 1.3; // B pushes shrunk A more
-            magA *= 0.7; // Shrunk A pushes B less
+    // Mass a kart bumps with: its parts' and driver's, more while boosting and less while shrunk
+    getKartBumpMass(kart) {
+        let mass = kart.stats.mass;
+        if (kart.mushroomBoostDuration > 0 || kart.boosting || kart.slipstreamBoostDuration > 0) {
+            mass *= this.kartBoostMassMultiplier;
         }
-        if ((racerB.mesh === this.kart && this.playerShrinkDuration > 0) || (racerB.shrinkDuration && racerB.shrinkDuration > 0)) {
-            magA *= 1.3; // A pushes shrunk B more
-            magB *= 0.7; // Shrunk B pushes A less
+        if (kart.shrinkDuration > 0) {
+            mass *= this.kartShrunkMassMultiplier;
         }
+        return mass;
+    }
+
+    // Ground velocity of a kart: its speed along the direction of travel plus any bump push
+    getKartVelocity(kart) {
+        return new THREE.Vector3(Math.sin(kart.travelHeading), 0, Math.cos(kart.travelHeading))
+            .multiplyScalar(kart.speed)
+            .add(kart.impulse);
+    }
 
+    // Changes a kart's velocity by 'change': the part along its direction of travel goes into its speed,
+    // the rest into its bump push, which fades
+    applyKartVelocityChange(kart, change) {
+        const travelDirection = new THREE.Vector3(Math.sin(kart.travelHeading), 0, Math.cos(kart.travelHeading));
+        const along = change.dot(travelDirection);
+        kart.speed += along;
+        kart.impulse.add(change).addScaledVector(travelDirection, -along);
+    }
+
+    // Share of a bump's change in speed that kart A takes (kart B takes the rest): in proportion to the
+    // other kart's share of the mass, all of it against an invincible kart and none when A is invincible
+    getKartBumpShare(racerA, racerB) {
+        const invincibleA = racerA.invincibilityDuration > 0;
+        const invincibleB = racerB.invincibilityDuration > 0;
+        if (invincibleA !== invincibleB) return invincibleA ? 0 : 1;
+        const massA = this.getKartBumpMass(racerA);
+        const massB = this.getKartBumpMass(racerB);
+        return massB / (massA + massB);
+    }
 
+    // Two touching karts trade momentum along the line between them, by their velocities and bump masses.
+    // They part at 'kartRestitution' of their closing speed, or at least at a shove from each kart's speed
+    // across that line, so side-by-side bumps at speed push hard. A kart driving into one that is not coming
+    // at it is at most stopped along that line, never thrown back.
+    handleKartCollision(racerA, racerB) {
         const posA = racerA.mesh.position;
         const posB = racerB.mesh.position;
 
-        // Calculate collision normal (from B to A)
+        // Collision normal, from B to A
         const collisionNormal = posA.clone().sub(posB);
         collisionNormal.y = 0; // Ignore vertical difference for bump direction
         if (collisionNormal.lengthSq() === 0) {
              // Avoid division by zero if perfectly overlapped, apply a default push
-             collisionNormal.set(this.playerRandom() - 0.5, 0, this.playerRandom() - 0.5);
+             collisionNormal.set(racerA.random() - 0.5, 0, racerA.random() - 0.5);
         }
+        const distance = collisionNormal.length();
         collisionNormal.normalize();
 
+        const shareA = this.getKartBumpShare(racerA, racerB);
 
-        // Apply impulse - add to existing impulse to allow multiple bumps
-        // Use potentially modified magnitudes
-        const impulseForA = collisionNormal.clone().multiplyScalar(magA);
-        const impulseForB = collisionNormal.clone().multiplyScalar(-magB); // Negative for opposite direction
+        // Separate the karts, the lighter one moving further, and keep both out of the walls
+        const overlap = Math.max(0, this.kartBumpRadius * 2 - distance);
+        posA.addScaledVector(collisionNormal, overlap * shareA);
+        posB.addScaledVector(collisionNormal, -overlap * (1 - shareA));
+        this.pushOutOfWalls(posA, this.kartRadius);
+        this.pushOutOfWalls(posB, this.kartRadius);
 
-        racerA.impulse.add(impulseForA);
-        racerB.impulse.add(impulseForB);
+        // Velocities along the normal; A moves towards B while its value is below B's
+        const normalSpeedA = this.getKartVelocity(racerA).dot(collisionNormal);
+        const normalSpeedB = this.getKartVelocity(racerB).dot(collisionNormal);
+        const closingSpeed = normalSpeedB - normalSpeedA;
 
-        // Optional: Add slight speed reduction based on relative speeds or if one is boosting
-        // e.g., if racerA.speed is much higher, racerB might lose more speed.
-        // For now, the impulse handles the primary effect.
+        // Shove from how fast each kart goes and how side-on it meets the other (1 side by side, 0 nose to tail)
+        const sidewaysSpeed = racer => {
+            const travelDirection = new THREE.Vector3(Math.sin(racer.travelHeading), 0, Math.cos(racer.travelHeading));
+            return Math.abs(racer.speed) * Math.abs(travelDirection.cross(collisionNormal).y);
+        };
+        const shove = this.kartBumpShove * Math.min(1, (sidewaysSpeed(racerA) + sidewaysSpeed(racerB)) / (2 * this.maxSpeed));
+        const partingSpeed = Math.max(this.kartRestitution * closingSpeed, shove);
+        const speedChange = closingSpeed + partingSpeed; // Change in the speed between them along the normal
+        if (speedChange <= 0) return; // Already parting fast enough
+
+        // Momentum is kept: each kart takes the change in proportion to the other's share of the mass
+        let changeA = speedChange * shareA;
+        let changeB = -speedChange * (1 - shareA);
+        if (normalSpeedA < 0 && normalSpeedB <= 0) {
+            changeA = Math.min(changeA, Math.max(-normalSpeedA, shove * shareA)); // A ran into B: stop it, don't throw it back past its shove
+        }
+        if (normalSpeedB > 0 && normalSpeedA >= 0) {
+            changeB = Math.max(changeB, Math.min(-normalSpeedB, -shove * (1 - shareA))); // B ran into A
+        }
+        this.applyKartVelocityChange(racerA, collisionNormal.clone().multiplyScalar(changeA));
+        this.applyKartVelocityChange(racerB, collisionNormal.clone().multiplyScalar(changeB));
     }
 
     // --- End Collision Handling ---
 
 
-    updateScoreboard() {
-        if (this.raceFinished || !this.checkpoints || this.checkpoints.length === 0) return;
-
-        // 1. Create array of all racers (player + bots) with their progress data
-        const racers = [];
-
-        // Player data
-        // Use index 3 (start/finish line) if no checkpoint crossed yet (-1)
-        const playerCheckpointIndex = this.lastCheckpoint === -1 ? 3 : this.lastCheckpoint;
-        const playerNextCheckpointIndex = (playerCheckpointIndex + 1) % this.totalCheckpoints;
-        racers.push({
-            id: 'player',
-            lap: this.currentLap,
-            checkpointIndex: playerCheckpointIndex,
-            distanceToNext: this.calculateDistanceToNextCheckpoint(this.kart.position, playerNextCheckpointIndex)
-        });
-
-        // Bot data
-        this.bots.forEach((bot, index) => {
-            racers.push({
-                id: `bot_${index}`,
-                lap: bot.lap,
-                checkpointIndex: bot.currentCheckpointIndex,
-                distanceToNext: this.calculateDistanceToNextCheckpoint(bot.mesh.position, bot.targetCheckpointIndex)
-            });
-        });
+    // All racers in race order: those who completed the final lap in finishing order, then everyone
+    // else by progress. Entries are { id, name, lap, checkpointIndex, progress }.
+    getRaceOrder() {
+        // 1. Create array of all racers with their progress data
+        const racers = this.karts.map(kart => ({
+            id: kart.id,
+            name: kart.name,
+            lap: kart.lap,
+            checkpointIndex: kart.checkpointIndex,
+            progress: this.getRacerProgress(kart)
+        }));
 
         // Log raw racer data before sorting (throttled)
         // if (this.frameCount % 60 === 0) {
             // console.log('%c--- Scoreboard Update (Frame ' + this.frameCount + ') ---', 'font-weight: bold; color: orange;');
-            // console.table(racers.map(r => ({ id: r.id, lap: r.lap, checkpoint: r.checkpointIndex, distNext: r.distanceToNext.toFixed(2) })));
+            // console.table(racers.map(r => ({ id: r.id, lap: r.lap, checkpoint: r.checkpointIndex, progress: r.progress.toFixed(3) })));
         // }
 
-        // 2. Sort racers based on lap, then checkpoint (handling wrap-around), then distance
-        racers.sort((a, b) => {
-            // const logComparison = this.frameCount % 1 === 0; // Check if we should log this frame
-            // 1. Sort by lap descending
-            if (a.lap !== b.lap) {
-                return b.lap - a.lap;
-            }
-
-            // 2. Laps are the same, sort by checkpoint index, handling wrap-around
-            const idxA = a.checkpointIndex;
-            const idxB = b.checkpointIndex;
+        // 2. Sort racers by progress (laps plus the fraction of the current lap), furthest first
+        racers.sort((a, b) => b.progress - a.progress);
 
-            if (idxA === 3 && idxB !== 3) {
-                return 1; // B is ahead (lower index but effectively further along this lap)
-            }
-            if (idxB === 3 && idxA !== 3) {
-                return -1; // A is ahead
-            }
 
-            if (idxA !== idxB) {
-                return idxB - idxA;
-            }
+        // 3. Racers who already finished keep their finishing order
+        const finished = this.finishOrder.map(id => racers.find(racer => racer.id === id));
+        return finished.concat(racers.filter(racer => !this.finishOrder.includes(racer.id)));
+    }
 
-            // 3. Checkpoints are also the same, sort by distance ascending (closer is better)
-            return a.distanceToNext - b.distanceToNext;
-        });
+    // Every kart, furthest round the course first, by the same progress measure as the scoreboard
+    getKartsByProgress() {
+        return this.karts
+            .map(kart => ({ kart: kart, progress: this.getRacerProgress(kart) }))
+            .sort((a, b) => b.progress - a.progress)
+            .map(entry => entry.kart);
+    }
 
-        // Log the final sorted order (throttled)
-        // if (this.frameCount % 1 === 0) {
-            // console.log('%cSorted Racers (Frame ' + this.frameCount + '):', 'font-weight: bold; color: lightgreen;');
-            // console.table(racers.map(r => ({ id: r.id, lap: r.lap, checkpoint: r.checkpointIndex, distNext: r.distanceToNext.toFixed(2) })));
-        // }
+    updateScoreboard() {
+        if (this.raceFinished || !this.checkpoints || this.checkpoints.length === 0) return;
 
+        const racers = this.getRaceOrder();
 
-        // 3. Find player's position
+        // Find player's position
         const playerRank = racers.findIndex(racer => racer.id === 'player') + 1;
         this.playerPosition = playerRank;
 
-        // 4. Update display
+        // Update display
         this.positionDisplay.textContent = this.getOrdinalSuffix(this.playerPosition);
-    }
+
+        const standings = racers.map(racer => racer.id).join(',');
+        if (this.standingsDisplay && standings !== this.displayedStandings) {
+            this.displayedStandings = standings;
+            this.standingsDisplay.innerHTML = '';
+            racers.forEach(racer => {
+                const entry = document.createElement('li');
+                entry.textContent = racer.name;
+                if (racer.id === 'player') entry.classList.add('race-standings-player');
+                this.standingsDisplay.appendChild(entry);
+            });
+        }
+    }
+
+    // Fits the track into the minimap canvas and paints the road once, so each frame only adds the dots
+    setupMinimap() {
+        if (!this.minimapCanvas) return;
+        const { left, right } = this.getCenterlineEdges(0);
+        const edgePoints = left.concat(right);
+        const minX = Math.min(...edgePoints.map(point => point.x));
+        const maxX = Math.max(...edgePoints.map(point => point.x));
+        const minZ = Math.min(...edgePoints.map(point => point.z));
+        const maxZ = Math.max(...edgePoints.map(point => point.z));
+        const size = this.minimapCanvas.width;
+        const padding = 8; // Pixels kept clear round the track, so dots at the edge are not cut off
+        const scale = (size - padding * 2) / Math.max(maxX - minX, maxZ - minZ, 1);
+        // Top-down view with +x to the right and +z down the canvas, centred on the track
+        this.minimapTransform = {
+            scale: scale,
+            offsetX: size / 2 - (minX + maxX) / 2 * scale,
+            offsetY: size / 2 - (minZ + maxZ) / 2 * scale
+        };
+
+        this.minimapBackground = document.createElement('canvas');
+        this.minimapBackground.width = size;
+        this.minimapBackground.height = size;
+        const ctx = this.minimapBackground.getContext('2d');
+        // The road is the ring between its two edge loops
+        ctx.beginPath();
+        [left, right].forEach(edge => {
+            edge.forEach((point, i) => {
+                const { x, y } = this.toMinimapPoint(point);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        });
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.fill('evenodd');
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Start/finish line across the finish gate
+        const finish = this.checkpoints[this.finishCheckpointIndex];
+        if (finish) {
+            const a = this.toMinimapPoint(finish.posts[0].position);
+            const b = this.toMinimapPoint(finish.posts[1].position);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+    }
+
+    // World position to minimap canvas pixels
+    toMinimapPoint(position) {
+        const { scale, offsetX, offsetY } = this.minimapTransform;
+        return { x: offsetX + position.x * scale, y: offsetY + position.z * scale };
+    }
+
+    // Redraws the racers, shells and dropped bananas over the painted track
+    updateMinimap() {
+        if (!this.minimapBackground) return;
+        const ctx = this.minimapContext;
+        ctx.clearRect(0, 0, this.minimapCanvas.width, this.minimapCanvas.height);
+        ctx.drawImage(this.minimapBackground, 0, 0);
+
+        const drawDot = (position, radius, color) => {
+            const { x, y } = this.toMinimapPoint(position);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        };
+        // Items first so the karts stay visible on top of them
+        this.droppedBananas.forEach(banana => drawDot(banana.mesh.position, 2, '#ffe135'));
+        this.activeGreenShells.forEach(shell => drawDot(shell.mesh.position, 2.5, '#00c853'));
+        this.activeRedShells.forEach(shell => drawDot(shell.mesh.position, 2.5, '#ff1744'));
+        this.activeBlueShells.forEach(shell => drawDot(shell.mesh.position, 3, '#2979ff'));
+        this.bots.forEach(bot => drawDot(bot.mesh.position, 4, `#${bot.tintColor.getHexString()}`));
+        if (this.player) {
+            drawDot(this.player.mesh.position, 5, '#ffffff'); // Player drawn last and largest
+        }
+    }
 
     // --- Item System Logic ---
 
     updateItemDisplay() {
-        let itemToShow = this.playerItem;
+        let itemToShow = this.player ? this.player.item : null; // No kart yet while the race is loading
         let itemSymbol = '?'; // Default symbol
 
-        if (this.playerIsTrailingItem && this.playerTrailedItemType) {
-            itemToShow = this.playerTrailedItemType; // Prioritize showing the trailed item
+        if (this.player && this.player.trailedItemType) {
+            itemToShow = this.player.trailedItemType; // Prioritize showing the trailed item
         }
 
         if (itemToShow) {
@@ -2092,20 +3602,20 @@ class Game {
         return ['banana', 'greenShell', 'redShell', 'fakeItemBox'].includes(itemType);
     }
 
-    startTrailingItem() {
-        if (!this.playerItem || !this.isTrailableItem(this.playerItem) || this.playerIsTrailingItem) {
-            console.log("[TRAIL DEBUG] startTrailingItem: Conditions not met. PlayerItem:", this.playerItem, "IsTrailable:", this.isTrailableItem(this.playerItem), "IsTrailing:", this.playerIsTrailingItem);
+    // Holds the kart's item out behind it until released (see deployTrailedItem)
+    startTrailingItem(kart) {
+        if (!kart.item || !this.isTrailableItem(kart.item) || kart.trailedItemType) {
+            console.log(`[TRAIL DEBUG] startTrailingItem: Conditions not met for ${kart.name}. Item:`, kart.item, "IsTrailable:", this.isTrailableItem(kart.item), "Trailing:", kart.trailedItemType);
             return;
         }
 
-        console.log(`[TRAIL DEBUG] Player starts trailing ${this.playerItem}`);
-        this.playerIsTrailingItem = true;
-        this.playerTrailedItemType = this.playerItem;
-        this.playerItem = null; // Item is now "in use" being trailed.
+        console.log(`[TRAIL DEBUG] ${kart.name} starts trailing ${kart.item}`);
+        kart.trailedItemType = kart.item;
+        kart.item = null; // Item is now "in use" being trailed.
 
         let trailGeo, trailMat;
 
-        switch (this.playerTrailedItemType) {
+        switch (kart.trailedItemType) {
             case 'banana':
                 trailGeo = new THREE.SphereGeometry(0.5, 8, 6);
                 trailMat = new THREE.MeshBasicMaterial({ color: 0xffff00 });
@@ -2131,136 +3641,82 @@ class Game {
                 const texture = new THREE.CanvasTexture(canvas);
                 trailMat = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
                 break;
-            default:
-                console.error("Untrailable item type passed to startTrailingItem:", this.playerTrailedItemType);
-                this.playerIsTrailingItem = false;
-                this.playerTrailedItemType = null; 
-                // this.playerItem = tempItem; // Should not happen due to guard
-                return;
         }
 
-        this.playerTrailedItemMesh = new THREE.Mesh(trailGeo, trailMat);
-        this.updateTrailedItemPosition(); // Initial position
-        this.scene.add(this.playerTrailedItemMesh);
+        kart.trailedItemMesh = new THREE.Mesh(trailGeo, trailMat);
+        this.updateTrailedItemPosition(kart); // Initial position
+        this.scene.add(kart.trailedItemMesh);
         
         this.updateItemDisplay();
     }
 
-    deployTrailedItem() {
-        if (!this.playerIsTrailingItem || !this.playerTrailedItemType) {
-            console.log("[TRAIL DEBUG] deployTrailedItem: Conditions not met. IsTrailing:", this.playerIsTrailingItem, "TrailedItemType:", this.playerTrailedItemType);
-            return;
-        }
-
-        console.log(`[TRAIL DEBUG] Player deploys trailed ${this.playerTrailedItemType}`);
-        if (this.playerTrailedItemMesh) {
-            this.scene.remove(this.playerTrailedItemMesh);
-            if (this.playerTrailedItemMesh.geometry) this.playerTrailedItemMesh.geometry.dispose();
-            if (this.playerTrailedItemMesh.material) {
+    // Takes the trailed item off the back of the kart without using it
+    removeTrailedItem(kart) {
+        const mesh = kart.trailedItemMesh;
+        if (mesh) {
+            this.scene.remove(mesh);
+            if (mesh.geometry) mesh.geometry.dispose();
+            if (mesh.material) {
                 // Dispose material maps if they are unique (e.g. CanvasTexture)
-                if (this.playerTrailedItemMesh.material.map && this.playerTrailedItemMesh.material.map.dispose) {
-                    this.playerTrailedItemMesh.material.map.dispose();
+                if (mesh.material.map && mesh.material.map.dispose) {
+                    mesh.material.map.dispose();
                 }
-                this.playerTrailedItemMesh.material.dispose();
+                mesh.material.dispose();
             }
-            this.playerTrailedItemMesh = null;
         }
+        kart.trailedItemMesh = null;
+        kart.trailedItemType = null;
+        this.updateItemDisplay();
+    }
 
-        const itemToDeploy = this.playerTrailedItemType; // Store before clearing state
-        
-        // Temporarily assign to playerItem for useItem to pick up, or pass directly
-        // For simplicity, we'll call the specific use functions directly.
-        const playerRacerContext = { 
-            mesh: this.kart, 
-            // The actual item use functions below will handle their logic based on 'itemToDeploy'
-            // They don't strictly need item in racer context if we switch-case here.
-        };
+    // Uses the item the kart was trailing
+    deployTrailedItem(kart) {
+        if (!kart.trailedItemType) {
+            console.log(`[TRAIL DEBUG] deployTrailedItem: ${kart.name} is not trailing anything.`);
+            return;
+        }
 
+        const itemToDeploy = kart.trailedItemType; // Store before clearing state
+        console.log(`[TRAIL DEBUG] ${kart.name} deploys trailed ${itemToDeploy}`);
+        this.removeTrailedItem(kart);
 
         switch (itemToDeploy) {
             case 'banana':
-                this.useBanana(playerRacerContext); // Pass player context
+                this.useBanana(kart);
                 break;
             case 'greenShell':
-                this.useGreenShell(playerRacerContext); // Assumes forward fire
+                this.useGreenShell(kart);
                 break;
             case 'redShell':
-                this.useRedShell(playerRacerContext);   // Assumes forward fire
+                this.useRedShell(kart);
                 break;
             case 'fakeItemBox':
-                this.useFakeItemBox(playerRacerContext);
+                this.useFakeItemBox(kart);
                 break;
         }
-
-        this.playerIsTrailingItem = false;
-        this.playerTrailedItemType = null;
-        // this.playerItem is already null
-        this.updateItemDisplay();
     }
 
-    updateTrailedItemPosition() {
-        if (!this.playerIsTrailingItem || !this.playerTrailedItemMesh || !this.kart) return;
+    updateTrailedItemPosition(kart) {
+        if (!kart.trailedItemMesh) return;
 
         const trailDistance = -1.5; 
         const trailHeight = 0.5;    
 
-        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.kart.quaternion);
-        const trailPosition = this.kart.position.clone()
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        const trailPosition = kart.mesh.position.clone()
             .addScaledVector(forward, trailDistance);
-        trailPosition.y = this.kart.position.y - 0.25 + trailHeight; // Relative to kart's current y, then adjust
+        trailPosition.y = kart.mesh.position.y - 0.25 + trailHeight; // Relative to kart's current y, then adjust
 
-        this.playerTrailedItemMesh.position.copy(trailPosition);
-        this.playerTrailedItemMesh.rotation.y = this.kart.rotation.y; // Align with kart's direction
+        kart.trailedItemMesh.position.copy(trailPosition);
+        kart.trailedItemMesh.rotation.y = kart.mesh.rotation.y; // Align with kart's direction
     }
 
-    giveItem(racer) {
-        const isPlayer = (racer.mesh === this.kart);
-        const randomFunction = isPlayer ? this.playerRandom : racer.random;
-
+    giveItem(kart) {
         // Determine rank for item tiering
-        let rank;
-        const allRacersForRanking = [{ 
-            id: 'player', 
-            mesh: this.kart, 
-            lap: this.currentLap, 
-            checkpointIndex: this.lastCheckpoint === -1 ? 3 : this.lastCheckpoint, 
-            position: this.kart.position,
-            isPlayer: true 
-        }];
-
-        this.bots.forEach((bot, index) => {
-            allRacersForRanking.push({ 
-                id: `bot_${index}`, 
-                mesh: bot.mesh, 
-                lap: bot.lap, 
-                checkpointIndex: bot.currentCheckpointIndex, 
-                position: bot.mesh.position,
-                isPlayer: false,
-                botRef: bot
-            });
-        });
-
-        allRacersForRanking.sort((a, b) => {
-            if (a.lap !== b.lap) return b.lap - a.lap;
-            
-            const idxA = a.checkpointIndex;
-            const idxB = b.checkpointIndex;
-
-            if (idxA === 3 && idxB !== 3 && a.lap === b.lap) return 1; 
-            if (idxB === 3 && idxA !== 3 && a.lap === b.lap) return -1;
-            if (idxA !== idxB) return idxB - idxA;
-
-            const nextCheckpointIndexA = (a.checkpointIndex + 1) % this.totalCheckpoints;
-            const nextCheckpointIndexB = (b.checkpointIndex + 1) % this.totalCheckpoints;
-            const distA = this.calculateDistanceToNextCheckpoint(a.position, nextCheckpointIndexA);
-            const distB = this.calculateDistanceToNextCheckpoint(b.position, nextCheckpointIndexB);
-            return distA - distB;
-        });
-        
-        const racerUniqueId = isPlayer ? 'player' : `bot_${this.bots.indexOf(racer)}`;
-        rank = allRacersForRanking.findIndex(r => r.id === racerUniqueId) + 1;
-
-        const totalRacers = allRacersForRanking.length;
+        const rankedKarts = this.getKartsByProgress();
+        const rank = rankedKarts.indexOf(kart) + 1;
+        const totalRacers = rankedKarts.length;
+        const randomFunction = kart.random;
         let availableItems;
         let chosenItem;
 
@@ -2308,164 +3764,106 @@ class Game {
         }
 
 
-        if (isPlayer) {
-            if (this.playerItem === null) {
-                this.playerItem = chosenItem;
-                // console.log(`Player (Rank ${rank}) got item: ${this.playerItem}`);
-                this.updateItemDisplay();
-            }
-        } else { // It's a bot
-             if (racer.item === null) {
-                 racer.item = chosenItem;
-                 // console.log(`Bot ${this.bots.indexOf(racer)} (Rank ${rank}) got item: ${racer.item}`);
-             }
+        if (kart.item === null) {
+            kart.item = chosenItem;
+            this.updateItemDisplay();
         }
     }
 
-    useItem(racer) {
-        const isPlayer = (racer.mesh === this.kart);
-        const itemToUse = isPlayer ? this.playerItem : racer.item;
-
+    useItem(kart) {
+        const itemToUse = kart.item;
         if (!itemToUse) return; // No item to use
+        if (itemToUse === 'boo' && kart.isAttemptingBooSteal) return; // Already out, waiting to steal
 
-        if (itemToUse !== 'boo') { // Keep Boo logs, remove others
-            // console.log(`${isPlayer ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} used ${itemToUse}`);
-        } else {
-            console.log(`${isPlayer ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} used ${itemToUse}`);
+        if (itemToUse === 'boo') { // Keep Boo logs
+            console.log(`${kart.name} used ${itemToUse}`);
         }
 
+        // Clear the item first (a red shell with nothing to aim at goes back in the slot), except Boo,
+        // which stays in the slot until its steal
+        if (itemToUse !== 'boo') {
+            kart.item = null;
+        }
 
         if (itemToUse === 'banana') {
-            this.useBanana(racer);
+            this.useBanana(kart);
         } else if (itemToUse === 'mushroom') {
-            this.useMushroom(racer);
+            this.useMushroom(kart);
         } else if (itemToUse === 'greenShell') {
-            this.useGreenShell(racer);
+            this.useGreenShell(kart);
         } else if (itemToUse === 'redShell') {
-            this.useRedShell(racer);
+            this.useRedShell(kart);
         } else if (itemToUse === 'fakeItemBox') {
-            this.useFakeItemBox(racer);
+            this.useFakeItemBox(kart);
         } else if (itemToUse === 'boo') {
-            this.useBoo(racer);
+            this.useBoo(kart);
         } else if (itemToUse === 'lightningBolt') {
-            this.useLightningBolt(racer); // Pass the user
+            this.useLightningBolt(kart); // Pass the user
         } else if (itemToUse === 'blueShell') {
-            this.useBlueShell(racer);
+            this.useBlueShell(kart);
         }
 
-        // Clear the item after use, unless it's Boo or Blue Shell (which also doesn't get cleared immediately by this logic, useBlueShell handles it)
-        if (itemToUse !== 'boo' && itemToUse !== 'blueShell') {
-            if (isPlayer) {
-                this.playerItem = null;
-            } else { // It's a bot
-                racer.item = null;
-            }
-        }
-
-        // Always update display for player after any item use attempt
-        if (isPlayer) {
-            this.updateItemDisplay();
-        }
+        this.updateItemDisplay();
     }
 
-    useBanana(racer) {
+    useBanana(kart) {
         const bananaGeometry = new THREE.SphereGeometry(0.5, 8, 6); // Simple sphere for banana
         const bananaMaterial = new THREE.MeshBasicMaterial({ color: 0xffff00 });
         const bananaMesh = new THREE.Mesh(bananaGeometry, bananaMaterial);
 
-        // Position slightly behind the racer
+        // Position slightly behind the kart
         const backwardOffset = -2.0;
-        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(racer.mesh.quaternion);
-        const dropPosition = racer.mesh.position.clone().addScaledVector(forward, backwardOffset);
-        dropPosition.y = 0.3; // Place on track
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        const dropPosition = kart.mesh.position.clone().addScaledVector(forward, backwardOffset);
+        dropPosition.y = this.getGroundHeightAt(dropPosition) + 0.3; // Place on track
 
         bananaMesh.position.copy(dropPosition);
         this.scene.add(bananaMesh);
 
-        this.droppedBananas.push({ mesh: bananaMesh, owner: racer }); // Store mesh and who dropped it
+        this.droppedBananas.push({ mesh: bananaMesh, owner: kart }); // Store mesh and who dropped it
     }
 
-    useMushroom(racer) {
-        const isPlayer = (racer.mesh === this.kart);
-        if (isPlayer) {
-            this.playerMushroomBoostDuration = this.mushroomBoostTime;
-            this.boosting = false; // Mushroom overrides mini-turbo boost
-            this.boostTime = 0;
-        } else {
-            racer.mushroomBoostDuration = this.mushroomBoostTime;
-            racer.boosting = false; // Mushroom overrides mini-turbo boost
-            racer.boostTime = 0;
-        }
+    useMushroom(kart) {
+        kart.mushroomBoostDuration = this.mushroomBoostTime;
+        kart.boosting = false; // Mushroom overrides mini-turbo boost
+        kart.boostTime = 0;
     }
 
-    applyBananaHit(racer) {
-        const isPlayer = (racer.mesh === this.kart);
-        // console.log(`${isPlayer ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} hit a banana!`);
+    // Stuns a kart hit by an item or hazard, keeping 'speedFactor' of its speed and ending any boost or drift
+    stunKart(kart, stunTime, speedFactor) {
+        if (kart.isInvisible || kart.invincibilityDuration > 0) return; // Immune if Boo is active or just rescued
+        kart.stunDuration = stunTime;
+        kart.speed *= speedFactor;
+        kart.mushroomBoostDuration = 0;
+        kart.boosting = false;
+        kart.slipstreamCharge = 0;
+        kart.slipstreamBoostDuration = 0;
+        kart.isDrifting = false;
+        kart.driftActive = false;
+    }
 
-        if (isPlayer) {
-            if (this.playerIsInvisible) return; // Immune if Boo is active
-            this.playerStunDuration = this.bananaStunTime;
-            this.speed *= 0.3; // Drastically reduce speed, not full stop
-            this.playerMushroomBoostDuration = 0; 
-            this.boosting = false; 
-            this.isDrifting = false; 
-            this.driftActive = false;
-        } else {
-            if (racer.isInvisible) return; // Immune if Boo is active
-            racer.stunDuration = this.bananaStunTime;
-            racer.speed *= 0.3;
-            racer.mushroomBoostDuration = 0;
-            racer.boosting = false;
-            racer.isDrifting = false;
-        }
-    }
-
-    applyRedShellHit(racer) {
-        const isPlayer = (racer.mesh === this.kart);
-        // console.log(`${isPlayer ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} hit by a Red Shell!`);
-
-        if (isPlayer) {
-            if (this.playerIsInvisible) return; // Immune if Boo is active
-            this.playerStunDuration = this.redShellStunTime;
-            this.speed *= 0.25; // Significant speed reduction
-            this.playerMushroomBoostDuration = 0; 
-            this.boosting = false; 
-            this.isDrifting = false; 
-            this.driftActive = false;
-        } else { // Bot
-            // Ensure 'racer' is the full bot object if it's a bot
-            const botRacer = racer.isPlayer === false ? racer.botRef : racer; 
-            if (botRacer.isInvisible) return; // Immune if Boo is active
-            botRacer.stunDuration = this.redShellStunTime;
-            botRacer.speed *= 0.25;
-            botRacer.mushroomBoostDuration = 0;
-            botRacer.boosting = false;
-            botRacer.isDrifting = false;
-        }
+    applyBananaHit(kart) {
+        this.stunKart(kart, this.bananaStunTime, 0.3); // Drastically reduce speed, not full stop
+    }
+
+    applyRedShellHit(kart) {
+        this.stunKart(kart, this.redShellStunTime, 0.25); // Significant speed reduction
     }
 
     // --- Green Shell Logic ---
-    useGreenShell(racer) {
+    useGreenShell(kart) {
         const shellGeometry = new THREE.SphereGeometry(0.6, 8, 6);
         const shellMaterial = new THREE.MeshBasicMaterial({ color: 0x00cc00 }); // Green
         const shellMesh = new THREE.Mesh(shellGeometry, shellMaterial);
 
-        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(racer.mesh.quaternion);
-        let fireDirection = forward.clone();
-        
-        // Basic check: if racer is player and holding 's' or backward touch, fire backward
-        const isPlayer = (racer.mesh === this.kart);
-        if (isPlayer && (this.keys['s'] || this.touchControls.backward)) {
-            fireDirection.negate();
-        }
-        // Bot simple decision (could be smarter)
-        if (!isPlayer && racer.random() < 0.3) { // 30% chance to fire backward if bot
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        const fireDirection = forward.clone();
+        if (kart.input.aimBackward) { // The controller chose to fire behind
             fireDirection.negate();
         }
 
-
-        const spawnPosition = racer.mesh.position.clone().addScaledVector(fireDirection, 1.5);
-        spawnPosition.y = 0.5; // Height of shell
+        const spawnPosition = kart.mesh.position.clone().addScaledVector(fireDirection, 1.5);
+        spawnPosition.y = this.getGroundHeightAt(spawnPosition) + 0.5; // Height of shell
 
         shellMesh.position.copy(spawnPosition);
         this.scene.add(shellMesh);
@@ -2475,97 +3873,64 @@ class Game {
         this.activeGreenShells.push({
             mesh: shellMesh,
             velocity: fireDirection.multiplyScalar(shellSpeed),
-            owner: racer,
+            owner: kart,
             bouncesLeft: this.greenShellBounces,
             lifetime: this.greenShellLifetime
         });
     }
 
-    applyGreenShellHit(racer) {
-        const isPlayer = (racer.mesh === this.kart);
-        // console.log(`${isPlayer ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} hit by a Green Shell!`);
-
-        if (isPlayer) {
-            if (this.playerIsInvisible) return;
-            this.playerStunDuration = this.greenShellStunTime;
-            this.speed *= 0.2;
-            this.playerMushroomBoostDuration = 0;
-            this.boosting = false;
-            this.isDrifting = false;
-            this.driftActive = false;
-        } else {
-            if (racer.isInvisible) return;
-            racer.stunDuration = this.greenShellStunTime;
-            racer.speed *= 0.2;
-            racer.mushroomBoostDuration = 0;
-            racer.boosting = false;
-            racer.isDrifting = false;
-        }
+    applyGreenShellHit(kart) {
+        this.stunKart(kart, this.greenShellStunTime, 0.2);
     }
 
     // --- Red Shell Logic ---
-    useRedShell(racer) {
-        const isPlayerFirer = (racer.mesh === this.kart);
-        let firerRankData;
-
-        if (isPlayerFirer) {
-            // Simplified rank finding for player - find player in sorted list
-            const allRacersSorted = this.getBotRankAndRacers(null).sortedRacers; // Pass null as bot if getting for player context
-            const playerRankIndex = allRacersSorted.findIndex(r => r.id === 'player');
-            firerRankData = { rank: playerRankIndex + 1, sortedRacers: allRacersSorted, firerObj: allRacersSorted[playerRankIndex].obj };
-        } else { // Bot is firer
-            firerRankData = this.getBotRankAndRacers(racer); // racer is the bot object
-        }
-
+    useRedShell(kart) {
+        // Home in on the nearest racer ahead who is not invisible
+        const rankedKarts = this.getKartsByProgress();
         let target = null;
-        // Find the racer directly ahead of the firer who is not invisible
-        if (firerRankData.rank > 1) { // If not in 1st place
-            for (let i = firerRankData.rank - 2; i >= 0; i--) { // rank is 1-based, array is 0-based
-                const potentialTarget = firerRankData.sortedRacers[i].obj;
-                if (!potentialTarget.isInvisible) {
-                    target = potentialTarget; // Target is the racer object {mesh, lap, ...}
-                    break;
-                }
+        for (let i = rankedKarts.indexOf(kart) - 1; i >= 0; i--) {
+            if (!rankedKarts[i].isInvisible) {
+                target = rankedKarts[i];
+                break;
             }
         }
 
         if (!target) {
-            // console.log("Red Shell: No valid target ahead or firer is in 1st. Item returned.");
-            if (isPlayerFirer) {
-                if (this.playerItem === null) { // Only give back if slot is now empty (e.g. if useItem cleared it)
-                    this.playerItem = 'redShell'; 
-                    this.updateItemDisplay();
-                }
-            } else {
-                if (racer.item === null) { // Bot racer
-                    racer.item = 'redShell';
-                }
+            // No valid target ahead or the firer is in 1st: the shell goes back in the slot
+            if (kart.item === null) {
+                kart.item = 'redShell';
+                this.updateItemDisplay();
             }
             return; 
         }
 
-        // console.log(`${isPlayerFirer ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} fires Red Shell at ${target.isPlayer ? 'Player' : 'Bot ' + this.bots.indexOf(target.botRef)}`);
-
         const shellGeometry = new THREE.SphereGeometry(0.6, 8, 6);
         const shellMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 }); // Red
         const shellMesh = new THREE.Mesh(shellGeometry, shellMaterial);
 
-        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(racer.mesh.quaternion);
-        const spawnPosition = racer.mesh.position.clone().addScaledVector(forward, 1.5);
-        spawnPosition.y = 0.5; // Height of shell
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        const spawnPosition = kart.mesh.position.clone().addScaledVector(forward, 1.5);
+        spawnPosition.y = this.getGroundHeightAt(spawnPosition) + 0.5; // Height of shell
 
         shellMesh.position.copy(spawnPosition);
         this.scene.add(shellMesh);
 
         this.activeRedShells.push({
             mesh: shellMesh,
-            owner: racer, 
-            target: target, // Store the racer object for the target
+            owner: kart, 
+            target: target,
             lifetime: this.redShellLifetime,
             speed: this.maxSpeed * 1.5 // Same speed as green shells
         });
     }
 
+    // Kart whose trailed item a shell at 'position' has run into, if any
+    findTrailedItemHit(position) {
+        const trailedItemRadii = { fakeItemBox: 0.9, banana: 0.5 }; // Shells are 0.6
+        return this.karts.find(kart => kart.trailedItemMesh && kart.trailedItemMesh.visible &&
+            position.distanceTo(kart.trailedItemMesh.position) < 0.6 + (trailedItemRadii[kart.trailedItemType] || 0.6));
+    }
+
     updateRedShells(deltaTime) {
         const shellRadius = 0.6;
 
@@ -2573,15 +3938,15 @@ class Game {
             const shell = this.activeRedShells[i];
             shell.lifetime -= deltaTime;
 
-            // Target validation: Ensure target.mesh exists and target is not invisible
-            if (shell.lifetime <= 0 || !shell.target || !shell.target.mesh || shell.target.isInvisible) {
+            // Target validation: the shell gives up once its target turns invisible
+            if (shell.lifetime <= 0 || shell.target.isInvisible) {
                 this.scene.remove(shell.mesh);
                 this.activeRedShells.splice(i, 1);
                 continue;
             }
             
             const shellPos = shell.mesh.position;
-            const targetPos = shell.target.mesh.position; // Target is a racer object like {mesh: ..., ...}
+            const targetPos = shell.target.mesh.position;
 
             // Homing logic
             const directionToTarget = new THREE.Vector3().subVectors(targetPos, shellPos);
@@ -2591,55 +3956,34 @@ class Game {
             shell.mesh.lookAt(targetPos.x, shellPos.y, targetPos.z); 
             const moveDirection = new THREE.Vector3(0,0,1).applyQuaternion(shell.mesh.quaternion);
 
-            const moveAmountVec = moveDirection.clone().multiplyScalar(shell.speed);
+            const moveDistance = shell.speed * deltaTime;
+            const moveAmountVec = moveDirection.clone().multiplyScalar(moveDistance);
             const prevPos = shellPos.clone();
             
-            this.raycaster.set(prevPos, moveDirection);
-            this.raycaster.far = shell.speed + shellRadius;
-            const wallIntersects = this.raycaster.intersectObjects(this.wallMeshes);
-
-            if (wallIntersects.length > 0 && wallIntersects[0].distance - shellRadius < shell.speed) {
+            if (this.sweepCircleAgainstWalls(prevPos, moveAmountVec, shellRadius)) {
                 this.scene.remove(shell.mesh);
                 this.activeRedShells.splice(i, 1);
                 continue;
             }
 
             shellPos.add(moveAmountVec);
-            shellPos.y = 0.5; 
-
-            // Collision with player's TRAILED item (if player is not the target and item exists)
-            // This check should ideally be before target collision if the trailed item is meant to intercept.
-            // Red shells target racers, so if it's targeting the player, it should hit player, not their trailed item unless it's a different red shell.
-            // For now, let's assume any red shell can be blocked by a trailed item.
-            if (this.playerIsTrailingItem && this.playerTrailedItemMesh && this.playerTrailedItemMesh.visible) {
-                 let trailedItemRadius = 0.6;
-                 if (this.playerTrailedItemType === 'fakeItemBox') trailedItemRadius = 0.9;
-                 else if (this.playerTrailedItemType === 'banana') trailedItemRadius = 0.5;
-
-                if (shellPos.distanceTo(this.playerTrailedItemMesh.position) < (0.6 + trailedItemRadius)) {
-                    console.log("[TRAIL DEBUG] Red shell hit player's trailed item:", this.playerTrailedItemType);
-                    this.scene.remove(shell.mesh);
-                    if(shell.mesh.geometry) shell.mesh.geometry.dispose();
-                    this.activeRedShells.splice(i, 1);
+            shellPos.y = this.getGroundHeightAt(shellPos) + 0.5; // Ride over hills and dips
 
-                    this.scene.remove(this.playerTrailedItemMesh);
-                    if(this.playerTrailedItemMesh.geometry) this.playerTrailedItemMesh.geometry.dispose();
-                     if(this.playerTrailedItemMesh.material) {
-                        if(this.playerTrailedItemMesh.material.map && this.playerTrailedItemMesh.material.map.dispose) this.playerTrailedItemMesh.material.map.dispose();
-                        this.playerTrailedItemMesh.material.dispose();
-                    }
-                    this.playerTrailedItemMesh = null;
-                    this.playerIsTrailingItem = false;
-                    this.playerTrailedItemType = null;
-                    this.updateItemDisplay();
-                    continue; // Red shell destroyed, player protected by trailed item.
-                }
+            // A trailed item blocks any red shell that runs into it, including one aimed at its kart
+            const blockingKart = this.findTrailedItemHit(shellPos);
+            if (blockingKart) {
+                console.log(`[TRAIL DEBUG] Red shell hit ${blockingKart.name}'s trailed item:`, blockingKart.trailedItemType);
+                this.scene.remove(shell.mesh);
+                if(shell.mesh.geometry) shell.mesh.geometry.dispose();
+                this.activeRedShells.splice(i, 1);
+                this.removeTrailedItem(blockingKart);
+                continue; // Red shell destroyed, kart protected by its trailed item.
             }
 
 
             // Collision with target
             if (shellPos.distanceTo(targetPos) < 1.0) { 
-                this.applyRedShellHit(shell.target); // Pass the racer object stored in shell.target
+                this.applyRedShellHit(shell.target);
                 this.scene.remove(shell.mesh);
                  if(shell.mesh.geometry) shell.mesh.geometry.dispose();
                 this.activeRedShells.splice(i, 1);
@@ -2647,21 +3991,10 @@ class Game {
             }
 
             // Collision with other racers (not owner, not target, not invisible)
-            const allOtherRacers = [];
-            // Check player
-            if (shell.owner.mesh !== this.kart && shell.target.mesh !== this.kart && !this.playerIsInvisible) {
-                 allOtherRacers.push({mesh: this.kart, isPlayer: true, botRef: null, isInvisible: this.playerIsInvisible}); // Add player as potential victim
-            }
-            // Check bots
-            this.bots.forEach(bot => {
-                if (shell.owner !== bot && shell.target.botRef !== bot && !bot.isInvisible) { // Ensure bot itself is not the target
-                    allOtherRacers.push({mesh: bot.mesh, isPlayer: false, botRef: bot, isInvisible: bot.isInvisible}); // Add bot as potential victim
-                }
-            });
-
-            for (const otherRacer of allOtherRacers) {
-                if (shellPos.distanceTo(otherRacer.mesh.position) < 1.0) {
-                    this.applyRedShellHit(otherRacer); // Pass the simple racer object
+            const otherKarts = this.karts.filter(kart => kart !== shell.owner && kart !== shell.target && !kart.isInvisible);
+            for (const otherKart of otherKarts) {
+                if (shellPos.distanceTo(otherKart.mesh.position) < 1.0) {
+                    this.applyRedShellHit(otherKart);
                     this.scene.remove(shell.mesh);
                     this.activeRedShells.splice(i, 1);
                     break; 
@@ -2702,7 +4035,7 @@ class Game {
     }
 
     // --- Fake Item Box Logic ---
-    useFakeItemBox(racer) {
+    useFakeItemBox(kart) {
         const boxGeometry = new THREE.BoxGeometry(1.8, 1.8, 1.8); // Slightly smaller than real box
         // Red question mark texture for fake item boxes
         const canvas = document.createElement('canvas');
@@ -2721,206 +4054,72 @@ class Game {
         const fakeBoxMesh = new THREE.Mesh(boxGeometry, boxMaterial);
 
         const backwardOffset = -2.5;
-        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(racer.mesh.quaternion);
-        const dropPosition = racer.mesh.position.clone().addScaledVector(forward, backwardOffset);
-        dropPosition.y = 1.0; // Same height as real item boxes
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        const dropPosition = kart.mesh.position.clone().addScaledVector(forward, backwardOffset);
+        dropPosition.y = this.getGroundHeightAt(dropPosition) + 1.0; // Same height as real item boxes
 
         fakeBoxMesh.position.copy(dropPosition);
         this.scene.add(fakeBoxMesh);
-        this.droppedFakeItemBoxes.push({ mesh: fakeBoxMesh, owner: racer });
+        this.droppedFakeItemBoxes.push({ mesh: fakeBoxMesh, owner: kart });
     }
 
-    applyFakeItemBoxHit(racer) {
-        const isPlayer = (racer.mesh === this.kart);
-        // console.log(`${isPlayer ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} hit a Fake Item Box!`);
-        if (isPlayer) {
-            if (this.playerIsInvisible) return;
-            this.playerStunDuration = this.fakeItemBoxStunTime;
-            this.speed *= 0.7; // Minor speed reduction
-        } else {
-            if (racer.isInvisible) return;
-            racer.stunDuration = this.fakeItemBoxStunTime;
-            racer.speed *= 0.7;
-        }
+    applyFakeItemBoxHit(kart) {
+        if (kart.isInvisible || kart.invincibilityDuration > 0) return;
+        kart.stunDuration = this.fakeItemBoxStunTime;
+        kart.speed *= 0.7; // Minor speed reduction
     }
 
     // --- Boo (Ghost) Logic ---
-    useBoo(racer) {
-        const isPlayerBooUser = (racer.mesh === this.kart);
-        console.log(`${isPlayerBooUser ? 'Player' : 'Bot ' + this.bots.indexOf(racer)} used Boo!`); // KEEP THIS LOG
-
-        if (isPlayerBooUser) {
-            this.playerIsInvisible = true;
-            this.playerInvisibilityDuration = this.booDuration;
-            this.playerIsAttemptingBooSteal = true; // Flag for delayed steal
-            this.kart.traverse(child => {
-                if (child.isMesh) {
-                    child.material.transparent = true;
-                    child.material.opacity = 0.4;
-                }
-            });
-        } else { // It's a bot
-            racer.isInvisible = true;
-            racer.invisibilityDuration = this.booDuration;
-            racer.isAttemptingBooSteal = true; // Flag for delayed steal
-            racer.mesh.traverse(child => {
-                if (child.isMesh) {
-                    child.material.transparent = true;
-                    child.material.opacity = 0.4;
-                }
-            });
-        }
-        // The 'boo' item remains in the slot. Stealing and item slot update will happen in updateKart/updateBots.
-        // The player's item display will be updated by the calling useItem function, showing 'boo'.
-    }
-    
-    stealItemWithBoo(thief) {
-        let racersToTarget = [];
-        let itemWasStolen = false;
-        // Determine if the thief is the player.
-        // 'thief' will be 'this.kart' (the THREE.Group) if player, or a bot object if bot.
-        const isThiefThePlayer = (thief === this.kart);
-        
-        console.log(`Boo logic: Thief is ${isThiefThePlayer ? 'Player' : `Bot ${this.bots.indexOf(thief)}`}`);
-
-        // Determine which PRNG to use for target selection
-        const randomFunctionForTargetSelection = isThiefThePlayer ? this.playerRandom : thief.random;
-
-        if (isThiefThePlayer) { // Player is the thief
-            racersToTarget = this.bots.filter(b => b.item !== null && !b.isInvisible);
-        } else { // Bot is the thief (thief is a bot object)
-            if (this.playerItem !== null && !this.playerIsInvisible) {
-                 racersToTarget.push({racerObj: this, itemHolder: 'player'}); // Target player
-            }
-            racersToTarget.push(...this.bots.filter(b => b !== thief && b.item !== null && !b.isInvisible).map(b => ({racerObj: b, itemHolder: 'bot'})));
-        }
-        
-        const targetDetails = racersToTarget.map(t_or_w => {
-            // If isThiefThePlayer is true, racersToTarget contains bot objects (t_or_w is a bot)
-            // If isThiefThePlayer is false, racersToTarget contains wrapper objects (t_or_w is a wrapper)
-            if (isThiefThePlayer) { 
-                return `Bot ${this.bots.indexOf(t_or_w)} (Item: ${t_or_w.item})`;
-            } else { 
-                const itemHolder = t_or_w.itemHolder;
-                if (itemHolder === 'player') {
-                    return `Player (Item: ${this.playerItem})`;
-                } else { 
-                    const botVictim = t_or_w.racerObj;
-                    return `Bot ${this.bots.indexOf(botVictim)} (Item: ${botVictim.item})`;
-                }
+    useBoo(kart) {
+        console.log(`${kart.name} used Boo!`); // KEEP THIS LOG
+
+        kart.isInvisible = true;
+        kart.invisibilityDuration = this.booDuration;
+        kart.isAttemptingBooSteal = true; // Flag for delayed steal
+        kart.mesh.traverse(child => {
+            if (child.isMesh) {
+                child.material.transparent = true;
+                child.material.opacity = 0.4;
             }
         });
-        console.log("Boo logic: Potential targets:", targetDetails.length > 0 ? targetDetails : "None");
-
-        if (racersToTarget.length > 0) {
-            // Use the determined PRNG for target selection
-            const selectedTargetData = racersToTarget[Math.floor(randomFunctionForTargetSelection() * racersToTarget.length)];
-            let stolenItemValue = null; // Temporary variable to hold the item string
-            let victimLogName = "Unknown";
-
-            if (isThiefThePlayer) { // Player is the thief, selectedTargetData is a direct bot object
-                const victimBot = selectedTargetData;
-                // The filter `b.item !== null` should ensure victimBot.item is truthy if a target is found.
-                if (victimBot.item) { 
-                    stolenItemValue = victimBot.item;
-                    victimBot.item = null; // Remove item from victim bot
-                    itemWasStolen = true;
-                    victimLogName = `Bot ${this.bots.indexOf(victimBot)}`;
-                }
-            } else { // Bot is the thief, selectedTargetData is {racerObj: ..., itemHolder: ...}
-                const victimWrapper = selectedTargetData;
-                if (victimWrapper.itemHolder === 'player') {
-                    // The filter `this.playerItem !== null` should ensure this.playerItem is truthy.
-                    if (this.playerItem) { 
-                        stolenItemValue = this.playerItem;
-                        this.playerItem = null; // Remove item from player
-                        this.updateItemDisplay(); // Victim player updates their display
-                        itemWasStolen = true;
-                        victimLogName = "Player";
-                    }
-                } else { // Victim is another bot
-                    const victimBot = victimWrapper.racerObj;
-                    // The filter `b.item !== null` should ensure victimBot.item is truthy.
-                    if (victimBot.item) { 
-                        stolenItemValue = victimBot.item;
-                        victimBot.item = null; // Remove item from victim bot
-                        itemWasStolen = true;
-                        victimLogName = `Bot ${this.bots.indexOf(victimBot)}`;
-                    }
-                }
-            }
-            
-            if (itemWasStolen) { // If a steal was successful
-                console.log(`Boo stole ${stolenItemValue} from ${victimLogName}!`);
-                // Give stolen item to thief
-                if (isThiefThePlayer) { // Player is the thief
-                    this.playerItem = stolenItemValue;
-                    this.updateItemDisplay(); // Thief player updates their display with the new item
-                } else { // Bot is the thief (thief is a bot object)
-                    thief.item = stolenItemValue;
-                }
-            }
-        }
-        
-        if (!itemWasStolen) {
-            // No item was stolen, give a mushroom to the thief instead.
-            const mushroomItem = 'mushroom';
-            if (isThiefThePlayer) {
-                this.playerItem = mushroomItem;
-                this.updateItemDisplay(); // Thief player updates their display
-                console.log("Boo couldn't find an item to steal! Player received a mushroom instead.");
-            } else { // Bot is the thief
-                thief.item = mushroomItem;
-                console.log(`Boo couldn't find an item to steal! Bot ${this.bots.indexOf(thief)} received a mushroom instead.`);
-            }
-            // Even though no item was 'stolen' in the traditional sense,
-            // the Boo user *did* receive an item as a result of using Boo.
-            // We can return true here if we consider receiving a mushroom as a "successful" outcome for the Boo user.
-            // Or return false if "stolen" strictly means taking from another racer.
-            // For now, let's keep itemWasStolen as is, reflecting the steal attempt itself.
-            // The calling function (useBoo) will handle consuming the original 'boo' based on the original logic.
-            // The key change here is that the slot is now filled with 'mushroom' if steal fails.
+        // The 'boo' item remains in the slot. Stealing and the item slot update happen in updateKart
+        // once the invisibility wears off.
+    }
+
+    // Takes the item of a random visible racer for the thief. With nothing to steal the thief
+    // gets a mushroom instead. Returns whether an item was taken from another racer.
+    stealItemWithBoo(thief) {
+        const victims = this.karts.filter(kart => kart !== thief && kart.item !== null && !kart.isInvisible);
+        console.log(`Boo logic: Thief is ${thief.name}`);
+        console.log("Boo logic: Potential targets:", victims.length > 0 ? victims.map(kart => `${kart.name} (Item: ${kart.item})`) : "None");
+
+        if (victims.length > 0) {
+            const victim = victims[Math.floor(thief.random() * victims.length)];
+            thief.item = victim.item;
+            victim.item = null;
+            console.log(`Boo stole ${thief.item} from ${victim.name}!`);
+            this.updateItemDisplay();
+            return true;
         }
-        return itemWasStolen; // Returns true if an item was stolen from another racer, false otherwise.
+
+        thief.item = 'mushroom';
+        console.log(`Boo couldn't find an item to steal! ${thief.name} received a mushroom instead.`);
+        this.updateItemDisplay();
+        return false;
     }
 
 
     // --- Lightning Bolt Logic ---
     useLightningBolt(firer) { // Firer is the racer who used the lightning
-        // console.log(`${firer.mesh === this.kart ? 'Player' : 'Bot ' + this.bots.indexOf(firer)} used Lightning Bolt!`);
-
-        // Affect player if not the firer
-        if (firer.mesh !== this.kart) {
-            if (!this.playerIsInvisible) { // Boo immunity
-                // console.log("Player struck by lightning!");
-                this.playerShrinkDuration = this.lightningShrinkDuration;
-                this.playerStunDuration = Math.max(this.playerStunDuration, this.lightningStunTime); // Apply stun
-                this.speed *= 0.4; // Reduce speed significantly
-                this.kart.scale.set(this.originalPlayerScale.x * this.lightningShrinkScaleFactor, this.originalPlayerScale.y * this.lightningShrinkScaleFactor, this.originalPlayerScale.z * this.lightningShrinkScaleFactor);
-                if (this.playerItem) { // Lose item
-                    // console.log(`Player lost item: ${this.playerItem}`);
-                    this.playerItem = null;
-                    this.updateItemDisplay();
-                }
-            }
-        }
-
-        // Affect bots if not the firer
-        this.bots.forEach((bot, index) => {
-            if (firer !== bot) { // Don't affect the bot that fired it
-                if (!bot.isInvisible) { // Boo immunity
-                    // console.log(`Bot ${index} struck by lightning!`);
-                    bot.shrinkDuration = this.lightningShrinkDuration;
-                    bot.stunDuration = Math.max(bot.stunDuration, this.lightningStunTime);
-                    bot.speed *= 0.4;
-                    bot.mesh.scale.set(bot.originalScale.x * this.lightningShrinkScaleFactor, bot.originalScale.y * this.lightningShrinkScaleFactor, bot.originalScale.z * this.lightningShrinkScaleFactor);
-                    if (bot.item) { // Lose item
-                        // console.log(`Bot ${index} lost item: ${bot.item}`);
-                        bot.item = null;
-                    }
-                }
-            }
+        this.karts.forEach(kart => {
+            if (kart === firer || kart.isInvisible || kart.invincibilityDuration > 0) return; // Boo immunity or rescue grace
+            kart.shrinkDuration = this.lightningShrinkDuration;
+            kart.stunDuration = Math.max(kart.stunDuration, this.lightningStunTime);
+            kart.speed *= 0.4; // Reduce speed significantly
+            kart.mesh.scale.copy(kart.originalScale).multiplyScalar(this.lightningShrinkScaleFactor);
+            kart.item = null; // Lose item
         });
+        this.updateItemDisplay();
     }
 
 
@@ -2928,29 +4127,12 @@ class Game {
 
     // --- Blue Shell Logic ---
     useBlueShell(firer) {
-        const isPlayerFirer = (firer.mesh === this.kart);
-        console.log(`${isPlayerFirer ? 'Player' : 'Bot ' + this.bots.indexOf(firer)} used Blue Shell!`);
-
-        const rankData = this.getBotRankAndRacers(isPlayerFirer ? null : firer); // Pass firer if bot, null if player
-        let targetRacer = null;
+        console.log(`${firer.name} used Blue Shell!`);
 
-        // Find the 1st place racer who is not invisible
-        for (let i = 0; i < rankData.sortedRacers.length; i++) {
-            if (!rankData.sortedRacers[i].obj.isInvisible) {
-                targetRacer = rankData.sortedRacers[i].obj; // This is the racer object {mesh, lap, ...}
-                break;
-            }
-        }
-        
+        // The leader, or the best placed racer who is not invisible
+        const targetRacer = this.getKartsByProgress().find(kart => !kart.isInvisible);
         if (!targetRacer) {
-            console.log("Blue Shell: No valid 1st place target found (e.g., everyone invisible or race just started). Item fizzles.");
-            // Clear item from firer
-            if (isPlayerFirer) {
-                this.playerItem = null;
-                this.updateItemDisplay();
-            } else {
-                firer.item = null;
-            }
+            console.log("Blue Shell: No valid 1st place target found (e.g., everyone invisible). Item fizzles.");
             return;
         }
         
@@ -3005,18 +4187,10 @@ class Game {
             targetRacer: targetRacer, // Store the racer object itself
             owner: firer,
             lifetime: this.blueShellLifetime,
-            speed: this.maxSpeed * 3.0, // Blue shell speed is 3x current CC maxSpeed
+            speed: this.maxSpeed, // Cruises at the current CC's top speed, a quarter faster while homing
             heightOffset: 5.0, // Initial height offset, will smoothly decrease
             state: 'flying_high' // Initial state: 'flying_high', 'homing', 'diving'
         });
-
-        // Clear item from firer
-        if (isPlayerFirer) {
-            this.playerItem = null;
-            this.updateItemDisplay();
-        } else {
-            firer.item = null;
-        }
     }
 
     updateBlueShells(deltaTime) {
@@ -3055,7 +4229,7 @@ class Game {
             if (shell.state === 'flying_high') {
                 // Fly somewhat towards general area of target, maintaining height
                 const directionToTargetXZ = new THREE.Vector3(targetPosition.x - shellPos.x, 0, targetPosition.z - shellPos.z).normalize();
-                shellPos.addScaledVector(directionToTargetXZ, shell.speed * 20 * deltaTime); // Faster initial travel
+                shellPos.addScaledVector(directionToTargetXZ, shell.speed * deltaTime);
                 shellPos.y = targetPosition.y + shell.heightOffset; // Maintain height based on target's Y + offset
                 shell.mesh.lookAt(new THREE.Vector3(targetPosition.x, shellPos.y, targetPosition.z));
 
@@ -3067,7 +4241,7 @@ class Game {
             } else if (shell.state === 'homing') {
                 // Home in on target, gradually reduce height offset
                 const directionToTarget = new THREE.Vector3().subVectors(targetPosition, shellPos).normalize();
-                shellPos.addScaledVector(directionToTarget, shell.speed * 25 * deltaTime); // Normal homing speed
+                shellPos.addScaledVector(directionToTarget, shell.speed * 1.25 * deltaTime); // Homing speed
                 shell.heightOffset = Math.max(1.5, shell.heightOffset - 2.0 * deltaTime); // Decrease height offset
                 shellPos.y = targetPosition.y + shell.heightOffset;
                 shell.mesh.lookAt(targetPosition);
@@ -3090,7 +4264,7 @@ class Game {
                     new THREE.MeshBasicMaterial({ color: 0x00aaff, transparent: true, opacity: 0.7 })
                 );
                 explosionEffect.position.copy(shellPos); // Explode where shell is
-                explosionEffect.position.y = Math.max(1.0, shellPos.y); // Ensure explosion is not underground
+                explosionEffect.position.y = Math.max(this.getGroundHeightAt(shellPos) + 1.0, shellPos.y); // Ensure explosion is not underground
                 this.scene.add(explosionEffect);
                 setTimeout(() => { 
                     this.scene.remove(explosionEffect); 
@@ -3102,20 +4276,10 @@ class Game {
                 // Affect racers in radius
                 const explosionCenter = shellPos.clone();
 
-                // Affect target directly (if still valid)
-                if (shell.targetRacer && shell.targetRacer.mesh) {
-                     this.applyBlueShellHit(shell.targetRacer);
-                }
-
-                // Affect player if not the primary target but in radius
-                if (this.kart !== shell.targetRacer.mesh && this.kart.position.distanceTo(explosionCenter) < this.blueShellExplosionRadius) {
-                    this.applyBlueShellHit({ mesh: this.kart, isPlayer: true, botRef: null, isInvisible: this.playerIsInvisible});
-                }
-
-                // Affect bots if not primary target but in radius
-                this.bots.forEach(bot => {
-                    if (bot.mesh !== shell.targetRacer.mesh && bot.mesh.position.distanceTo(explosionCenter) < this.blueShellExplosionRadius) {
-                        this.applyBlueShellHit(bot); // Pass bot object
+                // Affect the target directly, and anyone else caught in the radius
+                this.karts.forEach(kart => {
+                    if (kart === shell.targetRacer || kart.mesh.position.distanceTo(explosionCenter) < this.blueShellExplosionRadius) {
+                        this.applyBlueShellHit(kart);
                     }
                 });
 
@@ -3136,575 +4300,59 @@ class Game {
         }
     }
 
-    applyBlueShellHit(racerContext) { // racerContext is {mesh, isPlayer, botRef, isInvisible} or a bot object
-        let isPlayerHit, actualRacerObject;
-
-        if (racerContext.isPlayer !== undefined) { // It's a player-like context object
-            isPlayerHit = racerContext.isPlayer;
-            actualRacerObject = isPlayerHit ? this : racerContext.botRef; // this (game) for player, botRef for bot
-        } else { // It's a direct bot object
-            isPlayerHit = false;
-            actualRacerObject = racerContext;
-        }
-        
-        if (actualRacerObject.isInvisible) return; // Immune if Boo is active or general invisibility
-
-        // console.log(`${isPlayerHit ? 'Player' : 'Bot'} hit by Blue Shell explosion!`);
-
-        if (isPlayerHit) {
-            this.playerStunDuration = this.blueShellStunTime;
-            this.speed = 0;
-            this.playerMushroomBoostDuration = 0;
-            this.boosting = false;
-            this.isDrifting = false;
-            this.driftActive = false;
-            this.playerIsSpinningOut = true;
-            this.playerSpinOutTimer = this.blueShellSpinOutDuration;
-            this.impulse.set(0,0,0); // Clear any existing bump impulse
-        } else { // Bot
-            actualRacerObject.stunDuration = this.blueShellStunTime;
-            actualRacerObject.speed = 0;
-            actualRacerObject.mushroomBoostDuration = 0;
-            actualRacerObject.boosting = false;
-            actualRacerObject.isDrifting = false;
-            // No driftActive for bots directly, but behavior implied by isDrifting=false
-            actualRacerObject.isSpinningOut = true;
-            actualRacerObject.spinOutTimer = this.blueShellSpinOutDuration;
-            actualRacerObject.impulse.set(0,0,0);
-        }
-    }
-
-
-    updateBots(deltaTime) { // Accept deltaTime
-        // Only allow updates if the race is active
-        if (this.gameState !== 'racing') return;
-
-        const arrivalThreshold = 3.0; // How close the bot needs to be to the *actual* checkpoint center
-        // const lookAheadDistance = 10.0; // How far ahead the bot looks for steering - now dynamic
-        const botUseItemChance = 0.015; // Slightly increased chance
-
-        this.bots.forEach((bot, botIndex) => {
-            // --- Handle Bot Spin-out (Blue Shell) ---
-            if (bot.isSpinningOut) {
-                bot.spinOutTimer -= deltaTime;
-                bot.mesh.rotation.y += this.blueShellSpinSpeed * deltaTime; // Use game's spin speed
-                if (bot.spinOutTimer <= 0) {
-                    bot.isSpinningOut = false;
-                }
-                bot.speed = 0; // Ensure speed remains 0
-                // Bot doesn't have its own camera or speedometer to update here
-                // Just apply physics impulses if any
-                bot.mesh.position.add(bot.impulse);
-                bot.impulse.multiplyScalar(bot.impulseDecay);
-                if (bot.impulse.lengthSq() < 0.0001) bot.impulse.set(0,0,0);
-                return; // Skip normal bot AI while spinning out
-            }
-
-            // --- Handle Bot Effects (Boo, Lightning, Stun) ---
-            if (bot.isInvisible) { // Handles Boo invisibility primarily
-                bot.invisibilityDuration -= deltaTime;
-
-                if (bot.invisibilityDuration <= 0) {
-                    // Invisibility duration from Boo has ended for the bot.
-                    if (bot.isAttemptingBooSteal) {
-                        const itemStolenSuccessfully = this.stealItemWithBoo(bot);
-
-                        if (itemStolenSuccessfully) {
-                            // stealItemWithBoo already put the item in bot.item (stolen item)
-                            console.log(`Boo stole ${bot.item} for Bot ${botIndex}!`);
-                            bot.invisibilityDuration = 0; // End invisibility due to successful steal
-                        } else {
-                            // Steal from another racer failed. stealItemWithBoo has given the bot a 'mushroom'.
-                            // bot.item is already 'mushroom'. Invisibility continues for its normal duration.
-                            // The console log for receiving a mushroom is in stealItemWithBoo.
-                            console.log(`Bot ${botIndex}'s Boo failed to steal from another; bot received a mushroom. Invisibility continues.`);
-                        }
-                        bot.isAttemptingBooSteal = false;
-                    }
-
-                    // Restore visibility unless another effect keeps bot invisible
-                    bot.isInvisible = false;
-                    bot.mesh.traverse(child => {
-                        if (child.isMesh) {
-                            child.material.opacity = 1.0;
-                            // Consider if material was originally transparent
-                        }
-                    });
-                }
-            }
-            if (bot.shrinkDuration > 0) {
-                bot.shrinkDuration -= deltaTime;
-                if (bot.shrinkDuration <= 0) {
-                    bot.mesh.scale.copy(bot.originalScale); // Restore scale
-                }
-            }
-            if (bot.stunDuration > 0) {
-                bot.stunDuration -= deltaTime;
-                // Bot is stunned, reduce speed significantly, limit further actions
-                bot.speed *= 0.95; // Rapidly decelerate if stunned
-                if (bot.stunDuration <= 0) { /* stun just ended */ }
-                 // If stunned, skip normal AI for this frame
-                // Move the bot based on its (rapidly decaying) speed and current rotation
-                const moveDirectionStunned = new THREE.Vector3(Math.sin(bot.mesh.rotation.y), 0, Math.cos(bot.mesh.rotation.y));
-                bot.mesh.position.addScaledVector(moveDirectionStunned, bot.speed);
-                bot.mesh.position.add(bot.impulse); // Still apply physics impulses
-                bot.impulse.multiplyScalar(bot.impulseDecay);
-                return;
-            }
-
-            if (!this.checkpoints || this.checkpoints.length < 2) return; // Need at least 2 checkpoints
-
-            const currentCheckpointIndex = bot.currentCheckpointIndex;
-            const targetCheckpointIndex = bot.targetCheckpointIndex;
-            const nextTargetCheckpointIndex = (targetCheckpointIndex + 1) % this.totalCheckpoints;
-
-            const currentCheckpoint = this.checkpoints[currentCheckpointIndex];
-            if (!this.racingLinePoints || this.racingLinePoints.length < 2) return; // Need path points
-
-            // Store previous position for checkpoint crossing detection
-            const prevPosition = bot.prevPosition || bot.mesh.position.clone();
-
-            // --- Path Following Logic ---
-
-            // 1. Find the closest point segment on the racing line path
-            let closestPointIndex = -1;
-            let minDistanceSq = Infinity;
-            const botPosXZ = new THREE.Vector2(bot.mesh.position.x, bot.mesh.position.z);
-
-            for (let i = 0; i < this.racingLinePoints.length; i++) {
-                const p1 = this.racingLinePoints[i];
-                const p2 = this.racingLinePoints[(i + 1) % this.racingLinePoints.length]; // Wrap around for loop
-                const p1_xz = new THREE.Vector2(p1.x, p1.z);
-                const p2_xz = new THREE.Vector2(p2.x, p2.z);
-
-                // Project bot position onto the line segment
-                const segmentVector = new THREE.Vector2().subVectors(p2_xz, p1_xz);
-                const botToP1 = new THREE.Vector2().subVectors(botPosXZ, p1_xz);
-                let t = botToP1.dot(segmentVector) / segmentVector.lengthSq();
-                t = Math.max(0, Math.min(1, t)); // Clamp t to the segment
-
-                const closestPointOnSegment = p1_xz.clone().addScaledVector(segmentVector, t);
-                const distSq = botPosXZ.distanceToSquared(closestPointOnSegment);
-
-                if (distSq < minDistanceSq) {
-                    minDistanceSq = distSq;
-                    closestPointIndex = i;
-                }
-            }
-
-            // 2. Calculate look-ahead distance based on speed
-            const lookAheadDistance = bot.speed * 15 + 8; // Adjust multiplier and base distance as needed
-
-            // 3. Find the look-ahead point on the path
-            let currentDistance = 0;
-            let lookAheadPointIndex = closestPointIndex;
-            let lookAheadPoint = this.racingLinePoints[lookAheadPointIndex].clone(); // Start with closest point
-
-            while (currentDistance < lookAheadDistance) {
-                const p1 = this.racingLinePoints[lookAheadPointIndex];
-                const p2 = this.racingLinePoints[(lookAheadPointIndex + 1) % this.racingLinePoints.length];
-                const segmentLength = p1.distanceTo(p2);
-
-                if (currentDistance + segmentLength >= lookAheadDistance) {
-                    // Target point is on this segment
-                    const remainingDistance = lookAheadDistance - currentDistance;
-                    const t = remainingDistance / segmentLength;
-                    lookAheadPoint.lerpVectors(p1, p2, t);
-                    break;
-                } else {
-                    // Move to the next segment
-                    currentDistance += segmentLength;
-                    lookAheadPointIndex = (lookAheadPointIndex + 1) % this.racingLinePoints.length;
-                    lookAheadPoint = this.racingLinePoints[lookAheadPointIndex].clone(); // Ensure we don't overshoot last point
-                     // Safety break for very short paths or large lookahead distances
-                     if (lookAheadPointIndex === closestPointIndex && currentDistance > 0) break;
-                }
-            }
-
-
-            // 4. Calculate path direction at look-ahead point
-            const nextLookAheadIndex = (lookAheadPointIndex + 1) % this.racingLinePoints.length;
-            const pathDirection = this.racingLinePoints[nextLookAheadIndex].clone().sub(this.racingLinePoints[lookAheadPointIndex]);
-            pathDirection.y = 0;
-            pathDirection.normalize();
-
-            // 5. Calculate sideways offset vector (perpendicular to path direction)
-            const sidewaysOffsetVector = new THREE.Vector3(pathDirection.z, 0, -pathDirection.x);
-
-            // --- Dynamic Offset Calculation (same as before) ---
-            bot.dynamicOffsetTimer += deltaTime;
-            if (bot.dynamicOffsetTimer >= bot.dynamicOffsetUpdateTime) {
-                const maxDynamicOffset = 4.0;
-                const changeAmount = (bot.random() - 0.5) * 3.0;
-                bot.dynamicTargetOffset = Math.max(-maxDynamicOffset, Math.min(maxDynamicOffset, bot.dynamicTargetOffset + changeAmount));
-                bot.dynamicOffsetTimer = 0;
-            }
-
-            // 6. Calculate the final steering target point with offsets applied to the look-ahead point
-            const totalOffset = bot.stats.targetOffset + bot.dynamicTargetOffset;
-            const steeringTargetPoint = lookAheadPoint.clone()
-                .addScaledVector(sidewaysOffsetVector, totalOffset);
-            steeringTargetPoint.y = bot.mesh.position.y; // Keep target at bot's height
-
-
-            // --- Steering (same logic, new target) ---
-            const directionToTarget = steeringTargetPoint.clone().sub(bot.mesh.position);
-            directionToTarget.y = 0;
-            directionToTarget.normalize();
-
-            const desiredAngle = Math.atan2(directionToTarget.x, directionToTarget.z);
-            let angleDifference = desiredAngle - bot.mesh.rotation.y;
-            // Normalize angle difference to [-PI, PI]
-            while (angleDifference < -Math.PI) angleDifference += Math.PI * 2;
-            while (angleDifference > Math.PI) angleDifference -= Math.PI * 2;
-
-            // Apply turn rate, clamping the change
-            const turnAmount = Math.max(-bot.stats.turnRate, Math.min(bot.stats.turnRate, angleDifference));
-            bot.mesh.rotation.y += turnAmount;
-
-            // --- Bot Drift Logic ---
-            const driftTurnThreshold = Math.PI / 6; // Angle difference to initiate/maintain drift (30 degrees)
-            const driftSpeedThreshold = bot.stats.maxSpeed * 0.5; // Minimum speed to drift
-
-            // Decide whether to start/stop drifting
-            if (!bot.isDrifting && Math.abs(angleDifference) > driftTurnThreshold && bot.speed > driftSpeedThreshold) {
-                // Start drifting
-                bot.isDrifting = true;
-                bot.driftTime = 0;
-                bot.miniTurboStage = 0;
-                // console.log(`Bot ${this.bots.indexOf(bot)} started drifting`);
-            } else if (bot.isDrifting && Math.abs(angleDifference) < driftTurnThreshold * 0.8) { // Stop if angle straightens out a bit
-                // Stop drifting - check for boost release
-                bot.isDrifting = false;
-                if (bot.driftTime > this.miniTurboThresholds[1]) { // Check if stage 1 (blue) or higher was reached
-                    bot.boosting = true;
-                    // Use player's boost durations for now
-                    bot.boostTime = this.miniTurboBoostDurations[bot.miniTurboStage - 1];
-                    // console.log(`Bot ${this.bots.indexOf(bot)} released boost stage ${bot.miniTurboStage}`);
-                }
-                bot.driftTime = 0;
-                bot.miniTurboStage = 0;
-            }
-
-            // Charge mini-turbo while drifting
-            if (bot.isDrifting) {
-                const chargeRate = Math.min(1.0, Math.abs(angleDifference) / (Math.PI / 4)); // Charge faster for sharper turns (up to 45 deg)
-                bot.driftTime += deltaTime * chargeRate; // Use deltaTime
-
-                // Update mini-turbo stage based on drift time
-                for (let i = this.miniTurboThresholds.length - 1; i >= 0; i--) {
-                    if (bot.driftTime >= this.miniTurboThresholds[i]) {
-                        bot.miniTurboStage = i;
-                        break;
-                    }
-                }
-
-                // Emit sparks for bots based on mini-turbo stage
-                if (bot.miniTurboStage > 0) {
-                    const now = performance.now() / 1000; // Time in seconds
-                    const timeSinceLastEmit = now - bot.lastSparkEmitTime;
-                    const emitInterval = 1 / this.sparkEmitRate; // Use the same rate as player
-
-                    if (timeSinceLastEmit >= emitInterval) {
-                        const sparkColor = this.sparkColors[bot.miniTurboStage - 1];
-                        // Call the modified function with bot's mesh, speed, and its PRNG
-                        this.emitDriftSpark(sparkColor, bot.mesh, bot.speed, bot.random);
-                        bot.lastSparkEmitTime = now; // Update the bot's specific timer
-                    }
-                }
-            }
-
-            // Update boost timer
-            if (bot.boosting) {
-                bot.boostTime -= deltaTime;
-                if (bot.boostTime <= 0) {
-                    bot.boosting = false;
-                    // console.log(`Bot ${this.bots.indexOf(bot)} boost ended`);
-                }
-            }
-
-            // --- Speed and Movement ---
-            let currentMaxSpeed = bot.stats.maxSpeed;
-            // Apply drift speed reduction
-            if (bot.isDrifting) {
-                currentMaxSpeed *= this.driftSpeedMultiplier; 
-            }
-            // Apply shrink penalty from lightning
-            if (bot.shrinkDuration > 0) {
-                currentMaxSpeed *= 0.6; // Reduced speed while shrunk
-            }
-            // Apply Mushroom boost (potentially overrides mini-turbo boost multiplier)
-            let currentBoostMultiplier = 1.0;
-            if (bot.mushroomBoostDuration > 0) {
-                bot.mushroomBoostDuration -= deltaTime;
-                currentBoostMultiplier = this.mushroomBoostMultiplier;
-            } else if (bot.boosting) { // Apply mini-turbo boost only if mushroom isn't active
-                 currentBoostMultiplier = this.boostMultiplier;
-            }
-            currentMaxSpeed *= currentBoostMultiplier;
-
-
-            // Reduce max speed based on the sharpness of the required turn (apply *after* drift/boost mods)
-            // Calculate how much the bot needs to turn (0 = straight, 1 = 90 degrees or more)
-            const turnSharpnessFactor = Math.min(1.0, Math.abs(angleDifference) / (Math.PI / 2));
-            // Reduce speed for sharper turns, but slightly less aggressively (e.g., up to 40% reduction for 90+ deg)
-            currentMaxSpeed *= (1.0 - turnSharpnessFactor * 0.4); // Was 0.5
-
-            // Accelerate towards (potentially reduced) max speed
-            // Allow slight overspeeding temporarily if boosting/coming out of drift before speed reduction fully applies
-            const targetSpeed = currentMaxSpeed;
-            if (bot.speed < targetSpeed) {
-                 bot.speed = Math.min(targetSpeed, bot.speed + bot.stats.acceleration);
-            } else if (bot.speed > targetSpeed) {
-                // Decelerate towards target speed if currently faster (e.g., after boost ends)
-                // Use a deceleration factor slightly faster than normal acceleration
-                bot.speed = Math.max(targetSpeed, bot.speed - bot.stats.acceleration * 1.5);
-            }
-
-            // Move bot forward based on its current rotation
-            const moveDirection = new THREE.Vector3(
-                Math.sin(bot.mesh.rotation.y),
-                0,
-                Math.cos(bot.mesh.rotation.y)
-            );
-            
-            const botMovementThisFrame = moveDirection.clone().multiplyScalar(bot.speed);
-
-            const botCollidedWithWall = this.handleWallCollisions(
-                bot, // bot object already has .mesh, .speed, .impulse
-                botMovementThisFrame,
-                this.kartRadius // Assuming bot radius is same as player
-            );
-
-            if (!botCollidedWithWall) {
-                bot.mesh.position.add(botMovementThisFrame);
-            }
-
-            // Apply bump impulse (still applies even if wall-collided)
-            bot.mesh.position.add(bot.impulse);
-            // Decay impulse
-            bot.impulse.multiplyScalar(bot.impulseDecay);
-            if (bot.impulse.lengthSq() < 0.0001) {
-                bot.impulse.set(0, 0, 0); // Reset if very small
-            }
-
-
-            // --- Check Checkpoint Crossings - IMPROVED DETECTION ---
-            // Check all checkpoints, similar to how we do for the player
-            for (let i = 0; i < this.checkpoints.length; i++) {
-                const checkpoint = this.checkpoints[i];
-                
-                // Get checkpoint information - same as in player checkpoint detection
-                const checkpointCenter = new THREE.Vector3(
-                    (checkpoint.posts[0].position.x + checkpoint.posts[1].position.x) / 2,
-                    (checkpoint.posts[0].position.y + checkpoint.posts[1].position.y) / 2,
-                    (checkpoint.posts[0].position.z + checkpoint.posts[1].position.z) / 2
-                );
-                const checkpointNormal = checkpoint.normal;
-                const checkpointWidth = checkpoint.posts[0].position.distanceTo(checkpoint.posts[1].position);
-                
-                // Use vector crossing detection similar to player's checkpoint detection
-                const vecToPrevPos = new THREE.Vector3(
-                    prevPosition.x - checkpointCenter.x,
-                    0,
-                    prevPosition.z - checkpointCenter.z
-                );
-                const vecToCurrPos = new THREE.Vector3(
-                    bot.mesh.position.x - checkpointCenter.x,
-                    0,
-                    bot.mesh.position.z - checkpointCenter.z
-                );
-                
-                // Check if bot crossed the plane
-                const prevDot = vecToPrevPos.dot(checkpointNormal);
-                const currDot = vecToCurrPos.dot(checkpointNormal);
-                
-                // If sign changed, the bot crossed the checkpoint plane
-                if (Math.sign(prevDot) !== Math.sign(currDot) && prevDot !== 0 && currDot !== 0) {
-                    // Calculate the intersection point on the plane
-                    const t = prevDot / (prevDot - currDot); // Interpolation factor
-                    const intersectionPoint = new THREE.Vector3().lerpVectors(prevPosition, bot.mesh.position, t);
-                    
-                    // Vector from checkpoint center to intersection point
-                    const vecCenterToIntersection = new THREE.Vector3().subVectors(intersectionPoint, checkpointCenter);
-                    
-                    // Get vector perpendicular to normal for gate width
-                    const checkpointDirection = new THREE.Vector3(checkpointNormal.z, 0, -checkpointNormal.x).normalize();
-                    
-                    // Calculate distance along gate
-                    const distanceAlongGate = vecCenterToIntersection.dot(checkpointDirection);
-                    
-                    // Check if intersection is within gate width
-                    if (Math.abs(distanceAlongGate) < checkpointWidth / 2) {
-                        // Check if this is the expected next checkpoint
-                        if (i === bot.targetCheckpointIndex) {
-                            // Remember current checkpoint index and update target
-                            bot.currentCheckpointIndex = i;
-                            bot.targetCheckpointIndex = (i + 1) % this.totalCheckpoints;
-                            
-                            // Check for lap completion
-                            if (i === 3) { // Index 3 is the start/finish line
-                                bot.lap++;
-                                // console.log(`Bot ${botIndex} completed lap ${bot.lap}`);
-                            }
-                            
-                            break; // Stop checking other checkpoints after a valid crossing
-                        }
-                    }
-                }
-            }
-
-            // Store current position for next frame's checkpoint detection
-            bot.prevPosition = bot.mesh.position.clone();
-
-            // --- Basic Bot Item AI ---
-            if (bot.item && bot.random() < botUseItemChance) {
-                const playerIsCloseBehind = this.kart.position.distanceToSquared(bot.mesh.position) < 20*20 &&
-                                         (new THREE.Vector3().subVectors(this.kart.position, bot.mesh.position)
-                                             .dot(new THREE.Vector3(0,0,1).applyQuaternion(bot.mesh.quaternion)) < 0);
-                const playerIsCloseAhead = this.kart.position.distanceToSquared(bot.mesh.position) < 25*25 &&
-                                         (new THREE.Vector3().subVectors(this.kart.position, bot.mesh.position)
-                                             .dot(new THREE.Vector3(0,0,1).applyQuaternion(bot.mesh.quaternion)) > 0);
-
-                 if (bot.item === 'mushroom') {
-                     if (Math.abs(angleDifference) < Math.PI / 8 && bot.mushroomBoostDuration <= 0) {
-                         this.useItem(bot);
-                     }
-                 } else if (bot.item === 'banana' || bot.item === 'fakeItemBox') {
-                     if (playerIsCloseBehind) { // Or other bots close behind
-                         this.useItem(bot);
-                     }
-                 } else if (bot.item === 'greenShell') {
-                     // Fire forward if player/bot ahead, backward if player/bot behind
-                     // Simple: fire forward if someone generally in front.
-                     if (playerIsCloseAhead || this.bots.some(otherBot => otherBot !== bot && bot.mesh.position.distanceToSquared(otherBot.mesh.position) < 25*25 && (new THREE.Vector3().subVectors(otherBot.mesh.position, bot.mesh.position).dot(new THREE.Vector3(0,0,1).applyQuaternion(bot.mesh.quaternion)) > 0) )) {
-                         // this.useItem(bot) // fireDirection will be mostly forward by default in useGreenShell for bots
-                         this.useItem(bot);
-                     }
-                 } else if (bot.item === 'redShell') {
-                    // Bots use red shells if someone is ahead and not invisible
-                    const botRankInfo = this.getBotRankAndRacers(bot); // bot is the bot object
-                    let targetExistsAhead = false;
-                    if (botRankInfo.rank > 1) { // If bot is not 1st
-                        for (let i = botRankInfo.rank - 2; i >= 0; i--) { // Check racers ahead
-                            if (!botRankInfo.sortedRacers[i].obj.isInvisible) {
-                                targetExistsAhead = true;
-                                break;
-                            }
-                        }
-                    }
-                    if (targetExistsAhead) {
-                        this.useItem(bot); // useRedShell will find the specific target
-                    }
-                 } else if (bot.item === 'boo') {
-                     // Use if somewhat behind or wants to steal an item
-                     const botRankInfo = this.getBotRankAndRacers(bot);
-                     if (botRankInfo.rank > Math.ceil(botRankInfo.sortedRacers.length / 2) || (this.playerItem && bot.random() < 0.5)) {
-                         this.useItem(bot);
-                     }
-                 } else if (bot.item === 'lightningBolt') {
-                     // Use if significantly behind
-                     const botRankInfo = this.getBotRankAndRacers(bot);
-                     if (botRankInfo.rank >= botRankInfo.sortedRacers.length -1) { // If last or second to last
-                         this.useItem(bot);
-                     }
-                 } else if (bot.item === 'blueShell') {
-                    // Use if not in 1st and someone is ahead
-                    const botRankInfo = this.getBotRankAndRacers(bot);
-                    if (botRankInfo.rank > 1) { // Don't use if bot is 1st
-                        this.useItem(bot);
-                    }
-                 }
-            }
-
-        });
+    applyBlueShellHit(kart) {
+        if (kart.isInvisible || kart.invincibilityDuration > 0) return; // Immune if Boo is active or just rescued
+
+        kart.stunDuration = this.blueShellStunTime;
+        kart.speed = 0;
+        kart.mushroomBoostDuration = 0;
+        kart.boosting = false;
+        kart.slipstreamCharge = 0;
+        kart.slipstreamBoostDuration = 0;
+        kart.isDrifting = false;
+        kart.driftActive = false;
+        kart.isSpinningOut = true;
+        kart.spinOutTimer = this.blueShellSpinOutDuration;
+        kart.impulse.set(0, 0, 0); // Clear any existing bump impulse
     }
 
-    getBotRankAndRacers(botToRank) { // botToRank can be a bot object or null (if called for general player context)
-        // Helper to get a racer's current rank and the sorted list of all racers
-        const allRacersForRanking = [];
-        // Player
-        allRacersForRanking.push({ 
-            id: 'player', 
-            obj: { // This is the racer object structure Red Shell expects for its target
-                mesh: this.kart, 
-                lap: this.currentLap, 
-                checkpointIndex: this.lastCheckpoint === -1 ? 3 : this.lastCheckpoint, 
-                position: this.kart.position, 
-                isPlayer: true, 
-                isInvisible: this.playerIsInvisible,
-                // For applyRedShellHit, ensure it can handle this structure or simplify what's passed
-                // For now, applyRedShellHit will need to check isPlayer and access botRef if it's a bot.
-                // Let's add botRef here for consistency, null for player.
-                botRef: null 
-            }
-        });
-        // Bots
-        this.bots.forEach((bot, index) => {
-            allRacersForRanking.push({ 
-                id: `bot_${index}`, 
-                obj: { // This is the racer object structure
-                    mesh: bot.mesh, 
-                    lap: bot.lap, 
-                    checkpointIndex: bot.currentCheckpointIndex, 
-                    position: bot.mesh.position, 
-                    isPlayer: false, 
-                    isInvisible: bot.isInvisible,
-                    botRef: bot // Reference to the full bot object
-                }
-            });
-        });
-
-        allRacersForRanking.sort((a, b) => {
-            if (a.obj.lap !== b.obj.lap) return b.obj.lap - a.obj.lap;
-            const idxA = a.obj.checkpointIndex;
-            const idxB = b.obj.checkpointIndex;
-            // Corrected logic: Higher checkpoint index means further along *within the same lap*.
-            // Checkpoint 3 is start/finish. If someone is at cp 0 and another at cp 3 of *same lap*,
-            // cp 0 is further. If cp idxA = 0, idxB = 3, b is "behind" in terms of index but just finished lap.
-            // This sorting is for current race progress.
-            if (idxA !== idxB) return idxB - idxA; // Higher checkpoint index means they are "more ahead" on the current lap path.
-                                                 // This assumes checkpoints are ordered 0, 1, 2, 3 along the track.
-
-            const nextCheckpointIndexA = (a.obj.checkpointIndex + 1) % this.totalCheckpoints;
-            const nextCheckpointIndexB = (b.obj.checkpointIndex + 1) % this.totalCheckpoints;
-            const distA = this.calculateDistanceToNextCheckpoint(a.obj.position, nextCheckpointIndexA);
-            const distB = this.calculateDistanceToNextCheckpoint(b.obj.position, nextCheckpointIndexB);
-            return distA - distB; // Closer to next checkpoint is better
-        });
-        
-        let rank = -1, firerObj = null;
-        if (botToRank) { // If ranking a specific bot
-            const botIdToFind = `bot_${this.bots.indexOf(botToRank)}`;
-            const foundIndex = allRacersForRanking.findIndex(r => r.id === botIdToFind);
-            if (foundIndex !== -1) {
-                rank = foundIndex + 1; // 1-based rank
-                firerObj = allRacersForRanking[foundIndex].obj;
-            }
-        } else { // If called generally (e.g. for player context in useRedShell)
-            // rank and firerObj will be determined by the caller based on player's id.
-        }
 
+    animate(timestamp = performance.now()) {
+        if (this.isDisposed) return; // Stop the loop once the race has been torn down
 
-        return { rank: rank, sortedRacers: allRacersForRanking, firerObj: firerObj };
-    }
-
-
-    animate() {
         // Keep requesting frames regardless of state to allow rendering during countdown
-        requestAnimationFrame(() => this.animate());
+        requestAnimationFrame((nextTimestamp) => this.animate(nextTimestamp));
 
         this.frameCount++; // Increment frame counter
+        this.pollGamepadItemButton();
+
+        // Run as many fixed steps as the time since the last frame covers; the remainder carries over
+        const frameTime = this.lastFrameTime === null ? 0 : Math.min(MAX_FRAME_TIME, (timestamp - this.lastFrameTime) / 1000);
+        this.lastFrameTime = timestamp;
+        this.frameTimeAccumulator += frameTime;
+        while (this.frameTimeAccumulator >= SIMULATION_STEP) {
+            this.storePreviousPoses();
+            this.simulateStep(SIMULATION_STEP);
+            this.frameTimeAccumulator -= SIMULATION_STEP;
+        }
+        this.updatePrecipitation(frameTime); // Rain and snow fall whatever the race state
+        this.updateMinimap();
 
-        const deltaTime = 1 / 60; // Placeholder: Ideally calculate actual time delta
+        // Always render the scene, drawn part way between the last two steps
+        this.renderInterpolated(this.frameTimeAccumulator / SIMULATION_STEP);
+    }
 
+    // Advances the race by one fixed simulation step of 'deltaTime' seconds
+    simulateStep(deltaTime) {
         // Only run game logic if racing
         if (this.gameState === 'racing') {
+            this.simulationTime += deltaTime;
             this.updateItemBoxes(deltaTime); // Update item box respawn timers
-            this.updateKart(deltaTime); // Pass deltaTime to updateKart
-            this.updateBots(deltaTime);
+            this.karts.forEach(kart => this.updateKart(kart, deltaTime));
             this.checkKartCollisions();
             this.checkItemBoxCollisions(); 
+            this.checkBoostPads(deltaTime);
+            this.updateHazards(deltaTime);
             this.checkBananaCollisions(); 
             this.updateGreenShells(deltaTime);
             this.updateRedShells(deltaTime); 
@@ -3713,16 +4361,80 @@ class Game {
             this.checkCheckpoints();
             this.updateScoreboard();
             this.updateDriftSparks(deltaTime);
-            if (this.playerIsTrailingItem) {
-                this.updateTrailedItemPosition();
+            this.updateSurfaceParticles(deltaTime);
+            this.updateWindLines(deltaTime);
+            this.karts.forEach(kart => {
+                if (kart.trailedItemMesh) this.updateTrailedItemPosition(kart);
+            });
+            this.updateSpeedometer();
+            this.updateCamera(deltaTime);
+            if (this.simulationTime >= this.goDisplayTime) {
+                this.countdownDisplay.classList.add('hidden');
             }
         } else if (this.gameState === 'countdown') {
-            // Keep camera updated during countdown
-            this.updateCamera();
+            this.updateCountdown(deltaTime);
+            this.updateCamera(deltaTime);
         }
+    }
+
+    // Objects the simulation moves each step, whose drawn pose is blended between steps
+    getInterpolatedObjects() {
+        return [this.camera]
+            .concat(this.karts.map(kart => kart.mesh))
+            .concat(this.activeGreenShells.map(shell => shell.mesh))
+            .concat(this.activeRedShells.map(shell => shell.mesh))
+            .concat(this.activeBlueShells.map(shell => shell.mesh))
+            .filter(object => object);
+    }
+
+    storePreviousPoses() {
+        const poses = new Map();
+        this.getInterpolatedObjects().forEach(object => {
+            const pose = this.previousPoses.get(object) || { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+            pose.position.copy(object.position);
+            pose.quaternion.copy(object.quaternion);
+            poses.set(object, pose);
+        });
+        this.previousPoses = poses; // Objects gone from the race drop out here
+    }
+
+    // Draws every moving object 'alpha' (0-1) of the way from its previous step's pose to its latest one,
+    // then puts the latest poses back so the simulation carries on from them
+    renderInterpolated(alpha) {
+        const latestPoses = [];
+        this.getInterpolatedObjects().forEach(object => {
+            const previous = this.previousPoses.get(object);
+            if (!previous) return; // Appeared during the latest step: draw where it is
+            latestPoses.push({ object: object, position: object.position.clone(), rotation: object.rotation.clone() });
+            object.position.lerpVectors(previous.position, object.position, alpha);
+            object.quaternion.slerpQuaternions(previous.quaternion, object.quaternion, alpha);
+        });
 
-        // Always render the scene
         this.renderer.render(this.scene, this.camera);
+
+        latestPoses.forEach(({ object, position, rotation }) => {
+            object.position.copy(position);
+            object.rotation.copy(rotation); // Restores the exact Euler angles the simulation steers with
+        });
+    }
+
+    // Stops the race and frees its scene, renderer and input listeners so another race can start on the same page
+    dispose() {
+        this.isDisposed = true;
+        clearTimeout(this.itemHoldTimeout);
+        this.listenerController.abort();
+
+        this.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+                    if (material.map) material.map.dispose();
+                    material.dispose();
+                });
+            }
+        });
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
     }
 
 
@@ -3732,46 +4444,25 @@ class Game {
         for (let i = this.activeGreenShells.length - 1; i >= 0; i--) {
             const shell = this.activeGreenShells[i];
             const prevPos = shell.mesh.position.clone();
-            const moveAmountVec = shell.velocity.clone(); // Velocity is units per frame
+            const moveAmountVec = shell.velocity.clone().multiplyScalar(deltaTime); // Velocity is units per second
             const moveDistance = moveAmountVec.length();
 
             shell.lifetime -= deltaTime; // Decrement lifetime regardless of movement
 
             if (moveDistance > 0) {
-                const moveDirection = moveAmountVec.clone().normalize();
-                this.raycaster.set(prevPos, moveDirection);
-                // Raycast just far enough to detect collision for the sphere's surface this frame
-                this.raycaster.far = moveDistance + shellRadius; 
-
-                const intersects = this.raycaster.intersectObjects(this.wallMeshes);
-                let collisionOccurredThisFrame = false;
-
-                if (intersects.length > 0) {
-                    const collision = intersects[0];
-                    // Check if the collision point (for the sphere's surface) is within this frame's travel
-                    if (collision.distance - shellRadius < moveDistance) {
-                        collisionOccurredThisFrame = true;
-                        
-                        // Position shell at the point of impact
-                        shell.mesh.position.copy(collision.point);
-                        
-                        const worldNormal = collision.face.normal.clone();
-                        worldNormal.transformDirection(collision.object.matrixWorld); // Transform normal to world space
-                        
-                        // Reflect velocity
-                        shell.velocity.reflect(worldNormal);
-                        
-                        // Move shell slightly away from wall along the normal to prevent sinking
-                        shell.mesh.position.addScaledVector(worldNormal, 0.01); 
-
-                        shell.bouncesLeft--;
-                    }
-                }
-
-                if (!collisionOccurredThisFrame) {
-                    // No collision, move normally
+                const wallHit = this.sweepCircleAgainstWalls(prevPos, moveAmountVec, shellRadius);
+                if (wallHit) {
+                    // Stop at the wall and bounce straight off it, whatever the angle
+                    shell.mesh.position.addScaledVector(moveAmountVec, wallHit.time);
+                    shell.velocity.reflect(wallHit.normal);
+                    shell.bouncesLeft--;
+                } else {
                     shell.mesh.position.add(moveAmountVec);
                 }
+                this.pushOutOfWalls(shell.mesh.position, shellRadius);
+                // Keep rolling along the ground (leaning walls can tilt the bounce)
+                shell.velocity.y = 0;
+                shell.mesh.position.y = this.getGroundHeightAt(shell.mesh.position) + 0.5;
             }
 
             if (shell.lifetime <= 0 || shell.bouncesLeft < 0) {
@@ -3782,144 +4473,161 @@ class Game {
                 continue;
             }
 
-            // Check collision with player's TRAILED item first
-            if (this.playerIsTrailingItem && this.playerTrailedItemMesh && this.playerTrailedItemMesh.visible) {
-                // Approximate radii: green shell 0.6, trailed items vary (0.5 to 0.9)
-                let trailedItemRadius = 0.6; // Default, adjust if specific types are very different
-                if (this.playerTrailedItemType === 'fakeItemBox') trailedItemRadius = 0.9;
-                else if (this.playerTrailedItemType === 'banana') trailedItemRadius = 0.5;
-
-                if (shell.mesh.position.distanceTo(this.playerTrailedItemMesh.position) < (0.6 + trailedItemRadius)) {
-                    console.log("[TRAIL DEBUG] Green shell hit player's trailed item:", this.playerTrailedItemType);
-                    this.scene.remove(shell.mesh); 
-                    if(shell.mesh.geometry) shell.mesh.geometry.dispose();
-                    // shell.mesh.material.dispose(); // If not shared
-                    this.activeGreenShells.splice(i, 1);
-
-                    this.scene.remove(this.playerTrailedItemMesh); 
-                    if(this.playerTrailedItemMesh.geometry) this.playerTrailedItemMesh.geometry.dispose();
-                    if(this.playerTrailedItemMesh.material) {
-                        if(this.playerTrailedItemMesh.material.map && this.playerTrailedItemMesh.material.map.dispose) this.playerTrailedItemMesh.material.map.dispose();
-                        this.playerTrailedItemMesh.material.dispose();
-                    }
-                    this.playerTrailedItemMesh = null;
-                    this.playerIsTrailingItem = false;
-                    this.playerTrailedItemType = null;
-                    this.updateItemDisplay();
-                    continue; // Shell is gone, player protected
-                }
-            }
-
-            // Check collision with player (if not hit trailed item)
-            if (shell.owner.mesh !== this.kart && !this.playerIsInvisible) {
-                if (shell.mesh.position.distanceTo(this.kart.position) < 1.0) { 
-                    this.applyGreenShellHit({ mesh: this.kart });
-                    this.scene.remove(shell.mesh);
-                    if(shell.mesh.geometry) shell.mesh.geometry.dispose();
-                    this.activeGreenShells.splice(i, 1);
-                    continue;
-                }
+            // Trailed items block shells before they reach the kart holding them
+            const blockingKart = this.findTrailedItemHit(shell.mesh.position);
+            if (blockingKart) {
+                console.log(`[TRAIL DEBUG] Green shell hit ${blockingKart.name}'s trailed item:`, blockingKart.trailedItemType);
+                this.scene.remove(shell.mesh);
+                if(shell.mesh.geometry) shell.mesh.geometry.dispose();
+                this.activeGreenShells.splice(i, 1);
+                this.removeTrailedItem(blockingKart);
+                continue; // Shell is gone, kart protected
             }
 
-            // Check collision with bots
-            for (let j = 0; j < this.bots.length; j++) {
-                const bot = this.bots[j];
-                if (shell.owner !== bot && !bot.isInvisible) { // Can't hit self or invisible bot
-                    if (shell.mesh.position.distanceTo(bot.mesh.position) < 1.0) {
-                        this.applyGreenShellHit(bot);
-                        this.scene.remove(shell.mesh);
-                        this.activeGreenShells.splice(i, 1);
-                        break; // Shell is gone
-                    }
-                }
+            // Check collision with racers (a shell can't hit its owner or an invisible racer)
+            const hitKart = this.karts.find(kart => kart !== shell.owner && !kart.isInvisible &&
+                shell.mesh.position.distanceTo(kart.mesh.position) < 1.0);
+            if (hitKart) {
+                this.applyGreenShellHit(hitKart);
+                this.scene.remove(shell.mesh);
+                if(shell.mesh.geometry) shell.mesh.geometry.dispose();
+                this.activeGreenShells.splice(i, 1);
             }
         }
     }
 
     checkFakeItemBoxCollisions() {
-        const playerPos = this.kart.position;
         const kartRadius = 0.6;
 
         for (let i = this.droppedFakeItemBoxes.length - 1; i >= 0; i--) {
             const fakeBox = this.droppedFakeItemBoxes[i];
             const boxPos = fakeBox.mesh.position;
 
-            if (!this.playerIsInvisible && playerPos.distanceTo(boxPos) < kartRadius + 0.9) { // 0.9 fake box radius
-                this.applyFakeItemBoxHit({ mesh: this.kart });
+            const hitKart = this.karts.find(kart => !kart.isInvisible && kart.mesh.position.distanceTo(boxPos) < kartRadius + 0.9); // 0.9 fake box radius
+            if (hitKart) {
+                this.applyFakeItemBoxHit(hitKart);
                 this.scene.remove(fakeBox.mesh);
                 this.droppedFakeItemBoxes.splice(i, 1);
-                continue;
-            }
-
-            for (let j = 0; j < this.bots.length; j++) {
-                 const bot = this.bots[j];
-                 if (!bot.isInvisible && bot.mesh.position.distanceTo(boxPos) < kartRadius + 0.9) {
-                     this.applyFakeItemBoxHit(bot);
-                     this.scene.remove(fakeBox.mesh);
-                     this.droppedFakeItemBoxes.splice(i, 1);
-                     break; 
-                 }
             }
         }
     }
 
-    handleWallCollisions(racer, intendedMovement, radius) {
-        if (intendedMovement.lengthSq() === 0) {
-            return false; // Not moving, no collision
+    // Moves a kart by 'intendedMovement', stopping it at any wall in the way. Glancing hits slide along the
+    // wall, keeping most of the speed along it; hard ones lose most of it and bounce the kart back out.
+    // Returns whether it hit a wall.
+    handleWallCollisions(kart, intendedMovement, radius) {
+        const position = kart.mesh.position;
+        const hit = this.sweepCircleAgainstWalls(position, intendedMovement, radius);
+        if (!hit) {
+            position.add(intendedMovement);
+            this.pushOutOfWalls(position, radius);
+            return false;
+        }
+        const normal = hit.normal;
+        const contactTime = Math.max(0, hit.time - 0.01 / intendedMovement.length()); // Stop just short of the wall
+        position.addScaledVector(intendedMovement, contactTime);
+
+        // Split the velocity into the part into the wall, which the wall takes away, and the part along it
+        const velocity = new THREE.Vector3(Math.sin(kart.travelHeading), 0, Math.cos(kart.travelHeading)).multiplyScalar(kart.speed);
+        const impactSpeed = Math.max(0, -velocity.dot(normal));
+        const impactAngle = Math.asin(Math.min(1, impactSpeed / Math.max(velocity.length(), 0.001)));
+        velocity.addScaledVector(normal, impactSpeed);
+
+        const isHardImpact = impactAngle > this.wallBounceAngle && impactSpeed > this.wallBounceMinSpeed;
+        const speedKept = isHardImpact ? this.wallBounceSpeedKept : 1 - this.wallScrapeFriction * Math.sin(impactAngle);
+        velocity.multiplyScalar(speedKept);
+        if (isHardImpact) {
+            kart.impulse.addScaledVector(normal, impactSpeed * this.wallRestitution);
+            // A hard hit ends any drift, losing its mini-turbo charge; a scrape keeps it going
+            kart.isDrifting = false;
+            kart.driftActive = false;
+            kart.driftTime = 0;
+            kart.miniTurboStage = 0;
         }
 
-        const origin = racer.mesh.position.clone();
-        const direction = intendedMovement.clone().normalize();
-
-        this.raycaster.set(origin, direction);
-        // Check slightly further than the movement + radius to catch collisions robustly
-        this.raycaster.far = intendedMovement.length() + radius * 1.1; 
-
-        const intersects = this.raycaster.intersectObjects(this.wallMeshes, false);
-
-        if (intersects.length > 0) {
-            const collision = intersects[0];
-
-            // Check if the actual collision point of the sphere's surface is within this frame's travel
-            if (collision.distance - radius < intendedMovement.length()) {
-                // Collision will occur
-                const worldNormal = collision.face.normal.clone().transformDirection(collision.object.matrixWorld).normalize();
-
-                // 1. Adjust position to be just before impact
-                // Move along the original direction up to the collision point (minus radius and a small epsilon)
-                const distanceToImpactSurface = Math.max(0, collision.distance - radius - 0.01);
-                racer.mesh.position.copy(origin).addScaledVector(direction, distanceToImpactSurface);
-
-                // 2. Get current velocity vector
-                let currentSpeed = racer.isPlayer ? racer.speedRef.get() : racer.speed;
-                let currentRotationY = racer.isPlayer ? racer.rotationYRef.get() : racer.mesh.rotation.y;
-                
-                const velocity = new THREE.Vector3(Math.sin(currentRotationY), 0, Math.cos(currentRotationY)).multiplyScalar(currentSpeed);
+        // Slide along the wall for the rest of the step, up to any other wall met on the way (e.g. in a corner)
+        const slide = intendedMovement.clone().addScaledVector(normal, -intendedMovement.dot(normal)).multiplyScalar((1 - hit.time) * speedKept);
+        if (slide.lengthSq() > 0) {
+            const slideHit = this.sweepCircleAgainstWalls(position, slide, radius);
+            position.addScaledVector(slide, slideHit ? Math.max(0, slideHit.time - 0.01 / slide.length()) : 1);
+        }
+        this.pushOutOfWalls(position, radius);
 
-                // 3. Reflect velocity
-                velocity.reflect(worldNormal);
+        // Carry on along the wall, forwards or in reverse as before; a sliding kart turns to run along it
+        const slideSpeed = velocity.length();
+        if (slideSpeed > 0.001) {
+            kart.travelHeading = kart.speed >= 0 ? Math.atan2(velocity.x, velocity.z) : Math.atan2(-velocity.x, -velocity.z);
+            if (!isHardImpact) kart.mesh.rotation.y = kart.travelHeading;
+        }
+        kart.speed = Math.sign(kart.speed) * slideSpeed;
+        return true;
+    }
 
-                // 4. Update racer's speed and orientation, and dampen speed
-                const DAMPENING_FACTOR = 0.4; // How much speed is lost on impact
-                const newSpeed = velocity.length() * DAMPENING_FACTOR;
-                const newRotationY = Math.atan2(velocity.x, velocity.z);
+    // Earliest wall a circle of 'radius' at 'position' runs into while moving by 'movement', as { time: the
+    // share of the movement before contact, normal: pointing away from the wall }, or null. Walls are swept
+    // from above as capsules round their segments, so their ends catch circles the faces miss.
+    sweepCircleAgainstWalls(position, movement, radius) {
+        const moveLength = Math.hypot(movement.x, movement.z);
+        if (moveLength === 0) return null;
+        let best = null;
+        const consider = (time, normalX, normalZ) => {
+            if (time >= 0 && time <= 1 && (!best || time < best.time)) {
+                best = { time: time, normal: new THREE.Vector3(normalX, 0, normalZ) };
+            }
+        };
 
-                if (racer.isPlayer) {
-                    racer.speedRef.set(newSpeed);
-                    racer.rotationYRef.set(newRotationY);
-                } else { // Bot
-                    racer.speed = newSpeed;
-                    racer.mesh.rotation.y = newRotationY;
+        this.wallSegments.forEach(wall => {
+            if (position.y > wall.top) return; // Passing over it
+            const reach = radius + wall.halfThickness;
+            if (Math.hypot(position.x - wall.center.x, position.z - wall.center.y) > wall.length / 2 + reach + moveLength) return;
+
+            // Faces: the lines 'reach' away on either side of the segment
+            const side = (position.x - wall.start.x) * wall.normal.x + (position.z - wall.start.y) * wall.normal.y;
+            const approach = movement.x * wall.normal.x + movement.z * wall.normal.y;
+            const sideSign = side >= 0 ? 1 : -1;
+            if (Math.abs(side) >= reach && approach * sideSign < 0) {
+                const time = (Math.abs(side) - reach) / Math.abs(approach);
+                const along = (position.x + movement.x * time - wall.start.x) * wall.direction.x +
+                              (position.z + movement.z * time - wall.start.y) * wall.direction.y;
+                if (along >= 0 && along <= wall.length) {
+                    consider(time, wall.normal.x * sideSign, wall.normal.y * sideSign);
                 }
-                
-                // Optional: Apply a small impulse directly away from the wall to prevent sticking
-                // racer.impulse.add(worldNormal.multiplyScalar(0.05));
+            }
 
+            // Ends: circles of 'reach' round each end point
+            [wall.start, wall.end].forEach(point => {
+                const offsetX = position.x - point.x;
+                const offsetZ = position.z - point.y;
+                const a = moveLength * moveLength;
+                const b = 2 * (offsetX * movement.x + offsetZ * movement.z);
+                const c = offsetX * offsetX + offsetZ * offsetZ - reach * reach;
+                const discriminant = b * b - 4 * a * c;
+                if (c <= 0 || discriminant < 0) return; // Already touching, or never meets it
+                const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+                consider(time, (offsetX + movement.x * time) / reach, (offsetZ + movement.z * time) / reach);
+            });
+        });
+        return best;
+    }
 
-                return true; // Collision occurred and was handled
-            }
-        }
-        return false; // No collision
+    // Moves a circle at 'position' out of any wall it overlaps, e.g. after a bump pushed it in. Returns the
+    // direction of the last push, away from the wall, or null when it was clear.
+    pushOutOfWalls(position, radius) {
+        let pushNormal = null;
+        this.wallSegments.forEach(wall => {
+            if (position.y > wall.top) return;
+            const reach = radius + wall.halfThickness;
+            const along = Math.max(0, Math.min(wall.length,
+                (position.x - wall.start.x) * wall.direction.x + (position.z - wall.start.y) * wall.direction.y));
+            const offsetX = position.x - (wall.start.x + wall.direction.x * along);
+            const offsetZ = position.z - (wall.start.y + wall.direction.y * along);
+            const distance = Math.hypot(offsetX, offsetZ);
+            if (distance >= reach) return;
+            pushNormal = distance > 0 ? new THREE.Vector3(offsetX / distance, 0, offsetZ / distance) :
+                                        new THREE.Vector3(wall.normal.x, 0, wall.normal.y);
+            position.addScaledVector(pushNormal, reach - distance);
+        });
+        return pushNormal;
     }
 }
 
@@ -3954,31 +4662,112 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Shows the race UI and starts a game; 'options' is passed to Game (e.g. { track })
+    const startRace = (difficulty, cc, options = {}) => {
+        // Show game elements (except countdown initially)
+        gameContainer.classList.remove('hidden');
+        speedometer.classList.remove('hidden');
+        const raceInfo = document.querySelector('.race-info');
+        if (raceInfo) raceInfo.classList.remove('hidden');
+        const itemDisplay = document.getElementById('item-display'); 
+        if (itemDisplay) itemDisplay.classList.add('hidden'); // Start hidden
+        const useItemButton = document.getElementById('use-item-button'); 
+        if (useItemButton) useItemButton.classList.add('hidden'); // Start hidden
+        const countdownDisplay = document.getElementById('countdown-display');
+        if (countdownDisplay) countdownDisplay.classList.add('hidden'); 
+        mobileControls.classList.remove('hidden');
+        if (driftButton) driftButton.classList.remove('hidden'); 
+        if (rearViewButton) rearViewButton.classList.remove('hidden'); 
+
+
+        // Start the game with selected difficulty and CC
+        return new Game(difficulty, cc, options);
+    };
+
+    // Race mode: a single race or a Grand Prix cup
+    let selectedMode = 'single';
+    document.querySelectorAll('#mode-selection .mode-button').forEach(button => {
+        button.addEventListener('click', () => {
+            selectedMode = button.id === 'grand-prix-button' ? 'cup' : 'single';
+            document.querySelectorAll('#mode-selection .mode-button').forEach(other => other.classList.toggle('selected', other === button));
+            document.getElementById('track-seed-selection').classList.toggle('hidden', selectedMode === 'cup'); // Cups race their own tracks
+        });
+    });
+
+    // Track seed for single races, shared between players to race the same generated course
+    const trackSeedInput = document.getElementById('track-seed-input');
+    const randomSeedButton = document.getElementById('random-seed-button');
+    if (randomSeedButton && trackSeedInput) {
+        randomSeedButton.addEventListener('click', () => {
+            trackSeedInput.value = createRandomTrackSeed();
+        });
+    }
+
+    // Mirror mode flips every track raced, in single races and cups alike
+    let mirrorMode = false;
+    const mirrorModeButton = document.getElementById('mirror-mode-button');
+    if (mirrorModeButton) {
+        mirrorModeButton.addEventListener('click', () => {
+            mirrorMode = !mirrorMode;
+            mirrorModeButton.classList.toggle('selected', mirrorMode);
+            mirrorModeButton.setAttribute('aria-pressed', String(mirrorMode));
+            mirrorModeButton.textContent = `🪞 Mirror Mode: ${mirrorMode ? 'On' : 'Off'}`;
+        });
+    }
+
+    // Weather for each race: one preset, or a new random one every race
+    let selectedWeather = 'clear';
+    document.querySelectorAll('#weather-selection .weather-button').forEach(button => {
+        button.addEventListener('click', () => {
+            selectedWeather = button.id.split('-')[0]; // 'clear', 'rain', 'fog', 'snow' or 'random'
+            document.querySelectorAll('#weather-selection .weather-button').forEach(other => other.classList.toggle('selected', other === button));
+        });
+    });
+    const pickWeather = () => {
+        if (selectedWeather !== 'random') return selectedWeather;
+        const presets = Object.keys(WEATHER_PRESETS);
+        return presets[Math.floor(Math.random() * presets.length)];
+    };
+
+    // Driver and parts the player built their kart from, used for every race until the page reloads
+    let selectedLoadout = createDefaultKartLoadout();
+    let selectedCharacter = DEFAULT_CHARACTER_ID;
+    const startSelectedRace = (difficulty, cc, options = {}) => startRace(difficulty, cc, { ...options, mirror: mirrorMode, weather: pickWeather(), loadout: selectedLoadout, character: selectedCharacter });
+
+    let selectedCC = '150cc';
     ccButtons.forEach(button => {
         button.addEventListener('click', () => {
-            const selectedCC = button.id.split('-')[0]; // '50cc', '100cc', etc.
+            selectedCC = button.id.split('-')[0]; // '50cc', '100cc', etc.
 
-            // Hide CC screen
+            // Hide CC screen, show the kart builder
             if (ccScreen) ccScreen.classList.add('hidden');
-
-            // Show game elements (except countdown initially)
-            gameContainer.classList.remove('hidden');
-            speedometer.classList.remove('hidden');
-            const raceInfo = document.querySelector('.race-info');
-            if (raceInfo) raceInfo.classList.remove('hidden');
-            const itemDisplay = document.getElementById('item-display'); 
-            if (itemDisplay) itemDisplay.classList.add('hidden'); // Start hidden
-            const useItemButton = document.getElementById('use-item-button'); 
-            if (useItemButton) useItemButton.classList.add('hidden'); // Start hidden
-            const countdownDisplay = document.getElementById('countdown-display');
-            if (countdownDisplay) countdownDisplay.classList.add('hidden'); 
-            mobileControls.classList.remove('hidden');
-            if (driftButton) driftButton.classList.remove('hidden'); 
-            if (rearViewButton) rearViewButton.classList.remove('hidden'); 
-
-
-            // Start the game with selected difficulty and CC
-            new Game(selectedDifficulty, selectedCC);
+            kartBuilder.open();
         });
     });
+
+    // Kart builder: starting from it runs the race or cup set up on the CC screen
+    const kartBuilder = new KartBuilder(document.getElementById('kart-builder'), (loadout, characterId) => {
+        selectedLoadout = loadout;
+        selectedCharacter = characterId;
+        if (selectedMode === 'cup') {
+            new GrandPrix(selectedDifficulty, selectedCC, startSelectedRace, characterId).start();
+        } else {
+            // A seed races the generated circuit for it; leave the field blank for the default track
+            const seed = parseInt(trackSeedInput ? trackSeedInput.value : '', 10);
+            startSelectedRace(selectedDifficulty, selectedCC, isNaN(seed) ? {} : { track: generateTrackFromSeed(seed) });
+        }
+    });
+
+    // Track editor: test drives start a race on the edited track with the current difficulty, class, kart and settings
+    const trackEditor = new TrackEditor(document.getElementById('track-editor'), {
+        onTestDrive: (track) => startSelectedRace(selectedDifficulty, selectedCC, { track: track }),
+        onExit: () => difficultyScreen.classList.remove('hidden')
+    });
+    const trackEditorButton = document.getElementById('track-editor-button');
+    if (trackEditorButton) {
+        trackEditorButton.addEventListener('click', () => {
+            difficultyScreen.classList.add('hidden');
+            trackEditor.open();
+        });
+    }
 });
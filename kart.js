@@ -0,0 +1,351 @@
+// Racers on the track. The player and the bots drive the same Kart: items, boosts, bumps, walls and laps
+// all read and change this state the same way whoever is at the wheel. A controller picks each step's
+// inputs, from the keyboard, on-screen buttons and gamepad or from the racing AI.
+
+const BOT_ITEM_USE_CHANCE = 0.015; // Chance each step that a bot holding an item considers using it
+const GAMEPAD_DEADZONE = 0.15; // Stick and trigger travel ignored around rest, so a worn pad does not drift
+
+// What a controller asks of its kart for one simulation step. Inputs are analog: 'steer' runs from
+// -1 (full right) to 1 (full left) and 'throttle' and 'brake' from 0 (released) to 1 (fully pressed),
+// and the kart turns and accelerates in proportion. 'aimBackward' fires a green shell behind instead of ahead.
+function createKartInput() {
+    return { throttle: 0, brake: 0, steer: 0, drift: false, useItem: false, aimBackward: false };
+}
+
+// A stick axis or trigger value with the deadzone cut out and the rest stretched back over 0-1
+function applyGamepadDeadzone(value) {
+    const magnitude = Math.abs(value);
+    return magnitude <= GAMEPAD_DEADZONE ? 0 : Math.sign(value) * (magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+}
+
+class Kart {
+    // 'stats' is { maxSpeed, acceleration, turnRate } in units per second (squared) and radians per second,
+    // plus the 'mass', 'traction' and 'miniTurboCharge' multipliers its parts and driver give (see Game.getKartStats).
+    // 'rideHeight' is how far the mesh sits above the ground and 'checkpointIndex' the gate it starts behind.
+    constructor({ id, name, mesh, stats, random, controller, rideHeight, rescue, checkpointIndex, tintColor = null }) {
+        this.id = id; // 'player', 'bot_0', ...: grid order, finishing order and cup standings go by it
+        this.name = name;
+        this.mesh = mesh;
+        this.stats = stats;
+        this.random = random; // The kart's own PRNG
+        this.controller = controller;
+        this.input = createKartInput(); // Latest step's inputs
+        this.tintColor = tintColor; // Marks a bot on the minimap
+
+        // Movement
+        this.speed = 0;
+        this.travelHeading = mesh.rotation.y; // Direction of travel, which trails the heading on slippery surfaces
+        this.currentSpeedLimit = stats.maxSpeed; // Eases towards the limit drifting, boosts and the surface set
+        this.impulse = new THREE.Vector3(0, 0, 0); // Push from bumps and hazards (units per second)
+        this.rideHeight = rideHeight;
+        this.airState = { altitude: 0, verticalSpeed: 0, isAirborne: false }; // Height of the wheels and whether they left the ground
+        this.rescue = rescue;
+        this.prevPosition = mesh.position.clone(); // Where the latest step started, for checkpoint crossings
+
+        // Hop, drift and mini-turbo
+        this.isHopping = false;
+        this.hopHeight = 0;
+        this.verticalVelocity = 0;
+        this.canStartDrift = false; // Set by a hop; turning before landing starts a drift
+        this.isDrifting = false;
+        this.driftActive = false; // Drift effects apply once the hop has landed
+        this.driftDirection = 0; // 1 for left, -1 for right
+        this.driftMomentumTurnSpeed = 0; // Radians per second the kart keeps turning into a drift without steering
+        this.isInDriftMomentum = false;
+        this.driftTime = 0;
+        this.miniTurboStage = 0; // 0: none, 1: blue spark, 2: orange spark, 3: purple spark
+        this.boosting = false;
+        this.boostTime = 0;
+        this.lastSparkEmitTime = 0;
+
+        // Slipstream
+        this.slipstreamCharge = 0; // 0-1, fills behind another racer and boosts when full
+        this.slipstreamBoostDuration = 0;
+
+        // Countdown
+        this.revStartTime = null; // Seconds before GO accelerate has been held since, or null when it is not held
+
+        // Laps
+        this.lap = 1;
+        this.checkpointIndex = checkpointIndex; // Last gate passed, the start/finish line before the first
+
+        // Items and their effects
+        this.item = null;
+        this.trailedItemType = null; // Item held out behind the kart, used when released
+        this.trailedItemMesh = null;
+        this.stunDuration = 0;
+        this.mushroomBoostDuration = 0;
+        this.isInvisible = false; // Boo
+        this.invisibilityDuration = 0;
+        this.isAttemptingBooSteal = false; // Steals an item once the Boo wears off
+        this.shrinkDuration = 0; // Lightning
+        this.invincibilityDuration = 0; // Grace after a rescue: item hits miss it and bumps pass on all of its momentum without moving it
+        this.originalScale = mesh.scale.clone();
+        this.isSpinningOut = false; // Blue Shell
+        this.spinOutTimer = 0;
+    }
+}
+
+// Drives a kart from the keyboard, touch buttons and the first connected gamepad. Keys and buttons
+// give full deflection; the gamepad's left stick steers and its triggers work the throttle and brake
+// as far as they are pressed. Items are used from the item key, the item button and the gamepad's X
+// button by Game instead, since holding them trails the item, so 'useItem' is never set here.
+class HumanController {
+    getInput(game) {
+        const keys = game.keys;
+        const touch = game.touchControls;
+        const turningLeft = keys['a'] || keys['arrowleft'] || touch.left;
+        const turningRight = keys['d'] || keys['arrowright'] || touch.right;
+        const pad = this.readGamepad();
+        const brake = Math.max(keys['s'] || keys['arrowdown'] || touch.backward ? 1 : 0, pad.brake);
+        return {
+            throttle: Math.max(keys['w'] || keys['arrowup'] || touch.forward ? 1 : 0, pad.throttle),
+            brake: brake,
+            steer: Math.max(-1, Math.min(1, (turningLeft ? 1 : 0) - (turningRight ? 1 : 0) + pad.steer)),
+            drift: !!(keys[' '] || touch.drift || pad.drift),
+            useItem: false,
+            aimBackward: brake > 0 // Hold back to fire a green shell behind
+        };
+    }
+
+    // Analog inputs from the first connected gamepad in the standard layout: left stick, right and left
+    // triggers (or A and B held fully), a shoulder button to drift and X for items. All at rest without a gamepad.
+    readGamepad() {
+        const input = { throttle: 0, brake: 0, steer: 0, drift: false, item: false };
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(gamepads || []).find(gamepad => gamepad && gamepad.connected);
+        if (!pad || pad.mapping !== 'standard') return input;
+        const buttonValue = index => (pad.buttons[index] ? pad.buttons[index].value : 0);
+        input.steer = -applyGamepadDeadzone(pad.axes[0] || 0); // The stick reads positive to the right
+        input.throttle = Math.max(applyGamepadDeadzone(buttonValue(7)), buttonValue(0));
+        input.brake = Math.max(applyGamepadDeadzone(buttonValue(6)), buttonValue(1));
+        input.drift = buttonValue(4) > 0.5 || buttonValue(5) > 0.5;
+        input.item = buttonValue(2) > 0.5;
+        return input;
+    }
+
+    // Only the throttle counts on the grid, to rev for the start
+    getCountdownInput(game) {
+        const input = createKartInput();
+        input.throttle = this.getInput(game).throttle;
+        return input;
+    }
+}
+
+// Drives a kart round the racing line: steers for a point ahead (offset to the bot's own line and
+// wandering a little), follows the line's speed profile, drifts the corners, drafts and overtakes racers
+// on the straights, detours over boost pads, dodges hazards and uses items when they are likely to pay off.
+class BotController {
+    constructor(random, lineOffset, revStartTime = null) {
+        this.lineOffset = lineOffset; // Sideways distance from the racing line this bot prefers
+        this.revStartTime = revStartTime; // Seconds before GO to start revving, or null to wait for GO
+        this.dynamicTargetOffset = 0; // Wanders around lineOffset
+        this.dynamicOffsetTimer = random() * 0.5;
+        this.dynamicOffsetUpdateTime = 0.2 + random() * 0.4; // Seconds between changes to the wander
+        this.wantsDrift = false; // Holds drift through a corner
+    }
+
+    getInput(game, kart, deltaTime) {
+        const input = createKartInput();
+        const points = game.racingLinePoints;
+        if (!game.checkpoints || game.checkpoints.length < 2 || !points || points.length < 2) return input;
+        const position = kart.mesh.position;
+
+        // 1. Closest segment of the racing line
+        let closestPointIndex = -1;
+        let minDistanceSq = Infinity;
+        const positionXZ = new THREE.Vector2(position.x, position.z);
+        for (let i = 0; i < points.length; i++) {
+            const p1 = new THREE.Vector2(points[i].x, points[i].z);
+            const p2 = new THREE.Vector2(points[(i + 1) % points.length].x, points[(i + 1) % points.length].z);
+            const segment = new THREE.Vector2().subVectors(p2, p1);
+            const t = Math.max(0, Math.min(1, new THREE.Vector2().subVectors(positionXZ, p1).dot(segment) / segment.lengthSq()));
+            const distSq = positionXZ.distanceToSquared(p1.clone().addScaledVector(segment, t));
+            if (distSq < minDistanceSq) {
+                minDistanceSq = distSq;
+                closestPointIndex = i;
+            }
+        }
+
+        // 2. Look further ahead the faster the kart goes
+        const lookAheadDistance = kart.speed * 0.25 + 8;
+        let currentDistance = 0;
+        let lookAheadPointIndex = closestPointIndex;
+        const lookAheadPoint = points[lookAheadPointIndex].clone();
+        while (currentDistance < lookAheadDistance) {
+            const p1 = points[lookAheadPointIndex];
+            const p2 = points[(lookAheadPointIndex + 1) % points.length];
+            const segmentLength = p1.distanceTo(p2);
+            if (currentDistance + segmentLength >= lookAheadDistance) {
+                lookAheadPoint.lerpVectors(p1, p2, (lookAheadDistance - currentDistance) / segmentLength);
+                break;
+            }
+            currentDistance += segmentLength;
+            lookAheadPointIndex = (lookAheadPointIndex + 1) % points.length;
+            lookAheadPoint.copy(points[lookAheadPointIndex]);
+            if (lookAheadPointIndex === closestPointIndex) break; // Lapped the whole line
+        }
+
+        // 3. Sideways across the line at the look-ahead point
+        const pathDirection = points[(lookAheadPointIndex + 1) % points.length].clone().sub(points[lookAheadPointIndex]);
+        pathDirection.y = 0;
+        pathDirection.normalize();
+        const sidewaysOffsetVector = new THREE.Vector3(pathDirection.z, 0, -pathDirection.x);
+
+        // 4. Let the line wander a little so bots do not drive in single file
+        this.dynamicOffsetTimer += deltaTime;
+        if (this.dynamicOffsetTimer >= this.dynamicOffsetUpdateTime) {
+            const maxDynamicOffset = 4.0;
+            const changeAmount = (kart.random() - 0.5) * 3.0;
+            this.dynamicTargetOffset = Math.max(-maxDynamicOffset, Math.min(maxDynamicOffset, this.dynamicTargetOffset + changeAmount));
+            this.dynamicOffsetTimer = 0;
+        }
+
+        // 5. Steering target with the offsets applied, kept on the road since the racing line itself
+        // runs close to the edges at apexes
+        const steeringTargetPoint = lookAheadPoint.clone().addScaledVector(sidewaysOffsetVector, this.lineOffset + this.dynamicTargetOffset);
+        this.keepTargetOnRoad(game, steeringTargetPoint);
+
+        // Speed the racing line's speed profile asks for here (already braking for what follows), and the
+        // slowest it asks for up to the look-ahead point, which tells whether a corner is coming
+        const profileSpeed = game.racingLineSpeeds[(closestPointIndex + 1) % points.length];
+        let cornerSpeedAhead = Infinity;
+        for (let i = closestPointIndex; ; i = (i + 1) % points.length) {
+            cornerSpeedAhead = Math.min(cornerSpeedAhead, game.racingLineSpeeds[(i + 1) % points.length]);
+            if (i === lookAheadPointIndex) break;
+        }
+
+        // 6. On a straight, tuck in behind a racer just ahead to ride its slipstream, and pull out to pass
+        // once the meter has fired the boost
+        const slipstreamTarget = cornerSpeedAhead > kart.stats.maxSpeed * 0.95 ? this.planSlipstream(game, kart) : null;
+        if (slipstreamTarget) {
+            steeringTargetPoint.copy(slipstreamTarget);
+            this.keepTargetOnRoad(game, steeringTargetPoint);
+        }
+
+        // 7. Detour over a boost pad just ahead when it sits close to the racing line
+        const boostPadAhead = game.findBoostPadAhead(position, kart.mesh.rotation.y);
+        if (boostPadAhead) {
+            steeringTargetPoint.copy(boostPadAhead.position);
+        }
+
+        // 8. Steer round moving hazards, or hold back until they have passed
+        const hazardAvoidance = game.planHazardAvoidance(kart, steeringTargetPoint, sidewaysOffsetVector);
+        if (hazardAvoidance && hazardAvoidance.offset) {
+            steeringTargetPoint.addScaledVector(sidewaysOffsetVector, hazardAvoidance.offset);
+        }
+
+        // Steer just enough to point at the target this step, up to full lock
+        let angleDifference = Math.atan2(steeringTargetPoint.x - position.x, steeringTargetPoint.z - position.z) - kart.mesh.rotation.y;
+        while (angleDifference < -Math.PI) angleDifference += Math.PI * 2;
+        while (angleDifference > Math.PI) angleDifference -= Math.PI * 2;
+        const turnThisStep = game.getKartTurnRate(kart, game.getSurfaceAt(position)) * deltaTime;
+        input.steer = turnThisStep > 0 ? Math.max(-1, Math.min(1, angleDifference / turnThisStep)) : 0;
+
+        // Drift through corners the speed profile says need close to drifting speed; a sharp turn
+        // back onto the line (e.g. after a hit) starts one too. Let go once out of the corner.
+        const driftTurnThreshold = Math.PI / 6;
+        const needsDrift = cornerSpeedAhead < kart.stats.maxSpeed * 0.9 || Math.abs(angleDifference) > driftTurnThreshold;
+        const corneringDone = cornerSpeedAhead > kart.stats.maxSpeed * 0.98 && Math.abs(angleDifference) < driftTurnThreshold * 0.8;
+        if (!this.wantsDrift && needsDrift && kart.speed > kart.stats.maxSpeed * 0.5) {
+            this.wantsDrift = true;
+        } else if (this.wantsDrift && corneringDone) {
+            this.wantsDrift = false;
+        }
+        input.drift = this.wantsDrift;
+
+        // Brake for corners ahead as the profile asks; well off the line, also slow to turn back onto it
+        // (0 = within 30 degrees, 1 = 120 or more); and nearly stop for a hazard there is no way round
+        let targetSpeed = profileSpeed;
+        const turnSharpnessFactor = Math.min(1.0, Math.max(0, Math.abs(angleDifference) - Math.PI / 6) / (Math.PI / 2));
+        targetSpeed *= 1.0 - turnSharpnessFactor * 0.4;
+        if (hazardAvoidance && hazardAvoidance.brake) {
+            targetSpeed *= 0.3;
+        }
+        input.throttle = kart.speed < targetSpeed ? 1 : 0; // Otherwise coast down to it
+
+        input.useItem = this.wantsToUseItem(game, kart, angleDifference);
+        input.aimBackward = input.useItem && kart.item === 'greenShell' && kart.random() < 0.3;
+        return input;
+    }
+
+    // Pulls a steering target in from the road edge
+    keepTargetOnRoad(game, point) {
+        const road = game.findClosestCenterlinePoint(point);
+        const maxDistance = Math.max(0, road.width / 2 - 2);
+        if (road.distance > maxDistance) {
+            point.lerpVectors(road.point, point, maxDistance / road.distance);
+        }
+    }
+
+    // Where to steer to use a racer ahead's slipstream, or null when nobody is close enough ahead: straight
+    // behind it while the meter fills, then alongside and past it during the boost or when about to run into it
+    planSlipstream(game, kart) {
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        let leader = null;
+        let leaderOffset = null;
+        let nearestDistance = game.slipstreamLength * 1.5; // Close in from a little further back than the cone reaches
+        game.karts.forEach(other => {
+            if (other === kart || other.rescue.active) return;
+            const offset = other.mesh.position.clone().sub(kart.mesh.position);
+            offset.y = 0;
+            const distance = offset.length();
+            const along = offset.dot(forward);
+            if (distance >= nearestDistance || along <= 0 || along < distance * 0.9) return; // Not ahead
+            leader = other;
+            leaderOffset = offset;
+            nearestDistance = distance;
+        });
+        if (!leader) return null;
+
+        const leaderForward = new THREE.Vector3(Math.sin(leader.mesh.rotation.y), 0, Math.cos(leader.mesh.rotation.y));
+        if (kart.slipstreamBoostDuration <= 0 && nearestDistance > 5) {
+            return leader.mesh.position.clone();
+        }
+        // Pass on whichever side the bot already is, or its own side of the racing line when right behind
+        const leaderLeft = new THREE.Vector3(leaderForward.z, 0, -leaderForward.x);
+        const side = -leaderOffset.dot(leaderLeft);
+        const passSide = Math.abs(side) > 0.5 ? Math.sign(side) : (this.lineOffset >= 0 ? 1 : -1);
+        return leader.mesh.position.clone().addScaledVector(leaderForward, 6).addScaledVector(leaderLeft, passSide * 3.5);
+    }
+
+    // Revs on the grid from the planned moment before GO
+    getCountdownInput(game) {
+        const input = createKartInput();
+        input.throttle = this.revStartTime !== null && game.countdownTimeLeft <= this.revStartTime ? 1 : 0;
+        return input;
+    }
+
+    // Whether to use the held item this step, judged by who is close by and the race order
+    wantsToUseItem(game, kart, angleDifference) {
+        if (!kart.item || kart.random() >= BOT_ITEM_USE_CHANCE) return false;
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(kart.mesh.quaternion);
+        const others = game.karts.filter(other => other !== kart);
+        const isClose = (other, distance, ahead) => {
+            const offset = other.mesh.position.clone().sub(kart.mesh.position);
+            const along = offset.dot(forward);
+            return offset.lengthSq() < distance * distance && (ahead ? along > 0 : along < 0);
+        };
+        const ranked = game.getKartsByProgress();
+        const rank = ranked.indexOf(kart) + 1;
+
+        switch (kart.item) {
+            case 'mushroom':
+                return Math.abs(angleDifference) < Math.PI / 8 && kart.mushroomBoostDuration <= 0; // Only on a straight
+            case 'banana':
+            case 'fakeItemBox':
+                return others.some(other => isClose(other, 20, false));
+            case 'greenShell':
+                return others.some(other => isClose(other, 25, true));
+            case 'redShell':
+                return ranked.slice(0, rank - 1).some(other => !other.isInvisible); // Someone ahead to home in on
+            case 'boo':
+                return rank > Math.ceil(ranked.length / 2) || (others.some(other => other.item) && kart.random() < 0.5);
+            case 'lightningBolt':
+                return rank >= ranked.length - 1; // Last or second to last
+            case 'blueShell':
+                return rank > 1;
+        }
+        return false;
+    }
+}
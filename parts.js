@@ -0,0 +1,170 @@
+// Kart parts: every kart is built from a body, a set of wheels and a glider. Each part raises or lowers
+// its driving stats by a few levels, and the levels of all three parts and the driver (see characters.js)
+// together scale the speed class's base values (see Game.getKartStats). The player picks a driver and
+// parts on the kart builder screen; bots get random ones.
+
+// Stats a part can change, in the order the builder lists them
+const KART_STAT_NAMES = ['speed', 'acceleration', 'weight', 'handling', 'traction', 'miniTurbo'];
+const KART_STAT_LABELS = { speed: 'Speed', acceleration: 'Acceleration', weight: 'Weight', handling: 'Handling', traction: 'Traction', miniTurbo: 'Mini-Turbo' };
+
+// How much one level changes each stat's multiplier: 'speed' scales top speed, 'acceleration' acceleration,
+// 'weight' the kart's mass (heavier karts shove lighter ones and hazards push them less), 'handling' the turn rate,
+// 'traction' grip on slippery surfaces and 'miniTurbo' how quickly drifting charges a mini-turbo
+const KART_STAT_STEPS = { speed: 0.03, acceleration: 0.07, weight: 0.1, handling: 0.07, traction: 0.15, miniTurbo: 0.1 };
+const KART_STAT_MIN_MULTIPLIER = 0.25; // However many levels are taken away, a stat keeps at least this share
+
+// Parts by slot. Levels missing from a part's 'stats' are 0. Gliders only change stats: no track has gliding sections.
+const KART_PARTS = {
+    body: [
+        { id: 'standard', name: 'Standard Kart', stats: {} },
+        { id: 'pipeFrame', name: 'Pipe Frame', stats: { speed: -1, acceleration: 2, weight: -1, handling: 1, miniTurbo: 1 } },
+        { id: 'sportsCoupe', name: 'Sports Coupe', stats: { speed: 1, acceleration: -1, weight: 1, traction: -1 } },
+        { id: 'heavyHauler', name: 'Heavy Hauler', stats: { speed: 2, acceleration: -2, weight: 2, handling: -2, traction: 1, miniTurbo: -1 } },
+        { id: 'buggy', name: 'Buggy', stats: { speed: -2, acceleration: 2, weight: -2, handling: 1, traction: 1, miniTurbo: 2 } }
+    ],
+    wheels: [
+        { id: 'standard', name: 'Standard', stats: {} },
+        { id: 'slick', name: 'Slick', stats: { speed: 2, acceleration: -1, traction: -2 } },
+        { id: 'monster', name: 'Monster', stats: { acceleration: -1, weight: 2, handling: -1, traction: 2, miniTurbo: -1 } },
+        { id: 'roller', name: 'Roller', stats: { speed: -1, acceleration: 2, weight: -1, handling: 1, miniTurbo: 2 } },
+        { id: 'offRoad', name: 'Off-Road', stats: { speed: -1, acceleration: 1, handling: -1, traction: 2 } }
+    ],
+    glider: [
+        { id: 'superGlider', name: 'Super Glider', stats: {} },
+        { id: 'parafoil', name: 'Parafoil', stats: { acceleration: 1, handling: -1, miniTurbo: 1 } },
+        { id: 'wing', name: 'Wing', stats: { speed: 1, weight: 1, miniTurbo: -1 } },
+        { id: 'parachute', name: 'Parachute', stats: { speed: -1, acceleration: 1, weight: -1, handling: 1 } }
+    ]
+};
+const KART_PART_SLOTS = Object.keys(KART_PARTS);
+
+// The standard parts in every slot: { body, wheels, glider } part ids
+function createDefaultKartLoadout() {
+    const loadout = {};
+    KART_PART_SLOTS.forEach(slot => { loadout[slot] = KART_PARTS[slot][0].id; });
+    return loadout;
+}
+
+// A random part in every slot, picked with 'random' (a PRNG returning 0-1)
+function createRandomKartLoadout(random) {
+    const loadout = {};
+    KART_PART_SLOTS.forEach(slot => {
+        const parts = KART_PARTS[slot];
+        loadout[slot] = parts[Math.floor(random() * parts.length)].id;
+    });
+    return loadout;
+}
+
+// The part with 'id' in a slot, or the slot's standard part for an unknown id
+function getKartPart(slot, id) {
+    return KART_PARTS[slot].find(part => part.id === id) || KART_PARTS[slot][0];
+}
+
+// Summed stat levels of a loadout's parts and its driver (a character from characters.js)
+function getKartLoadoutLevels(loadout, character) {
+    const levels = {};
+    KART_STAT_NAMES.forEach(stat => { levels[stat] = character.stats[stat] || 0; });
+    KART_PART_SLOTS.forEach(slot => {
+        const part = getKartPart(slot, loadout && loadout[slot]);
+        KART_STAT_NAMES.forEach(stat => { levels[stat] += part.stats[stat] || 0; });
+    });
+    return levels;
+}
+
+// Multiplier for each stat of a loadout and driver, 1 for the standard parts and driver. 'weight'
+// is the kart's mass: the parts' weight times the driver's own mass.
+function getKartLoadoutMultipliers(loadout, character) {
+    const levels = getKartLoadoutLevels(loadout, character);
+    const multipliers = {};
+    KART_STAT_NAMES.forEach(stat => {
+        multipliers[stat] = Math.max(KART_STAT_MIN_MULTIPLIER, 1 + levels[stat] * KART_STAT_STEPS[stat]);
+    });
+    multipliers.weight *= character.mass;
+    return multipliers;
+}
+
+// The kart builder screen: a row of driver buttons, a row of part buttons per slot and bars for the
+// combined stats. 'onConfirm(loadout, characterId)' is called when the player starts the race.
+class KartBuilder {
+    constructor(screen, onConfirm) {
+        this.screen = screen;
+        this.onConfirm = onConfirm;
+        this.loadout = createDefaultKartLoadout();
+        this.characterId = DEFAULT_CHARACTER_ID;
+        this.statsBody = screen.querySelector('#kart-stats-table tbody');
+
+        const characterContainer = document.getElementById('kart-character-options');
+        CHARACTERS.forEach(character => {
+            const button = document.createElement('button');
+            button.className = 'kart-character-button menu-button';
+            button.dataset.character = character.id;
+            button.textContent = `${character.name} (${CHARACTER_WEIGHT_CLASSES[character.weightClass]})`;
+            button.style.borderColor = character.color;
+            button.addEventListener('click', () => {
+                this.characterId = character.id;
+                this.render();
+            });
+            characterContainer.appendChild(button);
+        });
+
+        KART_PART_SLOTS.forEach(slot => {
+            const container = document.getElementById(`kart-${slot}-options`);
+            KART_PARTS[slot].forEach(part => {
+                const button = document.createElement('button');
+                button.className = 'kart-part-button menu-button';
+                button.dataset.part = part.id;
+                button.textContent = part.name;
+                button.addEventListener('click', () => {
+                    this.loadout[slot] = part.id;
+                    this.render();
+                });
+                container.appendChild(button);
+            });
+        });
+        document.getElementById('kart-builder-start-button').addEventListener('click', () => {
+            this.close();
+            this.onConfirm({ ...this.loadout }, this.characterId);
+        });
+        this.render();
+    }
+
+    open() {
+        this.screen.classList.remove('hidden');
+    }
+
+    close() {
+        this.screen.classList.add('hidden');
+    }
+
+    // Highlights the chosen driver and parts and redraws the stat bars
+    render() {
+        document.querySelectorAll('#kart-character-options .kart-character-button').forEach(button => {
+            button.classList.toggle('selected', button.dataset.character === this.characterId);
+        });
+        KART_PART_SLOTS.forEach(slot => {
+            document.querySelectorAll(`#kart-${slot}-options .kart-part-button`).forEach(button => {
+                button.classList.toggle('selected', button.dataset.part === this.loadout[slot]);
+            });
+        });
+
+        const multipliers = getKartLoadoutMultipliers(this.loadout, getCharacter(this.characterId));
+        this.statsBody.innerHTML = '';
+        KART_STAT_NAMES.forEach(stat => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = KART_STAT_LABELS[stat];
+            const barCell = document.createElement('td');
+            const bar = document.createElement('div');
+            bar.className = 'kart-stat-bar';
+            const fill = document.createElement('div');
+            fill.className = 'kart-stat-fill';
+            const levels = (multipliers[stat] - 1) / KART_STAT_STEPS[stat];
+            fill.style.width = `${Math.max(5, Math.min(100, 50 + levels * 8))}%`; // The standard kart and driver fill half
+            bar.appendChild(fill);
+            barCell.appendChild(bar);
+            row.appendChild(label);
+            row.appendChild(barCell);
+            this.statsBody.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,178 @@
+// Procedural circuits. The same seed always builds the same track description,
+// so players can share a seed to race the same generated course.
+
+const GENERATED_TRACK_MIN_RADIUS = 55; // Closest a control point may sit to the middle of the map
+const GENERATED_TRACK_MAX_RADIUS = 130; // Keeps the road and walls on the terrain (terrainSize 400)
+const GENERATED_TRACK_ATTEMPTS = 25; // Layouts tried before falling back to a plain circuit
+const GENERATED_TRACK_SAMPLE_SPACING = 4; // Matches Game.trackSampleSpacing
+const GENERATED_TERRAIN_COLORS = ['#2f9e44', '#3f8f2f', '#b5651d', '#8d9440', '#5c8a5c'];
+
+// Returns a random seed that fits comfortably in the seed field
+function createRandomTrackSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+// Builds a closed circuit with checkpoints, item boxes, a start grid, walls and terrain from a seed
+function generateTrackFromSeed(seed) {
+    const random = mulberry32(seed);
+    let centerline = null;
+    for (let attempt = 0; attempt < GENERATED_TRACK_ATTEMPTS && !centerline; attempt++) {
+        const candidate = createGeneratedCenterline(random);
+        if (isGeneratedCenterlineDrivable(candidate)) {
+            centerline = candidate;
+        }
+    }
+    if (!centerline) {
+        // A wide circle is always drivable
+        centerline = [];
+        for (let i = 0; i < 10; i++) {
+            const angle = (i / 10) * Math.PI * 2;
+            centerline.push({ x: Math.cos(angle) * 90, z: Math.sin(angle) * 90, width: 28 });
+        }
+    }
+    centerline = rotateToStraightestPoint(centerline);
+
+    const samples = sampleCenterlineSpline(centerline, GENERATED_TRACK_SAMPLE_SPACING);
+    const road = createRoadLocator(samples);
+    const loopLength = road.loopLength;
+    const roundTo = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+    // Evenly spaced gates round the loop, with the finish just behind the grid
+    const gates = generateEvenCheckpointGates(samples, loopLength - 14);
+    gates.forEach(gate => {
+        gate.x = roundTo(gate.x, 2);
+        gate.z = roundTo(gate.z, 2);
+        gate.rotation = roundTo(gate.rotation, 6);
+    });
+
+    // Item box rows three eighths and five eighths of the way round
+    const itemBoxRows = [loopLength * 0.375, loopLength * 0.625].map(distance => {
+        const rowRoad = road.roadAt(distance);
+        return {
+            x: roundTo(rowRoad.position.x, 2),
+            z: roundTo(rowRoad.position.z, 2),
+            heading: roundTo(Math.atan2(rowRoad.tangent.x, rowRoad.tangent.z), 6),
+            count: 3,
+            spacing: Math.max(3, Math.round(rowRoad.width / 4))
+        };
+    });
+
+    // Staggered grid behind the start, alternating sides of the road
+    const start = road.roadAt(0);
+    const left = new THREE.Vector3(start.tangent.z, 0, -start.tangent.x);
+    const startGrid = [];
+    for (let slot = 0; slot < 4; slot++) {
+        const back = 3 * slot;
+        const side = slot % 2 === 0 ? -4 : 4;
+        startGrid.push({
+            x: roundTo(start.position.x - start.tangent.x * back + left.x * side, 2),
+            z: roundTo(start.position.z - start.tangent.z * back + left.z * side, 2),
+            heading: roundTo(Math.atan2(start.tangent.x, start.tangent.z), 6)
+        });
+    }
+
+    return {
+        name: `Random Circuit ${seed}`,
+        seed: seed,
+        road: { color: '#333333' },
+        centerline: centerline,
+        walls: { height: 3, thickness: 1, offset: 0 },
+        terrain: { falloff: 30, baseHeight: 0, color: GENERATED_TERRAIN_COLORS[Math.floor(random() * GENERATED_TERRAIN_COLORS.length)] },
+        checkpoints: { finishIndex: gates.length - 1, gates: gates },
+        itemBoxRows: itemBoxRows,
+        startGrid: startGrid,
+        racingLine: { samples: Math.max(100, Math.round(loopLength / 6)) }
+    };
+}
+
+// Control points placed around the middle of the map at jittered angles and smoothed radii,
+// which keeps the loop from crossing itself. Elevation rolls gently around the lap.
+function createGeneratedCenterline(random) {
+    const count = 9 + Math.floor(random() * 5);
+    const radii = [];
+    for (let i = 0; i < count; i++) {
+        radii.push(GENERATED_TRACK_MIN_RADIUS + random() * (GENERATED_TRACK_MAX_RADIUS - GENERATED_TRACK_MIN_RADIUS));
+    }
+    // Average each radius with its neighbours so corners are not too sharp
+    for (let pass = 0; pass < 2; pass++) {
+        const previous = radii.slice();
+        for (let i = 0; i < count; i++) {
+            radii[i] = previous[i] * 0.5 + (previous[(i - 1 + count) % count] + previous[(i + 1) % count]) * 0.25;
+        }
+    }
+
+    const hillHeight = random() * 3;
+    const hillPhase = random() * Math.PI * 2;
+    const rollHeight = random() * 1.5;
+    const rollPhase = random() * Math.PI * 2;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const angle = ((i + (random() - 0.5) * 0.5) / count) * Math.PI * 2;
+        const point = {
+            x: Math.round(Math.cos(angle) * radii[i] * 100) / 100,
+            z: Math.round(Math.sin(angle) * radii[i] * 100) / 100,
+            width: Math.round(24 + random() * 8)
+        };
+        const elevation = hillHeight * Math.sin(angle + hillPhase) + rollHeight * Math.sin(angle * 2 + rollPhase);
+        if (Math.abs(elevation) > 0.05) {
+            point.elevation = Math.round(elevation * 100) / 100;
+        }
+        points.push(point);
+    }
+    return points;
+}
+
+// A layout is drivable when every bend is wide enough for the road to not fold over on its
+// inside, and distant parts of the loop never come close enough for their roads to overlap
+function isGeneratedCenterlineDrivable(centerline) {
+    const samples = sampleCenterlineSpline(centerline, GENERATED_TRACK_SAMPLE_SPACING);
+    const count = samples.length;
+    const distances = [0];
+    for (let i = 1; i < count; i++) {
+        distances.push(distances[i - 1] + samples[i - 1].position.distanceTo(samples[i].position));
+    }
+    const loopLength = distances[count - 1] + samples[count - 1].position.distanceTo(samples[0].position);
+
+    for (let i = 0; i < count; i++) {
+        const a = samples[(i - 1 + count) % count].position;
+        const b = samples[i].position;
+        const c = samples[(i + 1) % count].position;
+        // Turn radius through three neighbouring samples (circumradius on the ground plane)
+        const ab = Math.hypot(b.x - a.x, b.z - a.z);
+        const bc = Math.hypot(c.x - b.x, c.z - b.z);
+        const ca = Math.hypot(a.x - c.x, a.z - c.z);
+        const cross = Math.abs((b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x));
+        if (cross > 1e-6 && (ab * bc * ca) / (2 * cross) < samples[i].width * 0.75) {
+            return false;
+        }
+
+        for (let j = i + 1; j < count; j++) {
+            const gap = Math.min(distances[j] - distances[i], loopLength - (distances[j] - distances[i]));
+            const clearance = (samples[i].width + samples[j].width) / 2 + 6; // Room for both walls
+            if (gap > clearance * 2 && Math.hypot(samples[i].position.x - samples[j].position.x, samples[i].position.z - samples[j].position.z) < clearance) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+// Starts the loop at the control point with the gentlest turn, so the grid sits on a straight
+function rotateToStraightestPoint(centerline) {
+    const count = centerline.length;
+    let bestIndex = 0;
+    let bestTurn = Infinity;
+    centerline.forEach((point, i) => {
+        const prev = centerline[(i - 1 + count) % count];
+        const next = centerline[(i + 1) % count];
+        const turn = Math.abs(Math.atan2(
+            (point.x - prev.x) * (next.z - point.z) - (point.z - prev.z) * (next.x - point.x),
+            (point.x - prev.x) * (next.x - point.x) + (point.z - prev.z) * (next.z - point.z)
+        ));
+        if (turn < bestTurn) {
+            bestTurn = turn;
+            bestIndex = i;
+        }
+    });
+    return centerline.slice(bestIndex).concat(centerline.slice(0, bestIndex));
+}